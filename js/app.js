@@ -35,6 +35,8 @@ const App = (function () {
     const reusablePlanetBox = new THREE.Box3(); // Reuse Box3 for planets/moons
     const reusableBodyPosition = new THREE.Vector3(); // Reuse Vector3
     const reusablePlayerSphere = new THREE.Sphere(); // Reuse Sphere for player
+    const BODY_VISIT_RADIUS_MULTIPLIER = 3; // Flying within 3 radii of a body counts as visiting it
+    const visitedBodies = new Set(); // Bodies already reported to the pilot profile this session
 
     // Check if required modules are loadeda
     function checkDependencies() {
@@ -355,8 +357,17 @@ const App = (function () {
             // Initialize HUDs early, before starting the animation loop
             initializeHUDs(camera, renderer, scene);
 
+            // Offline practice and replays (picked on the intro screen) don't connect to the server
+            const practice = window.playerData && window.playerData.practice;
+            const replay = window.playerData && window.playerData.replay;
+            const spectate = !!(window.playerData && window.playerData.spectate);
+
             // Initialize multiplayer networking if available
-            if (typeof NetworkController !== 'undefined' && NetworkController) {
+            if (practice) {
+                console.log(`Practice mode (${practice.difficulty}), multiplayer disabled`);
+            } else if (replay) {
+                console.log("Watching a replay, multiplayer disabled");
+            } else if (typeof NetworkController !== 'undefined' && NetworkController) {
                 console.log("Initializing multiplayer networking...");
 
                 // Make sure global Controls reference is set
@@ -386,9 +397,14 @@ const App = (function () {
                     document.body.appendChild(reconnectMsg);
                 }
 
+                // ?room=<name> joins a named room (e.g. squad practice) instead of public play
+                const roomParam = new URLSearchParams(window.location.search).get('room');
+
                 NetworkController.init({
                     serverUrl: 'https://fonearcade.com',
                     port: 6198,
+                    room: roomParam || undefined,
+                    spectate: spectate, // Watch without a ship
                     scene: scene,
                     controls: controls, // Pass the controls object directly
                     updatesPerSecond: 10, // Set to 10 updates per second
@@ -463,6 +479,17 @@ const App = (function () {
                 console.log("Using fallback position near Earth's orbit:", cameraRig.position.clone());
             }
 
+            // Drones spawn around the player, so start practice once the ship is placed
+            if (practice && typeof PracticeMode !== 'undefined') {
+                PracticeMode.start({ scene, difficulty: practice.difficulty });
+            }
+            if (replay && typeof ReplayViewer !== 'undefined') {
+                ReplayViewer.start({ scene, replay });
+            }
+            if (spectate && typeof SpectatorMode !== 'undefined') {
+                SpectatorMode.start();
+            }
+
 
             // Define placement parameters for the station
             const platformDistance = 2; // How far in front to place it
@@ -937,20 +964,26 @@ const App = (function () {
      */
     function handleRespawn() {
         console.log("Handling respawn...");
-        NetworkController.sendRespawnRequest();
         localPlayerHealth = 100; // it should be done anyways       
         // Reset ship controller state (velocity, etc.)
         if (typeof ShipController !== 'undefined' && ShipController.resetState) {
             ShipController.resetState();
         }
 
-        // Reposition the ship near Earth
-        const positionedNearEarth = positionShipNearEarth();
-        if (!positionedNearEarth) {
-            // Fallback to the previous method if we couldn't find Earth
-            const cameraRig = controls.getObject();
-            cameraRig.position.set(100, 10, 0);
-            console.log("Using fallback position near Earth's orbit:", cameraRig.position);
+        // Online the server picks the spawn point and sends it back;
+        // practice mode (or a lost connection) respawns near Earth
+        const practice = typeof PracticeMode !== 'undefined' && PracticeMode.isActive();
+        if (practice || !NetworkController.sendRespawnRequest()) {
+            const positionedNearEarth = positionShipNearEarth();
+            if (!positionedNearEarth) {
+                // Fallback to the previous method if we couldn't find Earth
+                const cameraRig = controls.getObject();
+                cameraRig.position.set(100, 10, 0);
+                console.log("Using fallback position near Earth's orbit:", cameraRig.position);
+            }
+        }
+        if (practice) {
+            PracticeMode.handlePlayerRespawn();
         }
 
 
@@ -1044,6 +1077,21 @@ const App = (function () {
                 LaserSystem.update(delta);
             }
 
+            // Move and fire the offline practice drones
+            if (typeof PracticeMode !== 'undefined' && PracticeMode.isActive()) {
+                PracticeMode.update(delta);
+            }
+
+            // Play back the replay being watched
+            if (typeof ReplayViewer !== 'undefined' && ReplayViewer.isActive()) {
+                ReplayViewer.update(delta);
+            }
+
+            // Keep the spectator camera on the pilot it follows
+            if (typeof SpectatorMode !== 'undefined' && SpectatorMode.isActive()) {
+                SpectatorMode.update(delta);
+            }
+
             // Get the camera rig and force update its matrix world
             if (controls && typeof controls.getObject === 'function') {
                 const cameraRig = controls.getObject();
@@ -1092,6 +1140,14 @@ const App = (function () {
                         // Use squared distance for efficiency (avoids sqrt)
                         const collisionThreshold = reusablePlayerSphere.radius + bodyRadius + collisionBuffer;
                         const distanceSq = reusablePlayerSphere.center.distanceToSquared(reusableBodyPosition);
+
+                        // Record the visit on the pilot profile (once per body per session)
+                        const visitRadius = bodyRadius * BODY_VISIT_RADIUS_MULTIPLIER;
+                        if (body.userData.name && !visitedBodies.has(body.userData.name) && distanceSq <= visitRadius * visitRadius
+                            && typeof NetworkController !== 'undefined' && NetworkController.isConnected()) {
+                            visitedBodies.add(body.userData.name);
+                            NetworkController.reportBodyVisited(body.userData.name);
+                        }
     
                         // --- Narrow Phase: Box Intersection (Only if close enough) ---
                         if (distanceSq <= collisionThreshold * collisionThreshold) {
@@ -28,6 +28,19 @@ const CombatHUD = (function() {
   let lastTargetTime = 0;
   const TARGET_TIMEOUT = 2000;        // in ms
 
+  // Match timer and scoreboard (top center)
+  let matchStatus, matchTimerLabel, matchScoreLabel;
+  let matchState = null;
+  const MATCH_PHASE_LABELS = { warmup: "WARMUP", live: "MATCH", postMatch: "MATCH OVER" };
+
+  // Kill feed (right side, under the coordinates) and the "You destroyed X" banner
+  let killFeed = null;
+  let killBanner = null;
+  let killBannerTimer = null;
+  const KILL_FEED_MAX_ENTRIES = 5;
+  const KILL_FEED_ENTRY_MS = 8000;   // How long a kill stays in the feed
+  const KILL_BANNER_MS = 3000;
+
   // For debugging logs (throttling)
   let lastDebugTime = 0;
 
@@ -68,6 +81,10 @@ const CombatHUD = (function() {
     createEnemyTargetElements();
     // Create health indicator UI elements
     createHealthIndicatorElements();
+    // Create match timer / scoreboard elements
+    createMatchStatusElements();
+    // Create the kill feed
+    createKillFeedElements();
 
     // Create (or reference) an enemy info panel
     //enemyInfo = document.getElementById("enemy-info");
@@ -390,6 +407,16 @@ const CombatHUD = (function() {
     return { center, radius };
   }
 
+  /**
+   * Tint the reticle with the target's team color (red in free-for-all)
+   */
+  function applyTargetColor(ship) {
+    const teamColor = ship.team && typeof TEAM_COLORS !== 'undefined' ? TEAM_COLORS[ship.team] : undefined;
+    const color = teamColor !== undefined ? '#' + teamColor.toString(16).padStart(6, '0') : 'red';
+    if (enemyTargetCircle) enemyTargetCircle.style.borderColor = color;
+    if (enemyTargetLabel) enemyTargetLabel.style.color = color;
+  }
+
   /**
    * Clear the enemy target display.
    */
@@ -419,8 +446,8 @@ const CombatHUD = (function() {
         
         for (const id in enemyShips) {
           const ship = enemyShips[id];
-          // Skip if ship is dead
-          if (ship.isDead) continue;
+          // Skip if ship is dead or its pilot is reconnecting
+          if (ship.isDead || !ship.visible) continue;
           // Skip ships that don't have a mesh or position
           if (!ship || !ship.position) continue;
           if (ship.position.x === undefined || ship.position.y === undefined || ship.position.z === undefined) {
@@ -452,8 +479,13 @@ const CombatHUD = (function() {
             const enemyPos = new THREE.Vector3(bestTarget.position.x, bestTarget.position.y, bestTarget.position.z);
             const dist = enemyPos.distanceTo(cameraPos);
             const distAU = dist / 100;
-            enemyTargetLabel.textContent = nickname ? `${nickname} - ${distAU.toFixed(2)} AU` : 'Unknown Player';
+            const ally = bestTarget.team && typeof NetworkController !== 'undefined' &&
+              NetworkController.getLocalTeam && NetworkController.getLocalTeam() === bestTarget.team;
+            enemyTargetLabel.textContent = nickname
+              ? `${nickname}${ally ? ' (ally)' : ''} - ${distAU.toFixed(2)} AU`
+              : 'Unknown Player';
           }
+          applyTargetColor(bestTarget);
           return;
         }
       }
@@ -492,6 +524,8 @@ const CombatHUD = (function() {
       clearEnemyTarget();
     }
 
+    updateMatchStatus();
+
     // Throttled debug logging
     //if (now - lastDebugTime > 3000) {
     //  console.log(
@@ -504,6 +538,185 @@ const CombatHUD = (function() {
     //}
   }
 
+  /**
+   * Creates the match timer and scoreboard shown at the top of the screen.
+   */
+  function createMatchStatusElements() {
+    matchStatus = document.getElementById("match-status");
+    if (matchStatus) return;
+
+    matchStatus = document.createElement("div");
+    matchStatus.id = "match-status";
+    Object.assign(matchStatus.style, {
+      position: "absolute", top: "20px", left: "50%", transform: "translateX(-50%)",
+      padding: "6px 18px", background: "rgba(0, 0, 0, 0.6)", borderRadius: "8px",
+      fontFamily: "Orbitron, sans-serif", textAlign: "center", color: "#0ff",
+      textShadow: "1px 1px 2px black", display: "none"
+    });
+
+    matchTimerLabel = document.createElement("div");
+    matchTimerLabel.style.fontSize = "18px";
+    matchScoreLabel = document.createElement("div");
+    matchScoreLabel.style.fontSize = "14px";
+    matchScoreLabel.style.marginTop = "2px";
+
+    matchStatus.appendChild(matchTimerLabel);
+    matchStatus.appendChild(matchScoreLabel);
+    hudContainer.appendChild(matchStatus);
+  }
+
+  /**
+   * @param {Object|null} state - { phase, localEndsAt, matchNumber } from NetworkController, or null without matches
+   */
+  function setMatchState(state) {
+    matchState = state;
+    if (matchStatus && !state) matchStatus.style.display = "none";
+  }
+
+  function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+  }
+
+  /**
+   * Refresh the countdown and the score line (team scores, or your kills against the leader's)
+   */
+  function updateMatchStatus() {
+    if (!matchStatus || !matchState) return;
+    matchStatus.style.display = "block";
+
+    const phaseLabel = MATCH_PHASE_LABELS[matchState.phase] || "";
+    matchTimerLabel.textContent = `${phaseLabel} ${formatCountdown(matchState.localEndsAt - Date.now())}`;
+    matchTimerLabel.style.color = matchState.phase === "live" ? "#0ff" : "#ffd54f";
+
+    if (typeof NetworkController === 'undefined') return;
+    const teamScores = NetworkController.getTeamScores && NetworkController.getTeamScores();
+    if (teamScores) {
+      matchScoreLabel.textContent = Object.keys(teamScores.scores)
+        .map(team => `${team.toUpperCase()} ${teamScores.scores[team]}`)
+        .join("  -  ") + `  (to ${teamScores.scoreLimit})`;
+      return;
+    }
+
+    const players = NetworkController.getPlayers();
+    const me = players[NetworkController.getPlayerId()];
+    let leader = null;
+    Object.keys(players).forEach(id => {
+      if (!leader || (players[id].kills || 0) > (leader.kills || 0)) leader = players[id];
+    });
+    matchScoreLabel.textContent = leader && leader.kills > 0
+      ? `You ${me ? me.kills || 0 : 0}  |  Leader ${leader.nickname || "Unknown"} ${leader.kills}`
+      : `You ${me ? me.kills || 0 : 0}`;
+  }
+
+  function createKillFeedElements() {
+    killFeed = document.getElementById("kill-feed");
+    if (killFeed) return;
+
+    killFeed = document.createElement("div");
+    killFeed.id = "kill-feed";
+    Object.assign(killFeed.style, {
+      position: "absolute", top: "140px", right: "20px", display: "flex", flexDirection: "column",
+      alignItems: "flex-end", gap: "4px", fontFamily: "Orbitron, sans-serif", fontSize: "13px",
+      color: "#ccc", textShadow: "1px 1px 2px black"
+    });
+    hudContainer.appendChild(killFeed);
+  }
+
+  /**
+   * CSS color for a pilot in the feed: their team's color in team deathmatch, otherwise their ship's
+   */
+  function pilotColor(pilot) {
+    const teamColor = pilot.team && typeof TEAM_COLORS !== "undefined" ? TEAM_COLORS[pilot.team] : undefined;
+    const shipColor = typeof IntroScreen !== "undefined" && IntroScreen.COLORS[pilot.colorIndex];
+    const hex = teamColor !== undefined ? teamColor : (shipColor ? shipColor.hex : 0xffffff);
+    return "#" + hex.toString(16).padStart(6, "0");
+  }
+
+  /**
+   * World units to a readable distance (1 unit is about 1.5 million km)
+   */
+  function formatKillDistance(units) {
+    const km = (units / SCALE.DISTANCE) * 149.6e6; // SCALE.DISTANCE units = 1 AU
+    return km >= 1e6 ? `${(km / 1e6).toFixed(1)}M km` : `${Math.round(km / 1000)}k km`;
+  }
+
+  /**
+   * Add a kill to the feed: "Killer [LASER] Victim 1.2M km", names in their ship colors.
+   * @param {Object} kill - playerKilled event from the server
+   */
+  function addKillFeedEntry(kill) {
+    if (!killFeed) return;
+
+    const entry = document.createElement("div");
+    Object.assign(entry.style, {
+      background: "rgba(0, 0, 0, 0.55)", padding: "3px 10px", borderRadius: "4px",
+      transition: "opacity 0.5s ease-out", whiteSpace: "nowrap"
+    });
+
+    const name = pilot => {
+      const span = document.createElement("span");
+      span.style.color = pilotColor(pilot);
+      span.style.fontWeight = "bold";
+      span.textContent = pilot.nickname || "Unknown";
+      return span;
+    };
+
+    if (kill.killer) {
+      entry.appendChild(name(kill.killer));
+      if (kill.streak > 1) entry.appendChild(document.createTextNode(` x${kill.streak}`));
+    } else {
+      entry.appendChild(document.createTextNode("Unknown"));
+    }
+    entry.appendChild(document.createTextNode(` [${String(kill.weapon || "laser").toUpperCase()}] `));
+    if (kill.teamKill) entry.appendChild(document.createTextNode("teammate "));
+    entry.appendChild(name(kill.victim));
+    if (typeof kill.distance === "number") {
+      const distance = document.createElement("span");
+      distance.style.fontSize = "11px";
+      distance.style.color = "#888";
+      distance.textContent = `  ${formatKillDistance(kill.distance)}`;
+      entry.appendChild(distance);
+    }
+
+    killFeed.appendChild(entry);
+    while (killFeed.children.length > KILL_FEED_MAX_ENTRIES) {
+      killFeed.removeChild(killFeed.firstChild);
+    }
+    setTimeout(() => {
+      entry.style.opacity = "0";
+      setTimeout(() => { if (entry.parentNode) entry.parentNode.removeChild(entry); }, 500);
+    }, KILL_FEED_ENTRY_MS);
+  }
+
+  /**
+   * Big centered message when we destroyed someone or were destroyed.
+   * Sits above the game over overlay, so "Destroyed by X" stays readable there.
+   * @param {string} text
+   * @param {boolean} isDeath - Red for our own death, cyan for our kills
+   */
+  function showKillBanner(text, isDeath) {
+    if (!killBanner) {
+      killBanner = document.createElement("div");
+      killBanner.id = "kill-banner";
+      Object.assign(killBanner.style, {
+        position: "fixed", top: "28%", left: "50%", transform: "translateX(-50%)",
+        fontFamily: "Orbitron, sans-serif", fontSize: "clamp(18px, 3.5vw, 32px)", fontWeight: "bold",
+        textShadow: "0 0 10px black", textAlign: "center", pointerEvents: "none",
+        zIndex: "26000", opacity: "0", transition: "opacity 0.3s ease-out"
+      });
+      document.body.appendChild(killBanner);
+    }
+
+    killBanner.textContent = text;
+    killBanner.style.color = isDeath ? "#ff4040" : "#00ffff";
+    killBanner.style.opacity = "1";
+    clearTimeout(killBannerTimer);
+    killBannerTimer = setTimeout(() => { killBanner.style.opacity = "0"; }, KILL_BANNER_MS);
+  }
+
   /**
    * Creates the health indicator elements.
    */
@@ -599,6 +812,10 @@ const CombatHUD = (function() {
     },
     updateEnemyTargetInfo: updateEnemyTargetInfo,
     clearEnemyTarget: clearEnemyTarget,
-    updateHealth: updateHealth
+    getTargetedEnemy: () => targetedEnemy,
+    updateHealth: updateHealth,
+    setMatchState: setMatchState,
+    addKillFeedEntry: addKillFeedEntry,
+    showKillBanner: showKillBanner
   };
 })();
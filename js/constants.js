@@ -41,6 +41,12 @@ const LOCAL_TEXTURES = {
     NEPTUNE: "textures/2k_neptune.jpg"
 };
 
+// Team Deathmatch team colors (name labels, target reticle, kills table)
+const TEAM_COLORS = {
+    red: 0xFF4D4D,
+    blue: 0x4DA6FF
+};
+
 // Fallback colors for celestial bodies without textures
 const FALLBACK_COLORS = {
     SUN: 0xffff00,        // Yellow
@@ -368,4 +374,8 @@ const CELESTIAL_BODIES = {
 // These texture URLs would normally point to real texture files. 
 // For the simulation, you'd need to either:
 // 1. Download these textures or 
-// 2. Use URLs to real texture images online 
\ No newline at end of file
+// 2. Use URLs to real texture images online 
+// The server reads planet data to place respawning ships
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCALE, CELESTIAL_BODIES };
+}
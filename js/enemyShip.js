@@ -39,6 +39,10 @@ class EnemyShip {
     this.log(`Player nickname: ${this.nickname}`);
     
     this.isDead = false; // Add isDead flag
+    this.visible = true; // False while the pilot's connection is down
+    this.team = playerData.team || null; // 'red' / 'blue' in team deathmatch, null in free-for-all
+    this.nameLabel = null;
+    this.spawnProtected = false; // True for the few seconds after a respawn the ship can't be hit
   }
   
   /**
@@ -112,9 +116,11 @@ class EnemyShip {
   
             this.updatePosition(this.position);
             this.updateRotation(this.rotation);
+            this.mesh.visible = this.visible;
             this.scene.add(this.mesh);
             this.loaded = true;
             this.log('Model loaded and added to scene');
+            this.createNameLabel();
             this.updateNameLabelPosition();
           },
           // Progress callback
@@ -146,9 +152,20 @@ class EnemyShip {
   updateNickname(newNickname) {
     if (newNickname && newNickname !== this.nickname) {
       this.nickname = newNickname;
+      this.drawNameLabel();
     }
   }
 
+  /**
+   * Update the pilot's team; the name label takes the team color
+   * @param {string|null} team
+   */
+  setTeam(team) {
+    if ((team || null) === this.team) return;
+    this.team = team || null;
+    this.drawNameLabel();
+  }
+
   /**
    * Update the color index and repaint the ship only once.
    * Repaints by traversing the mesh and replacing materials.
@@ -209,10 +226,12 @@ class EnemyShip {
       this.updatePosition(this.position);
       this.updateRotation(this.rotation);
       
+      this.mesh.visible = this.visible;
       this.scene.add(this.mesh);
       this.loaded = true;
       this.log('Fallback shape created and added to scene');
       
+      this.createNameLabel();
       this.updateNameLabelPosition();
     } catch (error) {
       this.log('Error creating fallback mesh:', error);
@@ -233,6 +252,49 @@ class EnemyShip {
     return luminance < 0.5 ? '#FFFFFF' : '#000000';
   }
   
+  /**
+   * Creates the nickname sprite that floats above the ship
+   */
+  createNameLabel() {
+    if (this.nameLabel || !this.scene) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const material = new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false
+    });
+    this.nameLabel = new THREE.Sprite(material);
+    this.nameLabel.scale.set(4, 1, 1);
+    this.nameLabel.visible = this.visible;
+    this.drawNameLabel();
+    this.scene.add(this.nameLabel);
+  }
+
+  /**
+   * Paint the nickname onto the label: team color in team games, white otherwise
+   */
+  drawNameLabel() {
+    if (!this.nameLabel) return;
+
+    const canvas = this.nameLabel.material.map.image;
+    const context = canvas.getContext('2d');
+    const teamColor = this.team && typeof TEAM_COLORS !== 'undefined' ? TEAM_COLORS[this.team] : undefined;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 28px Orbitron, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 4;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.fillStyle = teamColor !== undefined ? '#' + teamColor.toString(16).padStart(6, '0') : '#FFFFFF';
+    context.strokeText(this.nickname, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    context.fillText(this.nickname, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    this.nameLabel.material.map.needsUpdate = true;
+  }
+
   /**
    * Update the position of the name label to stay above the ship
    */
@@ -248,6 +310,16 @@ class EnemyShip {
     this.nameLabel.position.set(labelPos.x, labelPos.y, labelPos.z);
   }
 
+  /**
+   * Show or hide the ship without disposing of it, e.g. while its pilot is reconnecting
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.mesh) this.mesh.visible = visible;
+    if (this.nameLabel) this.nameLabel.visible = visible;
+  }
+
   /**
    * Updates the position of the enemy ship
    * @param {Object} position - New position with x, y, z coordinates
@@ -307,6 +379,10 @@ class EnemyShip {
       this.updateNickname(data.nickname);
     }
 
+    if (data.team !== undefined) {
+      this.setTeam(data.team);
+    }
+
     // Update color if changed
     if (!this.isDead){
       this.updateColorIndex(data.colorIndex);
@@ -363,9 +439,74 @@ class EnemyShip {
       this.lastHealth = this.health; // Update last health *after* checks
     }
 
+    if (data.spawnProtected !== undefined) {
+      this.setSpawnProtected(data.spawnProtected);
+    }
+
     // Add other state updates here if needed (e.g., velocity)
   }
 
+  /**
+   * Show or end spawn protection: the hull shimmers while lasers pass through it
+   * @param {boolean} isProtected
+   */
+  setSpawnProtected(isProtected) {
+    if (!!isProtected === this.spawnProtected) return;
+    this.spawnProtected = !!isProtected;
+    if (this.spawnProtected) this.startShimmer();
+  }
+
+  /**
+   * Pulse the hull's glow and opacity every frame until protection ends.
+   * Waits for the mesh if it is still loading (a respawned ship is rebuilt).
+   * @private
+   */
+  startShimmer() {
+    const startTime = performance.now();
+    const shimmer = () => {
+      if (!this.spawnProtected) {
+        this.forEachMaterial(material => {
+          const base = material.userData.shimmerBase;
+          if (!base) return;
+          material.opacity = base.opacity;
+          material.transparent = base.transparent;
+          material.emissiveIntensity = base.emissiveIntensity;
+          material.needsUpdate = true; // Transparency changes need a new shader
+          delete material.userData.shimmerBase;
+        });
+        return;
+      }
+
+      const pulse = 0.5 + 0.5 * Math.sin((performance.now() - startTime) / 1000 * Math.PI * 4); // 2 pulses a second
+      this.forEachMaterial(material => {
+        if (!material.userData.shimmerBase) {
+          material.userData.shimmerBase = {
+            opacity: material.opacity,
+            transparent: material.transparent,
+            emissiveIntensity: material.emissiveIntensity
+          };
+          material.transparent = true;
+          material.needsUpdate = true;
+        }
+        material.opacity = 0.4 + 0.4 * pulse;
+        material.emissiveIntensity = 0.3 + 1.2 * pulse;
+      });
+      requestAnimationFrame(shimmer);
+    };
+    requestAnimationFrame(shimmer);
+  }
+
+  /**
+   * @private
+   */
+  forEachMaterial(callback) {
+    if (!this.mesh) return;
+    this.mesh.traverse(child => {
+      if (!child.isMesh || !child.material) return;
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach(callback);
+    });
+  }
+
   /**
    * Creates and displays a temporary particle explosion effect at the ship's location.
    * @param {THREE.Vector3} [impactPointLocal=new THREE.Vector3(0,0,0)] - The point in the ship's local space where the effect should originate.
@@ -702,6 +843,7 @@ impactSound.play().catch(err => console.warn("Impact sound failed:", err));
     }
     this.colorUpdated = false;
     this.loaded = false;
+    this.spawnProtected = false; // Also stops the shimmer loop
     this.log('All resources disposed');
   }
 }
@@ -264,6 +264,15 @@ const EventHandlers = (function() {
                     }
                     break;
                     
+                // Chat: the input takes focus, so flight keys are ignored until it closes
+                case 'Enter':
+                case 'KeyT':
+                    if (typeof UIController !== 'undefined' && typeof UIController.openChat === 'function') {
+                        event.preventDefault(); // Keep the key from being typed into the input
+                        UIController.openChat(event.code === 'KeyT' ? 'team' : 'all');
+                    }
+                    break;
+                    
                 // Music toggle
                 case 'KeyM':
                     if (typeof UIController !== 'undefined' && typeof UIController.toggleMusic === 'function') {
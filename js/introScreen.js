@@ -13,6 +13,9 @@ const IntroScreen = (function() {
   let colorPicker = null;
   let nicknameInput = null;
   let engageButton = null;
+  let spectateButton = null;
+  let practiceButtons = [];
+  let replayControls = [];
 
   // 3D elements
   let scene = null;
@@ -32,7 +35,7 @@ const IntroScreen = (function() {
       { name: 'yellow', hex: 0xFFFF00 },
       { name: 'purple', hex: 0x800080 }
   ];
-  const MAX_NAME_LENGTH = 12;
+  const MAX_NAME_LENGTH = MessageSchema.NICKNAME_MAX_LENGTH; // The server holds nicknames to the same rules
   const DESKTOP_BREAKPOINT = 768; // Width in pixels to consider "desktop" for scaling
 
   /**
@@ -59,6 +62,10 @@ const IntroScreen = (function() {
       createColorPicker();
       createNicknameField();
       createEngageButton();
+      createSpectateButton();
+      createPracticeButtons();
+      createReplayPicker();
+      loadSavedProfile();
       startAnimation(); // Start the animation loop
 
       window.addEventListener('resize', onWindowResize);
@@ -367,16 +374,7 @@ const IntroScreen = (function() {
               colorOption.style.transform = 'scale(1.15)';
           }
 
-          colorOption.addEventListener('click', () => {
-              selectedColor = color.hex;
-              updateShipColor(selectedColor);
-              document.querySelectorAll('.color-option').forEach(option => {
-                  option.style.borderColor = 'transparent';
-                  option.style.transform = 'scale(1)';
-              });
-              colorOption.style.borderColor = '#0af';
-              colorOption.style.transform = 'scale(1.15)';
-          });
+          colorOption.addEventListener('click', () => selectColor(color.hex));
           colorPicker.appendChild(colorOption);
       });
 
@@ -384,6 +382,40 @@ const IntroScreen = (function() {
       introContainer.insertBefore(colorPicker, label.nextSibling);
   }
 
+  /**
+   * Select a ship color and highlight its option in the picker
+   */
+  function selectColor(hex) {
+      selectedColor = hex;
+      updateShipColor(selectedColor);
+      document.querySelectorAll('.color-option').forEach(option => {
+          const isSelected = Number(option.dataset.color) === hex;
+          option.style.borderColor = isSelected ? '#0af' : 'transparent';
+          option.style.transform = isSelected ? 'scale(1.15)' : 'scale(1)';
+      });
+  }
+
+  /**
+   * Prefill nickname and color from the pilot's saved profile, if the server has one.
+   * Anything the player already typed or picked is left alone.
+   */
+  function loadSavedProfile() {
+      if (typeof NetworkController === 'undefined' || !NetworkController.fetchProfile) return;
+      const initialColor = selectedColor;
+      NetworkController.fetchProfile().then(profile => {
+          if (!profile || !introContainer) return;
+          console.log("Loaded pilot profile:", profile);
+          if (profile.nickname && nicknameInput && !nicknameInput.value) {
+              nicknameInput.value = profile.nickname.replace(MessageSchema.NICKNAME_DISALLOWED, '').slice(0, MAX_NAME_LENGTH);
+              nickname = nicknameInput.value.trim();
+          }
+          const savedColor = COLORS[profile.colorIndex];
+          if (savedColor && selectedColor === initialColor) {
+              selectColor(savedColor.hex);
+          }
+      });
+  }
+
   /**
    * Create the nickname input field (unchanged)
    */
@@ -410,7 +442,7 @@ const IntroScreen = (function() {
       nicknameInput.addEventListener('blur', () => { nicknameInput.style.borderColor = '#0af'; nicknameInput.style.boxShadow = 'none'; });
       nicknameInput.addEventListener('input', () => {
           let currentVal = nicknameInput.value;
-          let sanitizedVal = currentVal.replace(/[^\w\s\-]/g, '');
+          let sanitizedVal = currentVal.replace(MessageSchema.NICKNAME_DISALLOWED, '');
           sanitizedVal = sanitizedVal.trimStart().substring(0, MAX_NAME_LENGTH);
           if (nicknameInput.value !== sanitizedVal) nicknameInput.value = sanitizedVal;
           nickname = sanitizedVal.trim();
@@ -443,17 +475,170 @@ const IntroScreen = (function() {
       engageButton.addEventListener('focus', engageHoverFocus);
       engageButton.addEventListener('mouseout', engageMouseOutBlur);
       engageButton.addEventListener('blur', engageMouseOutBlur);
-      engageButton.addEventListener('click', onEngageClick);
+      engageButton.addEventListener('click', () => engage(null));
 
       introContainer.appendChild(engageButton);
   }
 
   /**
-   * Handle engage button click (unchanged)
+   * Create the spectate button: join the room as a camera, without a ship or a callsign
+   */
+  function createSpectateButton() {
+      if (typeof SpectatorMode === 'undefined') return;
+
+      spectateButton = document.createElement('button');
+      spectateButton.textContent = 'SPECTATE';
+      spectateButton.title = 'Watch the room without a ship; works when it is full too';
+      Object.assign(spectateButton.style, {
+          padding: 'clamp(6px, 1.2vh, 10px) clamp(14px, 3vw, 24px)', fontSize: 'clamp(11px, 2.6vw, 13px)',
+          backgroundColor: 'transparent', color: '#0af', border: '2px solid #0af', borderRadius: '6px', cursor: 'pointer',
+          fontFamily: '"Orbitron", sans-serif', letterSpacing: '1px', textTransform: 'uppercase',
+          transition: 'background-color 0.3s, color 0.3s', marginTop: '10px'
+      });
+      spectateButton.addEventListener('mouseover', () => { spectateButton.style.backgroundColor = 'rgba(0, 170, 255, 0.2)'; spectateButton.style.color = '#0ef'; });
+      spectateButton.addEventListener('mouseout', () => { spectateButton.style.backgroundColor = 'transparent'; spectateButton.style.color = '#0af'; });
+      spectateButton.addEventListener('click', () => engage(null, { spectate: true }));
+
+      introContainer.appendChild(spectateButton);
+  }
+
+  /**
+   * Create the offline practice buttons, one per PracticeMode difficulty
+   */
+  function createPracticeButtons() {
+      if (typeof PracticeMode === 'undefined') return;
+
+      const label = document.createElement('div');
+      label.textContent = navigator.onLine ? 'OR PRACTICE VS DRONES' : 'OFFLINE - PRACTICE VS DRONES';
+      Object.assign(label.style, { marginTop: 'clamp(15px, 3vh, 25px)', marginBottom: '8px', textAlign: 'center', fontSize: 'clamp(12px, 2.8vw, 14px)', opacity: '0.8' });
+      introContainer.appendChild(label);
+
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' });
+
+      practiceButtons = Object.keys(PracticeMode.DIFFICULTIES).map(key => {
+          const button = document.createElement('button');
+          button.textContent = PracticeMode.DIFFICULTIES[key].label;
+          Object.assign(button.style, {
+              padding: 'clamp(8px, 1.5vh, 12px) clamp(14px, 3vw, 24px)', fontSize: 'clamp(12px, 3vw, 15px)',
+              backgroundColor: 'transparent', color: '#0af', border: '2px solid #0af', borderRadius: '6px', cursor: 'pointer',
+              fontFamily: '"Orbitron", sans-serif', letterSpacing: '1px', textTransform: 'uppercase',
+              transition: 'background-color 0.3s, color 0.3s'
+          });
+          button.addEventListener('mouseover', () => { button.style.backgroundColor = 'rgba(0, 170, 255, 0.2)'; button.style.color = '#0ef'; });
+          button.addEventListener('mouseout', () => { button.style.backgroundColor = 'transparent'; button.style.color = '#0af'; });
+          button.addEventListener('click', () => engage(key));
+          row.appendChild(button);
+          return button;
+      });
+      introContainer.appendChild(row);
+  }
+
+  /**
+   * Create the replay picker: a replay file from disk, or one the server recorded
+   */
+  function createReplayPicker() {
+      if (typeof ReplayViewer === 'undefined') return;
+
+      const label = document.createElement('div');
+      label.textContent = 'OR WATCH A REPLAY';
+      Object.assign(label.style, { marginTop: 'clamp(15px, 3vh, 25px)', marginBottom: '8px', textAlign: 'center', fontSize: 'clamp(12px, 2.8vw, 14px)', opacity: '0.8' });
+      introContainer.appendChild(label);
+
+      const row = document.createElement('div');
+      Object.assign(row.style, { display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' });
+      const controlStyle = {
+          padding: 'clamp(8px, 1.5vh, 12px) clamp(14px, 3vw, 24px)', fontSize: 'clamp(12px, 3vw, 15px)',
+          backgroundColor: 'transparent', color: '#0af', border: '2px solid #0af', borderRadius: '6px', cursor: 'pointer',
+          fontFamily: '"Orbitron", sans-serif', letterSpacing: '1px'
+      };
+
+      const status = document.createElement('div');
+      Object.assign(status.style, { marginTop: '6px', minHeight: '1em', textAlign: 'center', fontSize: 'clamp(11px, 2.5vw, 13px)', color: '#f66' });
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = ReplayFormat.FILE_EXTENSION;
+      fileInput.style.display = 'none';
+      fileInput.addEventListener('change', () => {
+          const file = fileInput.files[0];
+          if (file) openReplay(file.name, () => file.arrayBuffer(), status);
+      });
+
+      const fileButton = document.createElement('button');
+      fileButton.textContent = 'OPEN FILE';
+      Object.assign(fileButton.style, controlStyle);
+      fileButton.addEventListener('mouseover', () => { fileButton.style.backgroundColor = 'rgba(0, 170, 255, 0.2)'; fileButton.style.color = '#0ef'; });
+      fileButton.addEventListener('mouseout', () => { fileButton.style.backgroundColor = 'transparent'; fileButton.style.color = '#0af'; });
+      fileButton.addEventListener('click', () => fileInput.click());
+
+      // Only shown once the server turns out to have recorded some
+      const serverSelect = document.createElement('select');
+      Object.assign(serverSelect.style, controlStyle, { backgroundColor: 'rgba(0, 30, 60, 0.7)', display: 'none' });
+      serverSelect.addEventListener('change', () => {
+          const name = serverSelect.value;
+          if (name) openReplay(name, () => NetworkController.fetchReplay(name), status);
+      });
+
+      row.appendChild(fileButton);
+      row.appendChild(serverSelect);
+      row.appendChild(fileInput);
+      introContainer.appendChild(row);
+      introContainer.appendChild(status);
+      replayControls = [fileButton, serverSelect];
+
+      if (typeof NetworkController === 'undefined' || !NetworkController.fetchReplayList) return;
+      NetworkController.fetchReplayList().then(replays => {
+          if (!introContainer || replays.length === 0) return;
+          const placeholder = document.createElement('option');
+          placeholder.value = '';
+          placeholder.textContent = `SERVER REPLAYS (${replays.length})`;
+          serverSelect.appendChild(placeholder);
+          replays.forEach(replay => {
+              const option = document.createElement('option');
+              option.value = replay.name;
+              option.textContent = replay.name;
+              serverSelect.appendChild(option);
+          });
+          serverSelect.style.display = '';
+      });
+  }
+
+  /**
+   * Load a replay and start watching it, or say why it can't be played
+   * @param {string} name - File name, for the log
+   * @param {Function} read - Returns a promise of the file's ArrayBuffer
+   * @param {HTMLElement} status - Where errors are shown
+   */
+  function openReplay(name, read, status) {
+      status.style.color = '#0af';
+      status.textContent = 'Loading replay...';
+      replayControls.forEach(control => { control.disabled = true; });
+      read()
+          .then(data => ReplayViewer.load(data))
+          .then(replay => {
+              console.log(`Loaded replay ${name}`);
+              engage(null, { replay });
+          })
+          .catch(error => {
+              console.warn(`Could not open replay ${name}:`, error);
+              status.style.color = '#f66';
+              status.textContent = error.message;
+              replayControls.forEach(control => { control.disabled = false; });
+          });
+  }
+
+  /**
+   * Leave the intro screen and start the game
+   * @param {string|null} practiceDifficulty - A PracticeMode difficulty for an offline session, null to go online
+   * @param {Object} [watch] - Watch instead of flying
+   * @param {Object} [watch.replay] - A replay from ReplayViewer.load
+   * @param {boolean} [watch.spectate] - Join the room as a spectator
    */
-  function onEngageClick() {
+  function engage(practiceDifficulty, { replay = null, spectate = false } = {}) {
       nickname = nicknameInput.value.trim();
-      if (!nickname) {
+      // Watching needs no callsign
+      if (!nickname && !replay && !spectate) {
           console.warn("Nickname is empty.");
           nicknameInput.style.borderColor = 'red';
           nicknameInput.classList.add('shake-error');
@@ -464,13 +649,21 @@ const IntroScreen = (function() {
       engageButton.disabled = true;
       engageButton.style.opacity = '0.7';
       engageButton.textContent = 'ENGAGING...';
+      if (spectateButton) spectateButton.disabled = true;
+      practiceButtons.forEach(button => { button.disabled = true; });
+      replayControls.forEach(control => { control.disabled = true; });
       console.log(`Engaging with Nickname: ${nickname}, Color: #${selectedColor.toString(16)}`);
 
       introContainer.style.transition = 'opacity 0.7s ease-out';
       introContainer.style.opacity = '0';
 
       const colorIndex = COLORS.findIndex(color => color.hex === selectedColor);
-      window.playerData = { nickname: nickname, colorIndex: colorIndex >= 0 ? colorIndex : 0, colorHex: selectedColor };
+      window.playerData = {
+          nickname: nickname, colorIndex: colorIndex >= 0 ? colorIndex : 0, colorHex: selectedColor,
+          practice: practiceDifficulty ? { difficulty: practiceDifficulty } : null,
+          replay,
+          spectate
+      };
       console.log("Player data set:", window.playerData);
 
       setTimeout(() => {
@@ -612,7 +805,7 @@ const IntroScreen = (function() {
             console.log("Portal parameters detected.");
 
             let username = params.get('username').trim();
-            username = username.replace(/[^\w\s\-]/g, '').substring(0, MAX_NAME_LENGTH);
+            username = username.replace(MessageSchema.NICKNAME_DISALLOWED, '').substring(0, MAX_NAME_LENGTH);
             if (!username) {
                 console.warn("Username from URL is invalid after sanitization, using default.");
                 username = `Pilot_${Math.floor(Math.random() * 900 + 100)}`;
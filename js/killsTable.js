@@ -1,12 +1,14 @@
 /**
  * killsTable.js - Manages the kills table overlay display.
- * This overlay appears when the Tab key is held down.
+ * This overlay appears when the Tab key is held down. Spectators pin it,
+ * which keeps a smaller copy docked at the side of the screen the rest of the time.
  */
 class KillsTable {
   constructor() {
     this.overlay = null;
     this.table = null;
     this.visible = false;
+    this.pinned = false;
     this.createOverlay();
   }
   
@@ -56,8 +58,9 @@ class KillsTable {
     document.body.appendChild(this.overlay);
   }
   
-  updateTable(playersData) {
-    // playersData is an array of objects: { id, nickname, kills }
+  updateTable(playersData, teamScores = null) {
+    // playersData is an array of objects: { id, nickname, kills, team }
+    // teamScores is { scores: { red, blue }, scoreLimit } in team deathmatch, null otherwise
     // Clear any existing rows (keep header row)
     while (this.table.rows.length > 1) {
       this.table.deleteRow(1);
@@ -65,31 +68,101 @@ class KillsTable {
     // Sort players by kills in descending order
     playersData.sort((a, b) => b.kills - a.kills);
     
-    playersData.forEach(player => {
+    if (!teamScores) {
+      playersData.forEach(player => this.addPlayerRow(player));
+      return;
+    }
+
+    // Team deathmatch: one section per team, headed by the team score
+    Object.keys(teamScores.scores).forEach(team => {
+      const color = this.getTeamColor(team);
       const row = document.createElement('tr');
-      
-      const tdName = document.createElement('td');
-      tdName.textContent = player.nickname || 'Unknown';
-      tdName.style.padding = '10px 20px';
-      
-      const tdKills = document.createElement('td');
-      tdKills.textContent = (player.kills !== undefined) ? player.kills : '0';
-      tdKills.style.padding = '10px 20px';
-      
-      row.appendChild(tdName);
-      row.appendChild(tdKills);
+
+      const tdTeam = document.createElement('td');
+      tdTeam.textContent = `Team ${team}`.toUpperCase();
+      tdTeam.style.padding = '16px 20px 6px';
+      tdTeam.style.color = color;
+      tdTeam.style.borderBottom = `1px solid ${color}`;
+
+      const tdScore = document.createElement('td');
+      tdScore.textContent = `${teamScores.scores[team]} / ${teamScores.scoreLimit}`;
+      tdScore.style.padding = '16px 20px 6px';
+      tdScore.style.color = color;
+      tdScore.style.borderBottom = `1px solid ${color}`;
+
+      row.appendChild(tdTeam);
+      row.appendChild(tdScore);
       this.table.appendChild(row);
+
+      playersData.filter(player => player.team === team).forEach(player => this.addPlayerRow(player, color));
     });
   }
+
+  addPlayerRow(player, color) {
+    const row = document.createElement('tr');
+    
+    const tdName = document.createElement('td');
+    tdName.textContent = player.nickname || 'Unknown';
+    tdName.style.padding = '10px 20px';
+    
+    const tdKills = document.createElement('td');
+    tdKills.textContent = (player.kills !== undefined) ? player.kills : '0';
+    tdKills.style.padding = '10px 20px';
+
+    if (color) {
+      tdName.style.color = color;
+      tdKills.style.color = color;
+    }
+    
+    row.appendChild(tdName);
+    row.appendChild(tdKills);
+    this.table.appendChild(row);
+  }
+
+  getTeamColor(team) {
+    const hex = typeof TEAM_COLORS !== 'undefined' ? TEAM_COLORS[team] : undefined;
+    return hex !== undefined ? '#' + hex.toString(16).padStart(6, '0') : '#0ff';
+  }
   
   show() {
+    this.setDocked(false);
     this.overlay.style.display = 'flex';
     this.visible = true;
   }
   
   hide() {
-    this.overlay.style.display = 'none';
     this.visible = false;
+    if (this.pinned) {
+      this.setDocked(true);
+      return;
+    }
+    this.overlay.style.display = 'none';
+  }
+
+  /**
+   * Keep the table on screen, docked below the top-left corner, until the page reloads
+   */
+  pin() {
+    this.pinned = true;
+    if (!this.visible) this.hide();
+  }
+
+  /**
+   * Switch between the full-screen overlay and the compact docked panel
+   */
+  setDocked(docked) {
+    const style = this.overlay.style;
+    style.top = docked ? '140px' : '0';
+    style.left = docked ? '20px' : '0';
+    style.width = docked ? 'auto' : '100%';
+    style.height = docked ? 'auto' : '100%';
+    style.backgroundColor = docked ? 'transparent' : 'rgba(0, 0, 0, 0.85)';
+    style.pointerEvents = docked ? 'none' : 'auto'; // Clicks go through to the game
+    style.display = docked ? 'block' : style.display;
+    style.zIndex = docked ? '1000' : '30000'; // Under menus and dialogs when docked
+    this.table.style.transform = docked ? 'scale(0.5)' : 'none';
+    this.table.style.transformOrigin = 'top left';
+    this.table.style.backgroundColor = docked ? 'rgba(0, 0, 0, 0.6)' : 'transparent';
   }
 }
 
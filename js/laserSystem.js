@@ -51,7 +51,7 @@ const LaserSystem = (function() {
         const enemyShips = NetworkController.getEnemyShips();
         for (const id in enemyShips) {
           const enemy = enemyShips[id];
-          if (enemy && enemy.mesh) {
+          if (enemy && enemy.mesh && enemy.visible) {
             const enemyPos = new THREE.Vector3();
             enemy.mesh.getWorldPosition(enemyPos);
             
@@ -201,36 +201,44 @@ function createLaserOBB(laserStart, laserEnd) {
    * Replaces the old checkEnemiesForLaserHit() which used Box3.
    */
   function checkEnemiesForLaserHit(leftRemotePos, rightRemotePos, targetPos) {
+    const hitId = findEnemyHitByLaser(leftRemotePos, targetPos) || findEnemyHitByLaser(rightRemotePos, targetPos);
+    if (hitId) console.log(`Enemy ${hitId} collided with a laser beam (using OBB)`);
+    return hitId !== null;
+  }
+
+  /**
+   * OBB-test one laser beam against the enemy ships near the player
+   * @returns {string|null} Id of the nearest ship the beam hits
+   */
+  function findEnemyHitByLaser(laserStart, laserEnd) {
     const camera = App.getCamera();
-    if (!camera) return false;
+    if (!camera) return null;
   
     // Get player's world position.
     const playerPos = new THREE.Vector3();
     camera.getWorldPosition(playerPos);
   
+    let hitId = null;
+    let hitDistance = Infinity;
     const enemyShips = NetworkController.getEnemyShips();
     for (const id in enemyShips) {
       const enemy = enemyShips[id];
-      if (enemy && enemy.mesh) {
-        // Skip enemies that are further than 2 units from the player.
+      if (enemy && enemy.mesh && enemy.visible) {
+        // Skip enemies that are further than 4 units from the player.
         const enemyPos = new THREE.Vector3();
         enemy.mesh.getWorldPosition(enemyPos);
-        if (enemyPos.distanceTo(playerPos) > 4) continue;
+        const distance = enemyPos.distanceTo(playerPos);
+        if (distance > 4) continue;
   
         // Optionally skip objects flagged as lasers.
         if (enemy.isLaser) continue;
-         //console.log(`Enemy ${id} is within 2 units of the player`);
-        // Check collision using the OBB test on both laser beams.
-        if (
-          checkLaserCollisionUsingOBB(leftRemotePos, targetPos, enemy) ||
-          checkLaserCollisionUsingOBB(rightRemotePos, targetPos, enemy)
-        ) {
-          console.log(`Enemy ${id} collided with a laser beam (using OBB)`);
-          return true;
+        if (distance < hitDistance && checkLaserCollisionUsingOBB(laserStart, laserEnd, enemy)) {
+          hitId = id;
+          hitDistance = distance;
         }
       }
     }
-    return false;
+    return hitId;
   }
   
 
@@ -282,6 +290,8 @@ function createLaserOBB(laserStart, laserEnd) {
      * Handle key down event (space bar) for firing
      */
     function onKeyDown(event) {
+        // Typing a space in the chat input shouldn't fire
+        if (event.target && event.target.nodeName === 'INPUT') return;
         if (event.code === 'Space') {
             isFiring = true;
             //console.log("Space down - laser firing activated");
@@ -414,6 +424,9 @@ function createLaserOBB(laserStart, laserEnd) {
     function fireLasers() {
         try {
           if (!scene || !camera || !canFire) return;
+          // The camera flying around a replay, or a spectator's, has no guns
+          if (typeof ReplayViewer !== 'undefined' && ReplayViewer.isActive()) return;
+          if (typeof SpectatorMode !== 'undefined' && SpectatorMode.isActive()) return;
           const now = performance.now() / 1000;
           if (now - lastFireTime < FIRE_COOLDOWN) return;
           lastFireTime = now;
@@ -447,7 +460,17 @@ function createLaserOBB(laserStart, laserEnd) {
             const rightRemotePos = getRemoteEmitterWorldPosition("RightLaserEmitter");
 
     
-            // Determine if an enemy is onscreen (client-side validation).
+            // Offline practice has no server to decide hits, so the local OBB test does
+            if (typeof PracticeMode !== 'undefined' && PracticeMode.isActive()) {
+              [leftRemotePos, rightRemotePos].forEach(start => {
+                const hitId = findEnemyHitByLaser(start, targetPos);
+                if (hitId) PracticeMode.damageDrone(hitId);
+              });
+              return;
+            }
+
+            // Local hit guess. The server runs its own OBB test, so this is only
+            // a hint for effects and never decides damage.
             const enemyInView = checkEnemiesForLaserHit(leftRemotePos, rightRemotePos, targetPos);
             //const enemyInView = isEnemyInView();
     
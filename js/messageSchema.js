@@ -0,0 +1,193 @@
+/**
+ * messageSchema.js - What every client -> server message may contain
+ * Shared by the browser (global MessageSchema) and the server (imported as CommonJS).
+ * The server checks each inbound event (and each decoded raw message) against
+ * its schema: wrong types, out-of-range numbers and over-long strings reject
+ * the message, unknown fields are dropped, and nicknames are cleaned up with
+ * the same rules the intro screen applies while the pilot types.
+ */
+
+const MessageSchema = (function() {
+  'use strict';
+
+  const NICKNAME_MAX_LENGTH = 12;
+  // Letters, digits, underscores, whitespace and dashes
+  const NICKNAME_DISALLOWED = /[^\w\s\-]/g;
+  const COLOR_COUNT = 6;           // Ship colors in js/introScreen.js
+  // units; Neptune orbits at ~3000. The wire format's limit, so nothing that passes
+  // here gets clamped on its way through js/netSchema.js (loaded first in the browser)
+  const WORLD_LIMIT = (typeof NetSchema !== 'undefined' ? NetSchema : require('./netSchema.js')).POSITION_LIMIT;
+  const MAX_VELOCITY = 1000000;    // km/s; ships top out at 500000, movementValidator.mjs clamps the rest
+  const MAX_ID_LENGTH = 64;
+  const MAX_RAW_NICKNAME_LENGTH = 64; // Longer names are rejected outright rather than cut down
+  const MAX_CHAT_TEXT_LENGTH = 1000;  // The chat filter cuts what gets through down further
+  const MAX_BODY_NAME_LENGTH = 32;
+  const MAX_SEQ = 0xFFFFFFFF;
+
+  /**
+   * Clean a nickname the way the intro screen does
+   * @param {*} value
+   * @returns {string} Sanitized nickname; empty if nothing usable is left
+   */
+  function sanitizeNickname(value) {
+    if (typeof value !== 'string') return '';
+    return value
+      .replace(NICKNAME_DISALLOWED, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, NICKNAME_MAX_LENGTH)
+      .trim();
+  }
+
+  // Field rules: type is one of 'number', 'integer', 'string', 'boolean',
+  // 'vector' ({x, y, z}), 'rotation' ({x, y, z} plus an optional w) or 'enum'.
+  // Fields are optional unless required: true; nullable: true also allows null.
+  const VECTOR = { type: 'vector', limit: WORLD_LIMIT };
+  const PLAYER_UPDATE = {
+    id: { type: 'string', maxLength: MAX_ID_LENGTH },
+    position: VECTOR,
+    rotation: { type: 'rotation' },
+    velocity: { type: 'number', min: -MAX_VELOCITY, max: MAX_VELOCITY },
+    nickname: { type: 'string', maxLength: MAX_RAW_NICKNAME_LENGTH, sanitize: sanitizeNickname },
+    colorIndex: { type: 'integer', min: 0, max: COLOR_COUNT - 1 },
+    isRespawning: { type: 'boolean' },
+    ackSeq: { type: 'integer', min: 0, max: MAX_SEQ, nullable: true },
+    targetId: { type: 'string', maxLength: MAX_ID_LENGTH, nullable: true },
+    timestamp: { type: 'number', min: 0 }
+  };
+
+  const SCHEMAS = {
+    // Binary position updates (js/netSchema.js), once decoded
+    playerUpdate: PLAYER_UPDATE,
+    // The JSON playerUpdate event, which carries respawn requests
+    respawnRequest: PLAYER_UPDATE,
+    // Binary shots, once decoded
+    laserFire: {
+      startPosition: { ...VECTOR, required: true },
+      endPosition: { ...VECTOR, required: true },
+      likelyHit: { type: 'boolean' },
+      viewSeq: { type: 'integer', min: 0, max: MAX_SEQ, nullable: true }
+    },
+    chat: {
+      text: { type: 'string', maxLength: MAX_CHAT_TEXT_LENGTH, required: true },
+      channel: { type: 'enum', values: ['all', 'team'] }
+    },
+    bodyVisited: {
+      body: { type: 'string', maxLength: MAX_BODY_NAME_LENGTH, required: true }
+    },
+    pong: {
+      t: { type: 'number', min: 0, required: true }
+    }
+  };
+
+  function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  /**
+   * Check one field value against its rule
+   * @returns {string|null} Why the value is rejected, or null if it is fine
+   */
+  function checkValue(rule, value) {
+    switch (rule.type) {
+      case 'number':
+      case 'integer':
+        if (!isFiniteNumber(value)) return `expected a finite number, got ${describe(value)}`;
+        if (rule.type === 'integer' && !Number.isInteger(value)) return `expected an integer, got ${value}`;
+        if (rule.min !== undefined && value < rule.min) return `${value} is below ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${value} is above ${rule.max}`;
+        return null;
+      case 'string':
+        if (typeof value !== 'string') return `expected a string, got ${describe(value)}`;
+        if (value.length > rule.maxLength) return `${value.length} characters, at most ${rule.maxLength} allowed`;
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `expected a boolean, got ${describe(value)}`;
+      case 'enum':
+        return rule.values.includes(value) ? null : `expected one of ${rule.values.join(', ')}`;
+      case 'vector':
+        if (!value || typeof value !== 'object') return `expected {x, y, z}, got ${describe(value)}`;
+        for (const axis of ['x', 'y', 'z']) {
+          if (!isFiniteNumber(value[axis])) return `${axis} is not a finite number`;
+          if (Math.abs(value[axis]) > rule.limit) return `${axis} is outside ±${rule.limit}`;
+        }
+        return null;
+      case 'rotation':
+        if (!value || typeof value !== 'object') return `expected a rotation, got ${describe(value)}`;
+        for (const axis of ['x', 'y', 'z']) {
+          if (!isFiniteNumber(value[axis])) return `${axis} is not a finite number`;
+        }
+        if (value.w !== undefined && !isFiniteNumber(value.w)) return 'w is not a finite number';
+        return null;
+      default:
+        return `unknown rule type ${rule.type}`;
+    }
+  }
+
+  function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'number') return String(value); // NaN, Infinity
+    return typeof value;
+  }
+
+  /**
+   * Copy only the parts of a vector or rotation the game uses
+   */
+  function copyValue(rule, value) {
+    if (rule.type === 'vector') return { x: value.x, y: value.y, z: value.z };
+    if (rule.type === 'rotation') {
+      return value.w === undefined ? { x: value.x, y: value.y, z: value.z } : { x: value.x, y: value.y, z: value.z, w: value.w };
+    }
+    return rule.sanitize ? rule.sanitize(value) : value;
+  }
+
+  /**
+   * Validate a message and strip it down to the fields its schema knows
+   * @param {string} type - A SCHEMAS key
+   * @param {*} data - Message as received
+   * @returns {Object} { ok: true, value, unknownFields } or { ok: false, field, reason }
+   */
+  function validate(type, data) {
+    const schema = SCHEMAS[type];
+    if (!schema) return { ok: false, field: null, reason: `no schema for ${type}` };
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { ok: false, field: null, reason: `expected an object, got ${describe(data)}` };
+    }
+
+    const value = {};
+    for (const field of Object.keys(schema)) {
+      const rule = schema[field];
+      const fieldValue = data[field];
+      if (fieldValue === undefined) {
+        if (rule.required) return { ok: false, field, reason: 'missing' };
+        continue;
+      }
+      if (fieldValue === null && rule.nullable) {
+        value[field] = null;
+        continue;
+      }
+      const reason = checkValue(rule, fieldValue);
+      if (reason) return { ok: false, field, reason };
+      value[field] = copyValue(rule, fieldValue);
+    }
+
+    const unknownFields = Object.keys(data).filter(field => !schema[field]);
+    return { ok: true, value, unknownFields };
+  }
+
+  return {
+    NICKNAME_MAX_LENGTH,
+    NICKNAME_DISALLOWED,
+    SCHEMAS,
+    sanitizeNickname,
+    validate
+  };
+})();
+
+// Export for the server (CommonJS) or the browser (global)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageSchema;
+} else if (typeof window !== 'undefined') {
+  window.MessageSchema = MessageSchema;
+}
@@ -0,0 +1,442 @@
+/**
+ * netSchema.js - Binary wire format for the high-frequency multiplayer messages
+ * Shared by the browser (global NetSchema) and the server (imported as CommonJS).
+ * Player updates, shots, state snapshots and laser batches travel as geckos raw
+ * messages: positions are fixed-point offsets from a reference point, rotations
+ * use smallest-three quaternion compression, and strings are length-prefixed UTF-8.
+ */
+
+const NetSchema = (function() {
+  'use strict';
+
+  // First byte of every message
+  const MESSAGE = {
+    PLAYER_UPDATE: 1, // client -> server
+    LASER_FIRE: 2,    // client -> server
+    SNAPSHOT: 3,      // server -> client
+    LASER_FIRES: 4    // server -> client
+  };
+
+  // Which fields a snapshot entry carries
+  const FIELD = {
+    POSITION: 1,
+    ROTATION: 2,
+    VELOCITY: 4,
+    NICKNAME: 8,
+    COLOR_INDEX: 16,
+    HEALTH: 32,
+    KILLS: 64,
+    IN_RANGE: 128,
+    TEAM: 256,
+    SPAWN_PROTECTED: 512
+  };
+
+  const PLAYER_UPDATE_HAS_IDENTITY = 1; // Player update flag: nickname and colorIndex follow
+  const PLAYER_UPDATE_HAS_TARGET = 2;   // Player update flag: id of the targeted ship follows
+  const LASER_LIKELY_HIT = 1;           // Laser flag: the shooter's client saw a hit
+
+  const NO_SEQ = 0xFFFFFFFF; // Stands in for a missing seq / baseSeq
+
+  // Positions: signed 24-bit offsets from the reference in 1/1024 unit steps,
+  // which covers ±8192 units (Neptune orbits at ~3000) at ~0.001 unit precision
+  const POSITION_STEPS_PER_UNIT = 1024;
+  const INT24_MAX = 0x7FFFFF;
+  // Furthest a position can be from its reference without being clamped (8191 units)
+  const POSITION_LIMIT = Math.floor(INT24_MAX / POSITION_STEPS_PER_UNIT);
+  // Beam ends: signed 16-bit offsets from the beam start, covering ±2 units
+  const BEAM_STEPS_PER_UNIT = 16384;
+  // Smallest-three quaternions: 2 bits for the dropped component, 10 bits for each other one
+  const QUATERNION_BITS = 10;
+  const QUATERNION_MASK = (1 << QUATERNION_BITS) - 1;
+  const QUATERNION_STEPS = QUATERNION_MASK - 1; // An even step count, so 0 encodes exactly
+
+  const MAX_STRING_BYTES = 255;
+  const ORIGIN = { x: 0, y: 0, z: 0 };
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // -----------------
+  // Writer / reader over a DataView
+  // -----------------
+  function createWriter(initialSize = 64) {
+    let buffer = new ArrayBuffer(initialSize);
+    let view = new DataView(buffer);
+    let offset = 0;
+
+    function ensure(bytes) {
+      if (offset + bytes <= buffer.byteLength) return;
+      let size = buffer.byteLength * 2;
+      while (size < offset + bytes) size *= 2;
+      const grown = new ArrayBuffer(size);
+      new Uint8Array(grown).set(new Uint8Array(buffer, 0, offset));
+      buffer = grown;
+      view = new DataView(buffer);
+    }
+
+    return {
+      u8(value) { ensure(1); view.setUint8(offset, value); offset += 1; },
+      u16(value) { ensure(2); view.setUint16(offset, value); offset += 2; },
+      i16(value) { ensure(2); view.setInt16(offset, value); offset += 2; },
+      u32(value) { ensure(4); view.setUint32(offset, value >>> 0); offset += 4; },
+      f32(value) { ensure(4); view.setFloat32(offset, value); offset += 4; },
+      f64(value) { ensure(8); view.setFloat64(offset, value); offset += 8; },
+      i24(value) {
+        ensure(3);
+        view.setInt8(offset, value >> 16);
+        view.setUint16(offset + 1, value & 0xFFFF);
+        offset += 3;
+      },
+      string(value) {
+        let bytes = textEncoder.encode(String(value));
+        if (bytes.length > MAX_STRING_BYTES) bytes = bytes.subarray(0, MAX_STRING_BYTES);
+        ensure(1 + bytes.length);
+        view.setUint8(offset, bytes.length);
+        new Uint8Array(buffer, offset + 1, bytes.length).set(bytes);
+        offset += 1 + bytes.length;
+      },
+      finish() { return buffer.slice(0, offset); }
+    };
+  }
+
+  // Reads past the end throw a RangeError, which decode turns into null
+  function createReader(data) {
+    const view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
+    let offset = 0;
+
+    return {
+      u8() { const v = view.getUint8(offset); offset += 1; return v; },
+      u16() { const v = view.getUint16(offset); offset += 2; return v; },
+      i16() { const v = view.getInt16(offset); offset += 2; return v; },
+      u32() { const v = view.getUint32(offset); offset += 4; return v; },
+      f32() { const v = view.getFloat32(offset); offset += 4; return v; },
+      f64() { const v = view.getFloat64(offset); offset += 8; return v; },
+      i24() {
+        const v = (view.getInt8(offset) << 16) | view.getUint16(offset + 1);
+        offset += 3;
+        return v;
+      },
+      string() {
+        const length = view.getUint8(offset);
+        if (offset + 1 + length > view.byteLength) throw new RangeError('String runs past end of message');
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset + 1, length);
+        offset += 1 + length;
+        return textDecoder.decode(bytes);
+      }
+    };
+  }
+
+  // -----------------
+  // Field encodings
+  // -----------------
+  function writePosition(writer, position, reference = ORIGIN) {
+    ['x', 'y', 'z'].forEach(axis => {
+      const steps = Math.round(((position[axis] || 0) - reference[axis]) * POSITION_STEPS_PER_UNIT);
+      writer.i24(clamp(steps, -INT24_MAX, INT24_MAX));
+    });
+  }
+
+  function readPosition(reader, reference = ORIGIN) {
+    return {
+      x: reference.x + reader.i24() / POSITION_STEPS_PER_UNIT,
+      y: reference.y + reader.i24() / POSITION_STEPS_PER_UNIT,
+      z: reference.z + reader.i24() / POSITION_STEPS_PER_UNIT
+    };
+  }
+
+  /**
+   * Pack a unit quaternion into 32 bits: the largest component is dropped
+   * (and rebuilt from the other three), its sign folded into the others
+   */
+  function writeQuaternion(writer, rotation) {
+    // Euler rotations only occur before a ship's first update; send identity
+    let q = rotation && rotation.w !== undefined ? [rotation.x, rotation.y, rotation.z, rotation.w] : [0, 0, 0, 1];
+    const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+    q = q.map(v => v / length);
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+    }
+    const sign = q[largest] < 0 ? -1 : 1;
+
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const normalized = clamp(q[i] * sign / Math.SQRT1_2, -1, 1);
+      packed = (packed << QUATERNION_BITS) | Math.round((normalized + 1) / 2 * QUATERNION_STEPS);
+    }
+    writer.u32(packed);
+  }
+
+  function readQuaternion(reader) {
+    const packed = reader.u32();
+    const largest = packed >>> (QUATERNION_BITS * 3);
+    const q = [0, 0, 0, 0];
+    let sumSquares = 0;
+    let shift = QUATERNION_BITS * 2;
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const steps = (packed >>> shift) & QUATERNION_MASK;
+      q[i] = (steps / QUATERNION_STEPS * 2 - 1) * Math.SQRT1_2;
+      sumSquares += q[i] * q[i];
+      shift -= QUATERNION_BITS;
+    }
+    q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+    return { x: q[0], y: q[1], z: q[2], w: q[3] };
+  }
+
+  function writeBeam(writer, start, end) {
+    writePosition(writer, start);
+    ['x', 'y', 'z'].forEach(axis => {
+      const steps = Math.round((end[axis] - start[axis]) * BEAM_STEPS_PER_UNIT);
+      writer.i16(clamp(steps, -0x7FFF, 0x7FFF));
+    });
+  }
+
+  function readBeam(reader) {
+    const startPosition = readPosition(reader);
+    const endPosition = {
+      x: startPosition.x + reader.i16() / BEAM_STEPS_PER_UNIT,
+      y: startPosition.y + reader.i16() / BEAM_STEPS_PER_UNIT,
+      z: startPosition.z + reader.i16() / BEAM_STEPS_PER_UNIT
+    };
+    return { startPosition, endPosition };
+  }
+
+  function writeSeq(writer, seq) {
+    writer.u32(typeof seq === 'number' ? seq : NO_SEQ);
+  }
+
+  function readSeq(reader) {
+    const seq = reader.u32();
+    return seq === NO_SEQ ? null : seq;
+  }
+
+  // -----------------
+  // Messages
+  // -----------------
+
+  /**
+   * @param {Object} data - { position, rotation, velocity, ackSeq, nickname?, colorIndex?, targetId? }
+   *   nickname/colorIndex are only sent when nickname is given
+   */
+  function encodePlayerUpdate(data) {
+    const writer = createWriter();
+    const hasIdentity = typeof data.nickname === 'string';
+    const hasTarget = typeof data.targetId === 'string';
+    writer.u8(MESSAGE.PLAYER_UPDATE);
+    writer.u8((hasIdentity ? PLAYER_UPDATE_HAS_IDENTITY : 0) | (hasTarget ? PLAYER_UPDATE_HAS_TARGET : 0));
+    writeSeq(writer, data.ackSeq);
+    writePosition(writer, data.position);
+    writeQuaternion(writer, data.rotation);
+    writer.f32(data.velocity || 0);
+    if (hasIdentity) {
+      writer.string(data.nickname);
+      writer.u8(clamp(data.colorIndex | 0, 0, 255));
+    }
+    if (hasTarget) writer.string(data.targetId);
+    return writer.finish();
+  }
+
+  function decodePlayerUpdate(reader) {
+    const flags = reader.u8();
+    const data = {
+      ackSeq: readSeq(reader),
+      position: readPosition(reader),
+      rotation: readQuaternion(reader),
+      velocity: reader.f32()
+    };
+    if (flags & PLAYER_UPDATE_HAS_IDENTITY) {
+      data.nickname = reader.string();
+      data.colorIndex = reader.u8();
+    }
+    // The target is current state, so "no target" is reported explicitly
+    data.targetId = (flags & PLAYER_UPDATE_HAS_TARGET) ? reader.string() : null;
+    return data;
+  }
+
+  /**
+   * @param {Object} data - { startPosition, endPosition, likelyHit, viewSeq }
+   */
+  function encodeLaserFire(data) {
+    const writer = createWriter(32);
+    writer.u8(MESSAGE.LASER_FIRE);
+    writer.u8(data.likelyHit ? LASER_LIKELY_HIT : 0);
+    writeSeq(writer, data.viewSeq);
+    writeBeam(writer, data.startPosition, data.endPosition);
+    return writer.finish();
+  }
+
+  function decodeLaserFire(reader) {
+    const flags = reader.u8();
+    const viewSeq = readSeq(reader);
+    const beam = readBeam(reader);
+    return { ...beam, likelyHit: !!(flags & LASER_LIKELY_HIT), viewSeq };
+  }
+
+  /**
+   * @param {Object} message - { seq, baseSeq, serverTime, players, removed } where
+   *   each player entry holds the (possibly partial) public state
+   */
+  function encodeSnapshot(message) {
+    const writer = createWriter(256);
+    const ids = Object.keys(message.players);
+    const removed = message.removed || [];
+
+    // Reference point: the rounded centroid of the positions in this message
+    const reference = { x: 0, y: 0, z: 0 };
+    const positioned = ids.filter(id => message.players[id].position);
+    positioned.forEach(id => {
+      ['x', 'y', 'z'].forEach(axis => { reference[axis] += message.players[id].position[axis] / positioned.length; });
+    });
+    ['x', 'y', 'z'].forEach(axis => { reference[axis] = clamp(Math.round(reference[axis]), -0x7FFF, 0x7FFF); });
+
+    writer.u8(MESSAGE.SNAPSHOT);
+    writeSeq(writer, message.seq);
+    writeSeq(writer, message.baseSeq);
+    writer.f64(message.serverTime);
+    writer.i16(reference.x);
+    writer.i16(reference.y);
+    writer.i16(reference.z);
+
+    writer.u8(Math.min(ids.length, 255));
+    ids.slice(0, 255).forEach(id => {
+      const player = message.players[id];
+      let mask = 0;
+      if (player.position) mask |= FIELD.POSITION;
+      if (player.rotation) mask |= FIELD.ROTATION;
+      if (player.velocity !== undefined) mask |= FIELD.VELOCITY;
+      if (player.nickname !== undefined) mask |= FIELD.NICKNAME;
+      if (player.colorIndex !== undefined) mask |= FIELD.COLOR_INDEX;
+      if (player.health !== undefined) mask |= FIELD.HEALTH;
+      if (player.kills !== undefined) mask |= FIELD.KILLS;
+      if (player.inRange !== undefined) mask |= FIELD.IN_RANGE;
+      if (player.team !== undefined) mask |= FIELD.TEAM;
+      if (player.spawnProtected !== undefined) mask |= FIELD.SPAWN_PROTECTED;
+
+      writer.string(id);
+      writer.u16(mask);
+      if (mask & FIELD.POSITION) writePosition(writer, player.position, reference);
+      if (mask & FIELD.ROTATION) writeQuaternion(writer, player.rotation);
+      if (mask & FIELD.VELOCITY) writer.f32(player.velocity || 0);
+      if (mask & FIELD.NICKNAME) writer.string(player.nickname || '');
+      if (mask & FIELD.COLOR_INDEX) writer.u8(clamp(player.colorIndex | 0, 0, 255));
+      if (mask & FIELD.HEALTH) writer.u8(clamp(Math.round(player.health), 0, 255));
+      if (mask & FIELD.KILLS) writer.u16(clamp(player.kills | 0, 0, 0xFFFF));
+      if (mask & FIELD.IN_RANGE) writer.u8(player.inRange ? 1 : 0);
+      if (mask & FIELD.TEAM) writer.string(player.team || '');
+      if (mask & FIELD.SPAWN_PROTECTED) writer.u8(player.spawnProtected ? 1 : 0);
+    });
+
+    writer.u8(Math.min(removed.length, 255));
+    removed.slice(0, 255).forEach(id => writer.string(id));
+    return writer.finish();
+  }
+
+  function decodeSnapshot(reader) {
+    const seq = readSeq(reader);
+    const baseSeq = readSeq(reader);
+    const serverTime = reader.f64();
+    const reference = { x: reader.i16(), y: reader.i16(), z: reader.i16() };
+
+    const players = {};
+    const count = reader.u8();
+    for (let i = 0; i < count; i++) {
+      const id = reader.string();
+      const mask = reader.u16();
+      const player = { id };
+      if (mask & FIELD.POSITION) player.position = readPosition(reader, reference);
+      if (mask & FIELD.ROTATION) player.rotation = readQuaternion(reader);
+      if (mask & FIELD.VELOCITY) player.velocity = reader.f32();
+      if (mask & FIELD.NICKNAME) player.nickname = reader.string();
+      if (mask & FIELD.COLOR_INDEX) player.colorIndex = reader.u8();
+      if (mask & FIELD.HEALTH) player.health = reader.u8();
+      if (mask & FIELD.KILLS) player.kills = reader.u16();
+      if (mask & FIELD.IN_RANGE) player.inRange = reader.u8() === 1;
+      if (mask & FIELD.TEAM) player.team = reader.string() || null;
+      if (mask & FIELD.SPAWN_PROTECTED) player.spawnProtected = reader.u8() === 1;
+      players[id] = player;
+    }
+
+    const removed = [];
+    const removedCount = reader.u8();
+    for (let i = 0; i < removedCount; i++) removed.push(reader.string());
+
+    return { seq, baseSeq, serverTime, players, removed };
+  }
+
+  /**
+   * @param {Array} events - [{ shooterId, startPosition, endPosition, likelyHit }]
+   */
+  function encodeLaserFires(events) {
+    const writer = createWriter(128);
+    writer.u8(MESSAGE.LASER_FIRES);
+    writer.u8(Math.min(events.length, 255));
+    events.slice(0, 255).forEach(event => {
+      writer.string(event.shooterId);
+      writer.u8(event.likelyHit ? LASER_LIKELY_HIT : 0);
+      writeBeam(writer, event.startPosition, event.endPosition);
+    });
+    return writer.finish();
+  }
+
+  function decodeLaserFires(reader) {
+    const events = [];
+    const count = reader.u8();
+    for (let i = 0; i < count; i++) {
+      const shooterId = reader.string();
+      const flags = reader.u8();
+      events.push({ shooterId, ...readBeam(reader), likelyHit: !!(flags & LASER_LIKELY_HIT) });
+    }
+    return events;
+  }
+
+  const DECODERS = {
+    [MESSAGE.PLAYER_UPDATE]: decodePlayerUpdate,
+    [MESSAGE.LASER_FIRE]: decodeLaserFire,
+    [MESSAGE.SNAPSHOT]: decodeSnapshot,
+    [MESSAGE.LASER_FIRES]: decodeLaserFires
+  };
+
+  /**
+   * Decode any raw message
+   * @param {ArrayBuffer|ArrayBufferView} data - Raw message as received
+   * @returns {Object|null} { type, data }, or null if the message is not one of ours or is malformed
+   */
+  function decode(data) {
+    if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) return null;
+    try {
+      const reader = createReader(data);
+      const type = reader.u8();
+      const decoder = DECODERS[type];
+      if (!decoder) return null;
+      return { type, data: decoder(reader) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    MESSAGE,
+    POSITION_LIMIT,
+    encodePlayerUpdate,
+    encodeLaserFire,
+    encodeSnapshot,
+    encodeLaserFires,
+    decode
+  };
+})();
+
+// Export for the server (CommonJS) or the browser (global)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NetSchema;
+} else if (typeof window !== 'undefined') {
+  window.NetSchema = NetSchema;
+}
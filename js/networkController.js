@@ -20,12 +20,29 @@ const NetworkController = (function() {
     const MAX_RECONNECT_DELAY = 30000; // Maximum backoff delay: 30 seconds
     let lastConnectionOptions = null; // Store the last connection options for reconnecting
     let isReconnecting = false; // Flag to track if we're in reconnection mode
+    let connectionRejected = false; // Set when the server turns us away (e.g. room full)
+    let spectating = false; // Watching the room without a ship
   
     // Configuration
-    const DEFAULT_SERVER_URL = 'http://fonearcade.com:6198';
+    const DEFAULT_SERVER_URL = 'https://fonearcade.com';
+    const DEFAULT_SERVER_PORT = 6198;
+    const SERVER_OVERRIDE_KEY = 'crusaderx.serverUrl'; // localStorage key for a custom server
+    const PILOT_TOKEN_KEY = 'crusaderx.pilotToken'; // localStorage key for this browser's pilot profile
+    let pilotToken = null;
+    let resumeToken = null; // Issued by the server on join; lets a reconnect take back the same ship
+    let serverAddress = { url: DEFAULT_SERVER_URL, port: DEFAULT_SERVER_PORT };
+    const DEFAULT_ROOM = 'public';
+    let roomName = DEFAULT_ROOM;
+    let gameMode = 'ffa'; // 'ffa' or 'tdm', as announced by the room
+    let localTeam = null; // Our team in team deathmatch
+    let teamScores = null; // { scores: { red, blue }, scoreLimit } in team deathmatch
+    let matchState = null; // { phase, endsAt, localEndsAt, matchNumber } when the room runs matches
     const DEFAULT_UPDATES_PER_SECOND = 10; // Default to 10 updates per second
     let updatesPerSecond = DEFAULT_UPDATES_PER_SECOND;
     let syncIntervalId = null;
+    const IDENTITY_RESEND_INTERVAL = 20; // Updates between repeats of an unchanged nickname/color
+    let lastSentIdentity = null;
+    let updatesSinceIdentity = 0;
     
     // Debugging
     const DEBUG = false; // Enable verbose debugging
@@ -37,6 +54,11 @@ const NetworkController = (function() {
     // For makeing sure we are not using the first player update
     let ignoreFirstPlayerUpdate = true;
     let localPlayerPrevHealth = 100; 
+    // Rebuilt snapshots by seq; the server sends deltas against the newest one we acknowledge.
+    // Shots carry latestSnapshotSeq too, so the server can rewind targets to what we saw.
+    const SNAPSHOT_HISTORY_SIZE = 32;
+    let snapshotHistory = new Map();
+    let latestSnapshotSeq = null;
     /**
      * Debug logging function
      * @param {string} message - Message to log
@@ -54,14 +76,15 @@ const NetworkController = (function() {
   
     function sendLaserFire(laserData) {
         if (isConnected && channel) {
-            channel.emit('laserFire', laserData);
+            channel.raw.emit(NetSchema.encodeLaserFire({ ...laserData, viewSeq: latestSnapshotSeq }));
         }
     }
     
     /**
      * Initialize the network controller
      * @param {Object} options - Configuration options
-     * @param {string} options.serverUrl - Server URL to connect to
+     * @param {string} options.serverUrl - Server URL to connect to (overridden by ?server= or setServerOverride)
+     * @param {number} options.port - Server port
      * @param {Function} options.onConnect - Callback when connected
      * @param {Function} options.onDisconnect - Callback when disconnected
      * @param {Function} options.onPlayerUpdate - Callback when other players update
@@ -70,17 +93,23 @@ const NetworkController = (function() {
      * @param {THREE.Scene} options.scene - Three.js scene for rendering player models
      * @param {Object} options.controls - Controls object for player position and rotation
      * @param {number} options.updatesPerSecond - Number of position updates to send per second (default: 10)
+     * @param {string} options.room - Name of the room to join (default: 'public')
+     * @param {boolean} options.spectate - Watch the room without a ship
      * @returns {boolean} Success status
      */
     function init(options = {}) {
       try {
-        const serverUrl = options.serverUrl || DEFAULT_SERVER_URL;
+        serverAddress = resolveServerAddress(options);
+        const serverUrl = serverAddress.url;
         updatesPerSecond = (options.updatesPerSecond && typeof options.updatesPerSecond === 'number')
           ? Math.max(1, Math.min(60, options.updatesPerSecond))
           : DEFAULT_UPDATES_PER_SECOND;
         logDebug(`Update rate set to ${updatesPerSecond} updates per second`);
+        roomName = options.room || DEFAULT_ROOM;
+        spectating = !!options.spectate;
+        connectionRejected = false;
   
-        console.log(`Initializing NetworkController, connecting to: ${serverUrl} on port ${options.port || 'default'}`);
+        console.log(`Initializing NetworkController, connecting to: ${serverUrl} on port ${serverAddress.port}, room "${roomName}"`);
   
         // Save callbacks and scene
         onPlayerUpdateCallback = options.onPlayerUpdate;
@@ -158,11 +187,7 @@ const NetworkController = (function() {
         return;
       }
       try {
-        const config = {
-          url: serverUrl,
-          port: options.port
-        };
-        channel = geckos(config);
+        channel = geckos(buildConnectionConfig());
         setupEventHandlers(options);
         reconnectAttempts = 0; // reset reconnection attempts on successful connection
         console.log('NetworkController connected to server');
@@ -173,6 +198,568 @@ const NetworkController = (function() {
       }
     }
   
+    /**
+     * Split a server URL such as "http://localhost:6198" into the separate
+     * url/port pair geckos expects. "local" means the server that served this page.
+     * @param {string} value - Server URL
+     * @returns {Object|null} { url, port } or null if the value can't be parsed
+     * @private
+     */
+    function parseServerUrl(value) {
+      try {
+        const raw = value === 'local' ? window.location.origin : value;
+        const parsed = new URL(raw.includes('://') ? raw : `${window.location.protocol}//${raw}`);
+        const port = parsed.port ? Number(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80);
+        return { url: `${parsed.protocol}//${parsed.hostname}`, port };
+      } catch (error) {
+        console.warn(`Ignoring invalid server URL "${value}"`);
+        return null;
+      }
+    }
+
+    /**
+     * Work out which server to connect to.
+     * A ?server=<url> query param wins and is remembered in localStorage, so
+     * later visits keep using it; ?server=default forgets it again.
+     * Otherwise the serverUrl/port passed to init are used.
+     * @param {Object} options - Configuration options
+     * @returns {Object} { url, port }
+     * @private
+     */
+    function resolveServerAddress(options) {
+      let override = null;
+      try {
+        const param = new URLSearchParams(window.location.search).get('server');
+        if (param === 'default') {
+          localStorage.removeItem(SERVER_OVERRIDE_KEY);
+        } else if (param) {
+          localStorage.setItem(SERVER_OVERRIDE_KEY, param);
+        }
+        override = localStorage.getItem(SERVER_OVERRIDE_KEY);
+      } catch (error) {
+        logDebug('localStorage unavailable for server override:', error);
+      }
+
+      if (override) {
+        const parsed = parseServerUrl(override);
+        if (parsed) return parsed;
+      }
+      return {
+        url: options.serverUrl || DEFAULT_SERVER_URL,
+        port: options.port || DEFAULT_SERVER_PORT
+      };
+    }
+
+    /**
+     * Remember (or forget, with null) a custom server to use from the next connection on.
+     * @param {string|null} url - e.g. "http://localhost:6198", "local" or null
+     * @returns {boolean} Whether the value was accepted
+     */
+    function setServerOverride(url) {
+      try {
+        if (!url) {
+          localStorage.removeItem(SERVER_OVERRIDE_KEY);
+          return true;
+        }
+        if (!parseServerUrl(url)) return false;
+        localStorage.setItem(SERVER_OVERRIDE_KEY, url);
+        return true;
+      } catch (error) {
+        logDebug('Could not store server override:', error);
+        return false;
+      }
+    }
+
+    /**
+     * The random token that ties this browser to a pilot profile on the server.
+     * Generated on first use and kept in localStorage; null if storage is unavailable.
+     * @returns {string|null}
+     */
+    function getPilotToken() {
+      if (pilotToken) return pilotToken;
+      try {
+        pilotToken = localStorage.getItem(PILOT_TOKEN_KEY);
+        if (!pilotToken) {
+          const bytes = new Uint8Array(24);
+          window.crypto.getRandomValues(bytes);
+          pilotToken = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+          localStorage.setItem(PILOT_TOKEN_KEY, pilotToken);
+        }
+      } catch (error) {
+        logDebug('Could not read or create pilot token:', error);
+        pilotToken = null;
+      }
+      return pilotToken;
+    }
+
+    /**
+     * Fetch this pilot's saved profile (nickname, color, career stats).
+     * Works before connecting, so the intro screen can use it.
+     * @param {Object} [options] - Same server options as init
+     * @returns {Promise<Object|null>} The profile, or null if there isn't one yet
+     */
+    async function fetchProfile(options = {}) {
+      const token = getPilotToken();
+      if (!token) return null;
+      const address = resolveServerAddress(options);
+      try {
+        const response = await fetch(`${address.url}:${address.port}/api/profile`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if (!response.ok) {
+          logDebug(`No profile available (HTTP ${response.status})`);
+          return null;
+        }
+        return await response.json();
+      } catch (error) {
+        logDebug('Could not fetch pilot profile:', error);
+        return null;
+      }
+    }
+
+    /**
+     * List the match replays the server has recorded
+     * @param {Object} [options] - Same server options as init
+     * @returns {Promise<Array>} [{ name, size, modified }], newest first; empty if the
+     *   server doesn't record replays or can't be reached
+     */
+    async function fetchReplayList(options = {}) {
+      const address = resolveServerAddress(options);
+      try {
+        const response = await fetch(`${address.url}:${address.port}/api/replays`);
+        if (!response.ok) {
+          logDebug(`No replays available (HTTP ${response.status})`);
+          return [];
+        }
+        return await response.json();
+      } catch (error) {
+        logDebug('Could not fetch replay list:', error);
+        return [];
+      }
+    }
+
+    /**
+     * Download one recorded replay
+     * @param {string} name - File name from fetchReplayList
+     * @param {Object} [options] - Same server options as init
+     * @returns {Promise<ArrayBuffer>} The file, for ReplayViewer.load
+     */
+    async function fetchReplay(name, options = {}) {
+      const address = resolveServerAddress(options);
+      const response = await fetch(`${address.url}:${address.port}/api/replays/${encodeURIComponent(name)}`);
+      if (!response.ok) throw new Error(`Replay download failed (HTTP ${response.status})`);
+      return response.arrayBuffer();
+    }
+
+    /**
+     * Tell the server we flew close to a planet or moon (recorded on the pilot profile)
+     * @param {string} bodyName - e.g. 'Mars'
+     */
+    function reportBodyVisited(bodyName) {
+      if (isConnected && channel) {
+        channel.emit('bodyVisited', { body: bodyName }, { reliable: true });
+      }
+    }
+
+    /**
+     * Send a chat message to the room, or to our team
+     * @param {string} text
+     * @param {string} [chatChannel] - 'all' or 'team'
+     * @returns {boolean} False if we are not connected, or only spectating
+     */
+    function sendChat(text, chatChannel = 'all') {
+      if (!isConnected || !channel || spectating) return false;
+      channel.emit('chat', { text, channel: chatChannel }, { reliable: true });
+      return true;
+    }
+
+    /**
+     * Chat from other players, or a system line (joins, leaves, kills)
+     * @param {Object} data - { from, nickname, colorIndex, channel, text } or { system: true, text }
+     * @private
+     */
+    function handleChat(data) {
+      if (!data || typeof data.text !== 'string') return;
+      if (typeof UIController !== 'undefined' && UIController.addChatMessage) {
+        UIController.addChatMessage({ ...data, own: data.from === playerId });
+      }
+    }
+
+    /**
+     * A ship was destroyed: add it to the kill feed, and show a banner if we were involved
+     * @param {Object} data - { killer, victim, weapon, distance, streak, teamKill } with
+     *   killer/victim as { id, nickname, colorIndex, team } (killer may be null)
+     * @private
+     */
+    function handlePlayerKilled(data) {
+      if (!data || !data.victim || typeof CombatHUD === 'undefined') return;
+      CombatHUD.addKillFeedEntry(data);
+      const killerName = data.killer ? data.killer.nickname : 'Unknown';
+      if (data.killer && data.killer.id === playerId) {
+        const streak = data.streak > 1 ? ` (${data.streak} in a row)` : '';
+        CombatHUD.showKillBanner(`You destroyed ${data.victim.nickname}${streak}`, false);
+      } else if (data.victim.id === playerId) {
+        CombatHUD.showKillBanner(`Destroyed by ${killerName}`, true);
+      }
+    }
+
+    /**
+     * Build the geckos client config for a (re)connection.
+     * The requested room, pilot token and resume token travel in the
+     * authorization header, which the server's authorization hook parses.
+     * @returns {Object} geckos client config
+     * @private
+     */
+    function buildConnectionConfig() {
+      const params = new URLSearchParams({ room: roomName });
+      const token = getPilotToken();
+      if (token) params.set('token', token);
+      if (resumeToken) params.set('resume', resumeToken);
+      if (spectating) params.set('spectate', '1');
+      return {
+        url: serverAddress.url,
+        port: serverAddress.port,
+        authorization: params.toString()
+      };
+    }
+
+    /**
+     * Handle a message from the server about the connection itself
+     * @param {Object} data - { type, ... }
+     * @private
+     */
+    function handleServerMessage(data) {
+      if (!data || !data.type) return;
+      logDebug('Server message:', data);
+
+      switch (data.type) {
+        case 'roomJoined':
+          roomName = data.room;
+          gameMode = data.gameMode || 'ffa';
+          localTeam = data.team || null;
+          if (gameMode !== 'tdm') teamScores = null;
+          // An endless room never sends matchState, so forget the last room's
+          setMatchState(null);
+          // Draw the planets where everyone else in the room sees them
+          if (typeof SolarSystem !== 'undefined' && SolarSystem.setClock) {
+            SolarSystem.setClock(data.simClock || null, data.serverTime);
+          }
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            UIController.showNotification(`${data.spectator ? 'Spectating' : 'Joined'} room: ${data.room}`, 3000);
+          }
+          break;
+        case 'roomFull':
+        case 'roomUnavailable':
+          // The server closes the channel right after this; don't hammer it with reconnects
+          connectionRejected = true;
+          stopReconnectionTimer();
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            let reason = `Room "${data.room}" is not available right now`;
+            if (data.type === 'roomFull') {
+              reason = data.spectator
+                ? `Room "${data.room}" already has ${data.maxSpectators} spectators`
+                : `Room "${data.room}" is full (${data.maxPlayers} players)`;
+            }
+            UIController.showNotification(reason, 5000);
+          }
+          break;
+        case 'kicked':
+        case 'banned':
+          // A moderator removed us; reconnecting would only be refused again
+          connectionRejected = true;
+          stopReconnectionTimer();
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            let reason = data.type === 'kicked' ? 'You were kicked from the server' : 'You are banned from this server';
+            if (data.type === 'banned' && data.until) {
+              reason += ` until ${new Date(data.until).toLocaleString()}`;
+            }
+            if (data.reason) reason += `: ${data.reason}`;
+            UIController.showNotification(reason, 10000);
+          }
+          break;
+        case 'announcement':
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            UIController.showNotification(data.message, 8000);
+          }
+          break;
+        case 'rateLimited':
+          // We went well over a rate limit and the server is dropping those messages
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            UIController.showNotification('Connection is sending too fast; some actions were ignored', 5000);
+          }
+          break;
+        case 'syncRate':
+          // Keep our own updates in step with the room's snapshot rate
+          setUpdateRate(data.updatesPerSecond);
+          break;
+        case 'teamScores':
+          teamScores = { scores: data.scores, scoreLimit: data.scoreLimit };
+          updateKillsTable();
+          break;
+        case 'matchState':
+          setMatchState(data);
+          break;
+        case 'matchResults':
+          if (typeof UIController !== 'undefined' && UIController.showMatchResults) {
+            UIController.showMatchResults(data, playerId);
+          }
+          break;
+        case 'matchOver':
+          if (typeof UIController !== 'undefined' && UIController.showNotification) {
+            const result = data.winner === localTeam ? 'Your team wins!' : `Team ${data.winner} wins`;
+            UIController.showNotification(`${result} (${Object.values(data.scores).join(' - ')})`, 8000);
+          }
+          break;
+      }
+    }
+
+    /**
+     * Remember the match phase and hand it to the HUD. endsAt is in server time,
+     * so the deadline is moved onto our own clock using the serverTime it was sent at.
+     * @param {Object|null} data - { phase, endsAt, serverTime, matchNumber }
+     * @private
+     */
+    function setMatchState(data) {
+      matchState = data ? { ...data, localEndsAt: Date.now() + (data.endsAt - data.serverTime) } : null;
+      if (typeof CombatHUD !== 'undefined' && CombatHUD.setMatchState) {
+        CombatHUD.setMatchState(matchState);
+      }
+      if ((!matchState || matchState.phase !== 'postMatch') &&
+          typeof UIController !== 'undefined' && UIController.hideMatchResults) {
+        UIController.hideMatchResults();
+      }
+    }
+
+    /**
+     * The server tells us our id and the token to present if we have to reconnect
+     * @param {Object} data - { id, resumeToken, resumed }
+     * @private
+     */
+    function handleSession(data) {
+      if (!data || !data.resumeToken) return;
+      resumeToken = data.resumeToken;
+      if (data.resumed) {
+        logDebug(`Resumed previous ship as ${data.id}`);
+        if (typeof UIController !== 'undefined' && UIController.showNotification) {
+          UIController.showNotification('Connection restored', 3000);
+        }
+      }
+    }
+
+    /**
+     * Another pilot reconnected: move their ship over to the new id instead of
+     * replacing it, so it keeps its model, health and place in the kills table
+     * @param {Object} data - { previousId, id, ...player state }
+     * @private
+     */
+    function handlePlayerResumed(data) {
+      if (!data || !data.previousId || !data.id) return;
+      logDebug(`Player ${data.previousId} resumed as ${data.id}`);
+      const ship = enemyShips[data.previousId];
+      delete enemyShips[data.previousId];
+      delete players[data.previousId];
+      players[data.id] = data;
+
+      if (ship) {
+        ship.id = data.id;
+        enemyShips[data.id] = ship;
+        ship.setVisible(true);
+        ship.updateState(data);
+      } else if (scene) {
+        createPlayerModel(data.id, data.position, data);
+      }
+    }
+
+    /**
+     * Rebuild the full room state from a (possibly delta) snapshot message
+     * @param {Object} message - { seq, baseSeq, serverTime, players, removed }
+     * @returns {Object|null} { seq, serverTime, players } or null if the message
+     *   is stale or its base snapshot is no longer known
+     * @private
+     */
+    function applySnapshotMessage(message) {
+      if (!message || !message.players || typeof message.seq !== 'number') return null;
+
+      const state = {};
+      if (message.baseSeq !== null) {
+        const base = snapshotHistory.get(message.baseSeq);
+        if (!base) {
+          logDebug(`Dropping snapshot ${message.seq}: base ${message.baseSeq} unknown`);
+          return null;
+        }
+        Object.keys(base.players).forEach(id => { state[id] = { ...base.players[id] }; });
+        (message.removed || []).forEach(id => { delete state[id]; });
+      }
+      Object.keys(message.players).forEach(id => {
+        state[id] = { ...state[id], ...message.players[id] };
+      });
+
+      const snapshot = { seq: message.seq, serverTime: message.serverTime, players: state };
+      snapshotHistory.set(message.seq, snapshot);
+      snapshotHistory.forEach((_, seq) => {
+        if (seq <= message.seq - SNAPSHOT_HISTORY_SIZE) snapshotHistory.delete(seq);
+      });
+
+      // Snapshots are unreliable and can arrive out of order; only render newer ones
+      if (latestSnapshotSeq !== null && message.seq <= latestSnapshotSeq) return null;
+      latestSnapshotSeq = message.seq;
+      return snapshot;
+    }
+
+    /**
+     * Render a batch of other players' shots
+     * @param {Array} laserEvents - [{ shooterId, startPosition, endPosition, likelyHit }]
+     * @private
+     */
+    function handleLaserFires(laserEvents) {
+      // Log receipt for debugging
+      // console.log('Received laser fire events:', laserEvents);
+  
+      // Get the current client's player ID.
+      // Ensure getPlayerId() is accessible/imported correctly in your client code.
+      const myPlayerId = getPlayerId();
+  
+      // Check if we actually got an array of events
+      if (laserEvents && Array.isArray(laserEvents)) {
+        // Process each event in the received array
+        laserEvents.forEach(eventData => {
+          // --- FILTERING LOGIC ---
+          // Check if the event object has a shooterId AND if it matches this client's ID
+          if (eventData.shooterId && eventData.shooterId === myPlayerId) {
+            // It's our own laser event, ignore it (do not render)
+            // console.log("Ignoring own laser fire event from server."); // Optional: uncomment for debugging
+            return; // Skip the rest of the code for this specific event
+          }
+  
+          // --- RENDER LOGIC (Only runs if the filter above didn't 'return') ---
+          // If we reach here, the laser is from *another* player.
+          // console.log(`Rendering remote laser from shooter: ${eventData.shooterId}`); // Optional: uncomment for debugging
+          LaserSystem.renderRemoteLaser(eventData);
+  
+        }); // End of forEach loop
+  
+      } else {
+        // Log a warning if the data isn't what we expect
+        console.warn("Received unexpected data type or empty data for 'laserFires':", laserEvents);
+      }
+    }
+
+    /**
+     * Apply a state snapshot from the server to the local player and remote ships
+     * @param {Object} message - Decoded snapshot { seq, baseSeq, serverTime, players, removed }
+     * @private
+     */
+    function handleSnapshot(message) {
+      const snapshot = applySnapshotMessage(message);
+      if (!snapshot) return;
+      // Hand out copies; the stored snapshot stays untouched as a delta base
+      const allPlayersData = {};
+      Object.keys(snapshot.players).forEach(id => { allPlayersData[id] = { ...snapshot.players[id] }; });
+
+      // Ignore the very first update because it may not have complete player data.
+      if (ignoreFirstPlayerUpdate) {
+        ignoreFirstPlayerUpdate = false;
+        console.log("Ignoring first player update event.");
+        return;
+      }
+      
+      logDebug('Received player update:', allPlayersData);
+      
+      // Update local player's UI before replacing players,
+      // so we can compare with the previous health.
+      const newLocalData = allPlayersData[playerId];
+      if (newLocalData) {
+        if (newLocalData.team !== undefined) localTeam = newLocalData.team;
+        App.setLocalPlayerHealth(newLocalData.health);
+        logDebug(`myData.health: ${newLocalData.health}`);
+        
+        if (typeof newLocalData.health === 'number') {
+          if (typeof CombatHUD !== 'undefined' && typeof CombatHUD.updateHealth === 'function') {
+            CombatHUD.updateHealth(newLocalData.health);
+            if (newLocalData.health < localPlayerPrevHealth && newLocalData.health > 0) {
+              if (typeof UIController !== 'undefined' && typeof UIController.flashDamageIndicator === 'function') {
+                let impactSound = new Audio(Math.random() < 0.5 ? 'soundfx/impact1.mp3' : 'soundfx/impact2.mp3');
+                impactSound.volume = 0.85;
+                impactSound.play().catch(err => console.warn("Impact sound failed:", err));
+                UIController.flashDamageIndicator();
+                logDebug('Triggered cockpit flash indicator.');
+              } else {
+                logDebug('UIController.flashDamageIndicator not available.');
+              }
+            } else if (newLocalData.health > localPlayerPrevHealth) {
+              logDebug('More likely respawn situation.');
+              App.finalizeRespawn();
+            }
+          }
+          // Also update local player's nickname (if needed) and kills count.
+          // (You might not need to update nickname every time if it is static.)
+          localPlayerPrevHealth = newLocalData.health;
+        }
+      }
+      
+      // Now assign the complete state from the server to our players object.
+      players = allPlayersData;
+      
+      // Process remote players (ignoring the local player since it’s already updated)
+      Object.keys(players).forEach(id => {
+        if (id !== playerId) {
+          const remoteData = players[id];
+          // Ships out of the server's interest range only keep their kills-table entry;
+          // hide them rather than tearing them down, they'll be back when in range again
+          if (scene && enemyShips[id]) {
+            if (remoteData.inRange === false) {
+              enemyShips[id].setVisible(false);
+            } else {
+              enemyShips[id].updateState(remoteData);
+              enemyShips[id].setVisible(true);
+            }
+          }
+          if (onPlayerUpdateCallback) {
+            onPlayerUpdateCallback(id, remoteData);
+          }
+        }
+      });
+      
+      updateKillsTable();
+    }
+
+    /**
+     * Refresh the kills table overlay (if instantiated) from the players we know about
+     * @private
+     */
+    function updateKillsTable() {
+      if (!window.killsTableInstance) return;
+      // Convert players object into an array with id, nickname, kills and team.
+      const playersArray = Object.keys(players).map(id => ({
+        id: id,
+        nickname: players[id].nickname || id,
+        kills: players[id].kills || 0,
+        team: players[id].team || null
+      }));
+      window.killsTableInstance.updateTable(playersArray, teamScores);
+    }
+
+    /**
+     * Decode a binary message from the server (see js/netSchema.js)
+     * @param {ArrayBuffer} raw
+     * @private
+     */
+    function handleRawMessage(raw) {
+      const message = NetSchema.decode(raw);
+      if (!message) {
+        logDebug('Ignoring malformed raw message from server');
+        return;
+      }
+      switch (message.type) {
+        case NetSchema.MESSAGE.SNAPSHOT:
+          handleSnapshot(message.data);
+          break;
+        case NetSchema.MESSAGE.LASER_FIRES:
+          handleLaserFires(message.data);
+          break;
+      }
+    }
+
     /**
      * Set up event handlers for the geckos.io channel
      * @param {Object} options - Configuration options with callbacks
@@ -181,60 +768,39 @@ const NetworkController = (function() {
     function setupEventHandlers(options) {
       if (!channel) return;
       
-      channel.on('laserFires', (laserEvents) => {
-        // Log receipt for debugging
-        // console.log('Received laser fire events:', laserEvents);
-    
-        // Get the current client's player ID.
-        // Ensure getPlayerId() is accessible/imported correctly in your client code.
-        const myPlayerId = getPlayerId();
-    
-        // Check if we actually got an array of events
-        if (laserEvents && Array.isArray(laserEvents)) {
-          // Process each event in the received array
-          laserEvents.forEach(eventData => {
-            // --- FILTERING LOGIC ---
-            // Check if the event object has a shooterId AND if it matches this client's ID
-            if (eventData.shooterId && eventData.shooterId === myPlayerId) {
-              // It's our own laser event, ignore it (do not render)
-              // console.log("Ignoring own laser fire event from server."); // Optional: uncomment for debugging
-              return; // Skip the rest of the code for this specific event
-            }
-    
-            // --- RENDER LOGIC (Only runs if the filter above didn't 'return') ---
-            // If we reach here, the laser is from *another* player.
-            // console.log(`Rendering remote laser from shooter: ${eventData.shooterId}`); // Optional: uncomment for debugging
-            LaserSystem.renderRemoteLaser(eventData);
-    
-          }); // End of forEach loop
-    
-        } else {
-          // Log a warning if the data isn't what we expect
-          console.warn("Received unexpected data type or empty data for 'laserFires':", laserEvents);
-        }
-      }); // End of channel.on('laserFires', ...)
       
+      const ownChannel = channel;
       channel.onConnect(error => {
+        // A superseded reconnection attempt must not take over the session
+        if (ownChannel !== channel) return;
         if (error) {
           logDebug('Error on connect:', error);
           if (options.onDisconnect) options.onDisconnect(error);
+          // This attempt failed, so schedule the next one
           startReconnectionTimer(options);
           return;
         }
         isConnected = true;
-        playerId = channel.id;
+        playerId = ownChannel.id;
         isReconnecting = false;
+        // Deltas from a previous connection don't apply to this one
+        snapshotHistory = new Map();
+        latestSnapshotSeq = null;
+        lastSentIdentity = null;
         logDebug(`Connected with ID: ${playerId}`);
-        startSyncInterval();
+        // A spectator has no ship to report
+        if (!spectating) startSyncInterval();
         if (options.onConnect) options.onConnect({ id: playerId });
       });
       
       channel.onDisconnect(() => {
+        // An older reconnection attempt closing doesn't affect the current connection
+        if (ownChannel !== channel) return;
         isConnected = false;
         stopSyncInterval();
         logDebug('Disconnected from server');
         if (options.onDisconnect) options.onDisconnect();
-        startReconnectionTimer(options);
+        if (!connectionRejected) startReconnectionTimer(options);
         removeAllPlayerModels();
       });
       
@@ -247,6 +813,14 @@ const NetworkController = (function() {
         if (onPlayerJoinedCallback) onPlayerJoinedCallback(data);
       });
       
+      // A pilot's connection dropped; hide their ship until they resume or finally leave
+      channel.on('playerDisconnected', data => {
+        logDebug('Player disconnected:', data.id);
+        if (enemyShips[data.id]) enemyShips[data.id].setVisible(false);
+      });
+
+      channel.on('playerResumed', handlePlayerResumed);
+
       channel.on('playerLeft', data => {
         logDebug('Player left:', data.id);
         removePlayerModel(data.id);
@@ -254,82 +828,25 @@ const NetworkController = (function() {
         if (onPlayerLeftCallback) onPlayerLeftCallback(data);
       });
       
-      // Place this variable at the top of your networkController.js module (outside any function)
-
-      channel.on('playerUpdate', (allPlayersData) => {
-        // Ignore the very first update because it may not have complete player data.
-        if (ignoreFirstPlayerUpdate) {
-          ignoreFirstPlayerUpdate = false;
-          console.log("Ignoring first player update event.");
-          return;
-        }
-        
-        logDebug('Received player update:', allPlayersData);
-        
-        // Update local player's UI before replacing players,
-        // so we can compare with the previous health.
-        const newLocalData = allPlayersData[playerId];
-        if (newLocalData) {
-          App.setLocalPlayerHealth(newLocalData.health);
-          logDebug(`myData.health: ${newLocalData.health}`);
-          
-          if (typeof newLocalData.health === 'number') {
-            if (typeof CombatHUD !== 'undefined' && typeof CombatHUD.updateHealth === 'function') {
-              CombatHUD.updateHealth(newLocalData.health);
-              if (newLocalData.health < localPlayerPrevHealth && newLocalData.health > 0) {
-                if (typeof UIController !== 'undefined' && typeof UIController.flashDamageIndicator === 'function') {
-                  let impactSound = new Audio(Math.random() < 0.5 ? 'soundfx/impact1.mp3' : 'soundfx/impact2.mp3');
-                  impactSound.volume = 0.85;
-                  impactSound.play().catch(err => console.warn("Impact sound failed:", err));
-                  UIController.flashDamageIndicator();
-                  logDebug('Triggered cockpit flash indicator.');
-                } else {
-                  logDebug('UIController.flashDamageIndicator not available.');
-                }
-              } else if (newLocalData.health > localPlayerPrevHealth) {
-                logDebug('More likely respawn situation.');
-                App.finalizeRespawn();
-              }
-            }
-            // Also update local player's nickname (if needed) and kills count.
-            // (You might not need to update nickname every time if it is static.)
-            localPlayerPrevHealth = newLocalData.health;
-          }
-        }
-        
-        // Now assign the complete state from the server to our players object.
-        players = allPlayersData;
-        
-        // Process remote players (ignoring the local player since it’s already updated)
-        Object.keys(players).forEach(id => {
-          if (id !== playerId) {
-            const remoteData = players[id];
-            if (scene && enemyShips[id]) {
-              enemyShips[id].updateState(remoteData);
-            }
-            if (onPlayerUpdateCallback) {
-              onPlayerUpdateCallback(id, remoteData);
-            }
-          }
-        });
-        
-        // Update the kills table overlay (if instantiated)
-        if (window.killsTableInstance) {
-          // Convert players object into an array with id, nickname, and kills.
-          const playersArray = Object.keys(players).map(id => ({
-            id: id,
-            nickname: players[id].nickname || id,
-            kills: players[id].kills || 0
-          }));
-          window.killsTableInstance.updateTable(playersArray);
-        }
-      });
       
 
-      // Handle server messages (like assigning initial state)
-      channel.on('serverMessage', data => {
-        // Implementation of serverMessage handling
-      });
+      // Handle server messages (room assignment, rejections)
+      // Snapshots and laser batches arrive as binary raw messages
+      channel.onRaw(handleRawMessage);
+
+      channel.on('serverMessage', handleServerMessage);
+      channel.on('session', handleSession);
+
+      // Latency probe for the admin player list
+      channel.on('ping', data => ownChannel.emit('pong', data));
+
+      channel.on('chat', handleChat);
+      channel.on('playerKilled', handlePlayerKilled);
+
+      // Server refused a movement update and wants us back where it last saw us
+      channel.on('positionCorrection', applyPositionCorrection);
+      // Where the server placed us when we join, resume or respawn
+      channel.on('spawnPoint', handleSpawnPoint);
 
       // Existing 'initialPlayers' handler (if any)
       // Make sure initialPlayers also sets the kills data if available
@@ -352,14 +869,7 @@ const NetworkController = (function() {
           }
         });
         // Also update the kills table after receiving initial players
-        if (window.killsTableInstance) {
-          const playersArray = Object.keys(players).map(id => ({
-            id: id,
-            nickname: players[id].nickname || id,
-            kills: players[id].kills || 0
-          }));
-          window.killsTableInstance.updateTable(playersArray);
-        }
+        updateKillsTable();
         if (onPlayerUpdateCallback) onPlayerUpdateCallback(players);
       });
     }
@@ -405,14 +915,26 @@ const NetworkController = (function() {
         const colorIndex = playerData.colorIndex ?? Math.floor(Math.random() * 6);
         const rotationQuat = getPlayerRotationQuaternion();
         const updateData = {
-          id: playerId,
           position: position,
           rotation: rotationQuat,
           velocity: velocity,
-          nickname: nickname,
-          colorIndex: colorIndex
+          ackSeq: latestSnapshotSeq
         };
-        channel.emit('playerUpdate', updateData);
+
+        // The targeted ship stays at full update rate however far away it is
+        const target = (typeof CombatHUD !== 'undefined' && CombatHUD.getTargetedEnemy) ? CombatHUD.getTargetedEnemy() : null;
+        if (target && target.id) updateData.targetId = target.id;
+
+        // Identity only rides along when it changed, plus every so often in case that update was lost
+        const identity = `${nickname}:${colorIndex}`;
+        updatesSinceIdentity++;
+        if (identity !== lastSentIdentity || updatesSinceIdentity >= IDENTITY_RESEND_INTERVAL) {
+          updateData.nickname = nickname;
+          updateData.colorIndex = colorIndex;
+          lastSentIdentity = identity;
+          updatesSinceIdentity = 0;
+        }
+        channel.raw.emit(NetSchema.encodePlayerUpdate(updateData));
       } catch (error) {
         logDebug('Error sending update:', error);
       }
@@ -576,44 +1098,59 @@ const NetworkController = (function() {
     }
   
     /**
-     * Start the reconnection timer with exponential backoff.
+     * Schedule the next reconnection attempt with exponential backoff. Each
+     * attempt opens one channel; the next is only scheduled once it fails.
      * @param {Object} options
      * @private
      */
     function startReconnectionTimer(options) {
-      stopReconnectionTimer();
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
       lastConnectionOptions = options;
-      isReconnecting = true;
-      reconnectAttempts = 0;
-      logDebug('Starting reconnection attempts with exponential backoff');
+      if (isConnected) {
+        logDebug('Connection reestablished, stopping reconnection timer');
+        stopReconnectionTimer();
+        return;
+      }
+      if (!isReconnecting) {
+        isReconnecting = true;
+        reconnectAttempts = 0;
+        logDebug('Starting reconnection attempts with exponential backoff');
+      }
       
-      function tryReconnect() {
-        if (isConnected) {
-          logDebug('Connection reestablished, stopping reconnection timer');
-          stopReconnectionTimer();
-          return;
+      const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), MAX_RECONNECT_DELAY);
+      logDebug(`Reconnection attempt ${reconnectAttempts + 1} in ${delay}ms`);
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        reconnectAttempts++;
+        // Only one channel may present the resume token, so drop the one this attempt replaces
+        closeSupersededChannel();
+        try {
+          channel = geckos(buildConnectionConfig());
+          setupEventHandlers(options);
+        } catch (error) {
+          logDebug('Error during reconnection attempt:', error);
+          startReconnectionTimer(options);
         }
-        const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), MAX_RECONNECT_DELAY);
-        logDebug(`Reconnection attempt ${reconnectAttempts + 1} in ${delay}ms`);
-        reconnectTimer = setTimeout(() => {
-          try {
-            const config = {
-              url: options.serverUrl || DEFAULT_SERVER_URL,
-              port: options.port
-            };
-            channel = geckos(config);
-            setupEventHandlers(options);
-            reconnectAttempts++;
-            // Schedule next reconnection attempt if not connected yet
-            tryReconnect();
-          } catch (error) {
-            logDebug('Error during reconnection attempt:', error);
-            reconnectAttempts++;
-            tryReconnect();
-          }
-        }, delay);
+      }, delay);
+    }
+  
+    /**
+     * Close the current channel before a reconnection attempt replaces it.
+     * Cleared first, so its own disconnect handler sees it is no longer current.
+     * @private
+     */
+    function closeSupersededChannel() {
+      const superseded = channel;
+      channel = null;
+      if (!superseded) return;
+      try {
+        superseded.close();
+      } catch (error) {
+        logDebug('Error closing superseded channel:', error);
       }
-      tryReconnect();
     }
   
     /**
@@ -640,6 +1177,8 @@ const NetworkController = (function() {
         isConnected = false;
         removeAllPlayerModels();
         logDebug('Disconnected from server');
+        // Leaving on purpose gives up the ship; the server lets it go after its grace period
+        if (!attemptReconnect) resumeToken = null;
         if (attemptReconnect && lastConnectionOptions) {
           startReconnectionTimer(lastConnectionOptions);
         }
@@ -690,35 +1229,21 @@ const NetworkController = (function() {
     }
   
     /**
-     * Sends a respawn request to the server with new position/rotation.
+     * Sends a respawn request to the server.
+     * The server picks the spawn point and answers with a 'spawnPoint' event.
+     * @returns {boolean} False if there is no connection to send it on
      */
     function sendRespawnRequest() {
       if (!isConnected || !channel || !playerId) {
         logDebug('Cannot send respawn request: Not connected or no player ID.');
-        return;
+        return false;
       }
 
       try {
-        // Get new spawn position/rotation using App.positionShipNearEarth
-        // IMPORTANT: Ensure App.positionShipNearEarth is accessible and returns { position, rotation }
-        let spawnData = null;
-        if (typeof App !== 'undefined' && typeof App.positionShipNearEarth === 'function') {
-          spawnData = App.positionShipNearEarth();
-        } else {
-          logDebug('App.positionShipNearEarth function not found. Cannot get spawn location.');
-          // Fallback or error handling needed here?
-          // For now, let's attempt respawn at origin if function missing
-          spawnData = {
-             position: { x: 0, y: 0, z: 110 }, // Default near Earth
-             rotation: { x: 0, y: 0, z: 0, w: 1 } // Default rotation (Quaternion)
-          };
-        }
-
-        if (!spawnData || !spawnData.position || !spawnData.rotation) {
-          logDebug('Failed to get valid spawn data from positionShipNearEarth.');
-          return;
-        }
-
+        const spawnData = {
+          position: getPlayerPosition(),
+          rotation: getPlayerRotationQuaternion()
+        };
         logDebug('Sending respawn request with data:', spawnData);
 
         // Get current player nickname and color to send along
@@ -728,16 +1253,58 @@ const NetworkController = (function() {
         channel.emit('playerUpdate', {
           id: playerId, // Ensure ID is sent, though server uses channel context
           position: spawnData.position,
-          rotation: spawnData.rotation, // Assuming it returns Quaternion
+          rotation: spawnData.rotation,
           velocity: 0, // Reset velocity on respawn
           nickname: currentPlayerData.nickname,
           colorIndex: currentPlayerData.colorIndex,
           isRespawning: true, // The crucial flag
           timestamp: Date.now()
-        });
-
+        }, { reliable: true });
+        return true;
       } catch (error) {
         logDebug('Error sending respawn request:', error);
+        return false;
+      }
+    }
+
+    /**
+     * The server rejected our movement as physically impossible; snap back
+     * to the last position it accepted.
+     * @param {Object} data - { position: {x, y, z} }
+     * @private
+     */
+    function applyPositionCorrection(data) {
+      if (!data || !data.position) return;
+      const obj = controlsReference && typeof controlsReference.getObject === 'function'
+        ? controlsReference.getObject()
+        : null;
+      if (!obj) return;
+
+      console.warn('Server corrected our position:', data.position);
+      obj.position.set(data.position.x, data.position.y, data.position.z);
+      obj.updateMatrixWorld(true);
+    }
+
+    /**
+     * Move the ship to where the server placed it: a spawn point when we join or
+     * respawn, or where the ship was when we resume
+     * @param {Object} data - { position, planet, protectionMs } (planet is null on resume)
+     * @private
+     */
+    function handleSpawnPoint(data) {
+      if (!data || !data.position) return;
+      const obj = controlsReference && typeof controlsReference.getObject === 'function'
+        ? controlsReference.getObject()
+        : null;
+      if (!obj) return;
+
+      obj.position.set(data.position.x, data.position.y, data.position.z);
+      obj.updateMatrixWorld(true);
+      logDebug(data.planet ? `Placed near ${data.planet}:` : 'Placed back at our ship:', data.position);
+
+      if (data.protectionMs > 0 && typeof UIController !== 'undefined') {
+        const seconds = Math.round(data.protectionMs / 1000);
+        UIController.showNotification(`Spawn protection: ${seconds}s (ends when you fire)`);
       }
     }
   
@@ -747,8 +1314,26 @@ const NetworkController = (function() {
       disconnect,
       getPlayers,
       getPlayerId,
+      getRoom: () => roomName,
+      getGameMode: () => gameMode,
+      getLocalTeam: () => localTeam,
+      getTeamScores: () => teamScores,
+      getMatchState: () => matchState,
+      getServerAddress: () => ({ ...serverAddress }),
+      setServerOverride,
+      fetchProfile,
+      fetchReplayList,
+      fetchReplay,
+      reportBodyVisited,
+      sendChat,
       isConnected: isConnectedToServer,
-      getEnemyShips: () => enemyShips,
+      isSpectating: () => spectating,
+      // Offline practice drones, or the ships of a replay, stand in for remote players
+      getEnemyShips: () => {
+        if (typeof PracticeMode !== 'undefined' && PracticeMode.isActive()) return PracticeMode.getDrones();
+        if (typeof ReplayViewer !== 'undefined' && ReplayViewer.isActive()) return ReplayViewer.getShips();
+        return enemyShips;
+      },
       sendPlayerUpdate,
       sendLaserFire, 
       setUpdateRate,
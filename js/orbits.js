@@ -0,0 +1,134 @@
+/**
+ * orbits.js - Where the planets are at a given moment
+ * Shared by the browser (global Orbits) and the server (imported as CommonJS),
+ * so the server can place ships relative to planets the clients are looking at.
+ * Angles are mean longitudes from the J2000 epoch; positions follow the same
+ * ellipse SolarSystem draws the planets on. Everything here is a pure function
+ * of time, and the server publishes the clock (simulationTime) that turns its
+ * own time into that time, so every client draws the planets in the same place.
+ */
+
+const Orbits = (function() {
+  'use strict';
+
+  // Reference: J2000 epoch (January 1, 2000, 12:00 UTC)
+  const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0);
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  // Mean longitude at the J2000 epoch (degrees)
+  // Source: Simplified calculations based on NASA JPL data
+  const MEAN_LONGITUDE_J2000 = {
+    mercury: 252.25,
+    venus: 181.98,
+    earth: 100.47,
+    mars: 355.43,
+    jupiter: 34.40,
+    saturn: 50.08,
+    uranus: 314.06,
+    neptune: 304.35
+  };
+
+  // Orbital periods in days
+  const ORBITAL_PERIOD_DAYS = {
+    mercury: 87.969,
+    venus: 224.701,
+    earth: 365.256,
+    mars: 686.980,
+    jupiter: 4332.589,
+    saturn: 10759.22,
+    uranus: 30688.5,
+    neptune: 60182
+  };
+
+  const DEFAULT_ECCENTRICITY = 0.05; // For planets whose data doesn't say
+
+  /**
+   * The moment the solar system shows at a given real time. A clock
+   * { epoch, timeScale } shows the real date at the real time epoch and from
+   * then on runs timeScale times as fast as real time.
+   * @param {Object|null} clock - { epoch, timeScale } as published by the server; null follows real time
+   * @param {number} [now] - Unix time in ms, on the server's clock
+   * @returns {number} Simulated Unix time in ms, for the other functions here
+   */
+  function simulationTime(clock, now = Date.now()) {
+    if (!clock) return now;
+    return clock.epoch + (now - clock.epoch) * clock.timeScale;
+  }
+
+  /**
+   * Angle of something turning at a steady rate (a moon's orbit, a planet's
+   * spin), counted from J2000 so every client agrees on it
+   * @param {number} periodDays - Days per turn; negative turns the other way
+   * @param {number} [time] - Simulated Unix time in ms, defaults to now
+   * @returns {number} Angle in radians (0 to 2π)
+   */
+  function turnAngle(periodDays, time = Date.now()) {
+    const turns = ((time - J2000) / MS_PER_DAY / periodDays) % 1;
+    return ((turns + 1) % 1) * Math.PI * 2;
+  }
+
+  /**
+   * Mean longitude of a planet at a moment: L = L0 + (days * 360 / orbital_period)
+   * @param {string} name - Planet name (any case)
+   * @param {number} [time] - Unix time in ms, defaults to now
+   * @returns {number|null} Angle in radians (0 to 2π), or null for an unknown planet
+   */
+  function meanLongitude(name, time = Date.now()) {
+    const key = String(name).toLowerCase();
+    if (MEAN_LONGITUDE_J2000[key] === undefined) return null;
+    const daysSinceJ2000 = (time - J2000) / MS_PER_DAY;
+    const degreesMoved = (daysSinceJ2000 * 360 / ORBITAL_PERIOD_DAYS[key]) % 360;
+    const degrees = ((MEAN_LONGITUDE_J2000[key] + degreesMoved) % 360 + 360) % 360;
+    return degrees * Math.PI / 180;
+  }
+
+  /**
+   * Point on an orbit around the Sun (at the origin), in world units
+   * @param {number} semimajorAxis - World units
+   * @param {number} eccentricity
+   * @param {number} inclination - Radians
+   * @param {number} angle - Radians
+   * @returns {Object} { x, y, z }
+   */
+  function orbitPosition(semimajorAxis, eccentricity, inclination, angle) {
+    const distance = semimajorAxis * (1 - eccentricity * eccentricity) /
+                     (1 + eccentricity * Math.cos(angle));
+    const x = distance * Math.cos(angle);
+    const z = distance * Math.sin(angle) * -1;
+    return { x, y: z * Math.sin(inclination), z: z * Math.cos(inclination) };
+  }
+
+  /**
+   * Where a planet is at a moment
+   * @param {Object} planet - CELESTIAL_BODIES entry (name, distance in AU, optional eccentricity and inclination)
+   * @param {number} distanceScale - World units per AU (SCALE.DISTANCE)
+   * @param {number} [time] - Unix time in ms, defaults to now
+   * @returns {Object|null} { x, y, z }, or null for a planet without orbit data
+   */
+  function planetPosition(planet, distanceScale, time = Date.now()) {
+    const angle = meanLongitude(planet.name, time);
+    if (angle === null) return null;
+    return orbitPosition(
+      planet.distance * distanceScale,
+      planet.eccentricity || DEFAULT_ECCENTRICITY,
+      planet.inclination || 0,
+      angle
+    );
+  }
+
+  return {
+    DEFAULT_ECCENTRICITY,
+    PLANETS: Object.keys(MEAN_LONGITUDE_J2000),
+    simulationTime,
+    turnAngle,
+    meanLongitude,
+    orbitPosition,
+    planetPosition
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Orbits;
+} else {
+  window.Orbits = Orbits;
+}
@@ -48,6 +48,7 @@ const PointerLockControls = (function() {
 
         this._onKeyDown = function(event) {
             if (!scope.isLocked) return; // Only handle keys when locked
+            if (event.target && event.target.nodeName === 'INPUT') return; // Typing in chat
             switch (event.code) {
                 case 'KeyA':
                     scope.rollLeftActive = true;
@@ -0,0 +1,287 @@
+/**
+ * practiceMode.js - Offline single-player practice against AI drones
+ * Everything runs in the browser: drones are local EnemyShip instances,
+ * LaserSystem's OBB test decides the player's hits, and drone fire damages
+ * the local ship directly. Started from the intro screen; needs no server.
+ */
+
+const PracticeMode = (function () {
+    'use strict';
+
+    // speed in units/s (the player tops out around 0.35), turnRate in rad/s,
+    // fireInterval in seconds, accuracy is the chance an aimed shot hits
+    const DIFFICULTIES = {
+        easy: { label: 'Easy', drones: 2, speed: 0.04, turnRate: 1.0, fireInterval: 1.2, accuracy: 0.25 },
+        normal: { label: 'Normal', drones: 3, speed: 0.07, turnRate: 1.6, fireInterval: 0.8, accuracy: 0.4 },
+        hard: { label: 'Hard', drones: 4, speed: 0.12, turnRate: 2.4, fireInterval: 0.6, accuracy: 0.5 }
+    };
+    const DEFAULT_DIFFICULTY = 'normal';
+
+    const DRONE_NAMES = ['Drone Alpha', 'Drone Bravo', 'Drone Delta', 'Drone Echo'];
+    const LASER_DAMAGE = 5;               // Same as a server-confirmed hit
+    const LASER_RANGE = 1.5;              // LaserSystem's LASER_MAX_DISTANCE
+    const FIRE_CONE = 0.2;                // radians off the nose a drone will shoot
+    const MISS_OFFSET = 0.25;             // How far a missed shot passes the player
+    const BREAK_OFF_DISTANCE = 0.4;       // Drones peel away when this close...
+    const BREAK_OFF_TIME = 1.5;           // ...for this many seconds
+    const CHASE_DISTANCE = 3;             // Beyond this drones fly at double speed
+    const SPAWN_DISTANCE_MIN = 3;
+    const SPAWN_DISTANCE_MAX = 5;
+    const RESPAWN_DELAY = 4;              // seconds before a destroyed drone is replaced
+
+    let active = false;
+    let scene = null;
+    let settings = DIFFICULTIES[DEFAULT_DIFFICULTY];
+    let difficulty = DEFAULT_DIFFICULTY;
+    let drones = {};                      // id -> EnemyShip, what LaserSystem and CombatHUD target
+    let droneStates = {};                 // id -> { forward, fireTimer, breakOffTimer, breakOffDirection }
+    let respawnTimers = {};               // id -> seconds until the slot gets a new drone
+    let playerKills = 0;
+    let streak = 0;                       // Drones destroyed since the player last died
+    let droneKills = {};
+
+    const worldUp = new THREE.Vector3(0, 1, 0);
+    const lookMatrix = new THREE.Matrix4();
+
+    /**
+     * Start a practice session around the player's current position
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene
+     * @param {string} [options.difficulty] - One of the DIFFICULTIES keys
+     */
+    function start(options) {
+        if (active) stop();
+        scene = options.scene;
+        difficulty = DIFFICULTIES[options.difficulty] ? options.difficulty : DEFAULT_DIFFICULTY;
+        settings = DIFFICULTIES[difficulty];
+        active = true;
+        playerKills = 0;
+        streak = 0;
+
+        for (let i = 0; i < settings.drones; i++) {
+            droneKills[`drone-${i}`] = 0;
+            spawnDrone(`drone-${i}`, DRONE_NAMES[i % DRONE_NAMES.length]);
+        }
+
+        if (typeof UIController !== 'undefined') {
+            if (UIController.getHUDmode && UIController.getHUDmode() !== 'COMBAT') UIController.toggleGameMode();
+            UIController.showNotification(`Practice mode (${settings.label}): ${settings.drones} drones incoming`);
+        }
+        updateKillsTable();
+        console.log(`Practice mode started on ${settings.label}`);
+    }
+
+    function stop() {
+        Object.values(drones).forEach(drone => drone.remove());
+        drones = {};
+        droneStates = {};
+        respawnTimers = {};
+        droneKills = {};
+        active = false;
+    }
+
+    function getPlayerPosition() {
+        const camera = App.getCamera();
+        return camera ? camera.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3();
+    }
+
+    function randomDirection() {
+        return new THREE.Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).normalize();
+    }
+
+    /**
+     * Quaternion for a ship flying along `forward` (ships look down -Z, like the camera)
+     */
+    function rotationFor(position, forward) {
+        lookMatrix.lookAt(position, position.clone().add(forward), worldUp);
+        const quaternion = new THREE.Quaternion().setFromRotationMatrix(lookMatrix);
+        return { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+    }
+
+    /**
+     * Place a drone a few units from the player, facing them
+     */
+    function spawnDrone(id, nickname) {
+        const playerPos = getPlayerPosition();
+        const distance = SPAWN_DISTANCE_MIN + Math.random() * (SPAWN_DISTANCE_MAX - SPAWN_DISTANCE_MIN);
+        const position = playerPos.clone().add(randomDirection().multiplyScalar(distance));
+        const forward = playerPos.clone().sub(position).normalize();
+
+        const drone = new EnemyShip(id, scene, { x: position.x, y: position.y, z: position.z }, rotationFor(position, forward), {
+            nickname,
+            colorIndex: Math.floor(Math.random() * 6),
+            health: 100
+        });
+        // Loads the model, like the first state update of a remote ship does
+        drone.updateColorIndex(drone.colorIndex);
+        drones[id] = drone;
+        droneStates[id] = { forward, fireTimer: settings.fireInterval, breakOffTimer: 0, breakOffDirection: null };
+        delete respawnTimers[id];
+    }
+
+    /**
+     * Advance drone movement, fire and respawns. Called every frame from the app loop.
+     * @param {number} delta - Seconds since the last frame
+     */
+    function update(delta) {
+        if (!active) return;
+        const playerPos = getPlayerPosition();
+        const playerAlive = App.getLocalPlayerHealth() > 0;
+
+        Object.keys(respawnTimers).forEach(id => {
+            respawnTimers[id] -= delta;
+            if (respawnTimers[id] <= 0) spawnDrone(id, drones[id].nickname);
+        });
+
+        Object.keys(drones).forEach(id => {
+            const drone = drones[id];
+            if (drone.isDead) return;
+            const state = droneStates[id];
+            const position = new THREE.Vector3(drone.position.x, drone.position.y, drone.position.z);
+            const toPlayer = playerPos.clone().sub(position);
+            const distance = toPlayer.length();
+
+            // Steer at the player, peeling off when too close to turn onto them
+            let desired = toPlayer.clone().normalize();
+            if (state.breakOffTimer > 0) {
+                state.breakOffTimer -= delta;
+                desired = state.breakOffDirection;
+            } else if (distance < BREAK_OFF_DISTANCE) {
+                state.breakOffTimer = BREAK_OFF_TIME;
+                state.breakOffDirection = desired.clone().negate().add(randomDirection()).normalize();
+                desired = state.breakOffDirection;
+            }
+            const angle = state.forward.angleTo(desired);
+            if (angle > 1e-4) {
+                const step = Math.min(1, (settings.turnRate * delta) / angle);
+                const turn = new THREE.Quaternion().setFromUnitVectors(state.forward, desired);
+                state.forward.applyQuaternion(new THREE.Quaternion().slerp(turn, step)).normalize();
+            }
+
+            const speed = settings.speed * (distance > CHASE_DISTANCE ? 2 : 1);
+            position.addScaledVector(state.forward, speed * delta);
+            drone.updatePosition({ x: position.x, y: position.y, z: position.z });
+            drone.updateRotation(rotationFor(position, state.forward));
+
+            state.fireTimer -= delta;
+            const aimed = state.forward.angleTo(toPlayer) < FIRE_CONE;
+            if (playerAlive && state.fireTimer <= 0 && distance < LASER_RANGE && aimed) {
+                state.fireTimer = settings.fireInterval;
+                fireAtPlayer(id, position, playerPos);
+            }
+        });
+    }
+
+    /**
+     * A drone shoots at the player: hit or miss is a roll against the difficulty's accuracy
+     */
+    function fireAtPlayer(id, position, playerPos) {
+        const hit = Math.random() < settings.accuracy;
+        const end = hit ? playerPos.clone() : playerPos.clone().add(randomDirection().multiplyScalar(MISS_OFFSET));
+        LaserSystem.renderRemoteLaser({ startPosition: position, endPosition: end });
+        if (hit) damagePlayer(id);
+    }
+
+    function damagePlayer(droneId) {
+        const health = Math.max(0, App.getLocalPlayerHealth() - LASER_DAMAGE);
+        App.setLocalPlayerHealth(health);
+        if (typeof CombatHUD !== 'undefined') CombatHUD.updateHealth(health);
+
+        if (health > 0) {
+            const impactSound = new Audio(Math.random() < 0.5 ? 'soundfx/impact1.mp3' : 'soundfx/impact2.mp3');
+            impactSound.volume = 0.85;
+            impactSound.play().catch(err => console.warn("Impact sound failed:", err));
+            if (typeof UIController !== 'undefined') UIController.flashDamageIndicator();
+            return;
+        }
+
+        // The app loop notices zero health and shows the game over screen
+        droneKills[droneId] = (droneKills[droneId] || 0) + 1;
+        updateKillsTable();
+        reportKill(drones[droneId], localPilot());
+    }
+
+    /**
+     * The player's laser hit a drone (LaserSystem decides hits in practice mode)
+     * @param {string} id - Drone id
+     */
+    function damageDrone(id) {
+        const drone = drones[id];
+        if (!active || !drone || drone.isDead) return;
+
+        // updateState plays the same damage and explosion effects as for a remote ship
+        drone.updateState({ health: Math.max(0, drone.health - LASER_DAMAGE) });
+        if (!drone.isDead) return;
+
+        playerKills++;
+        streak++;
+        respawnTimers[id] = RESPAWN_DELAY;
+        updateKillsTable();
+        reportKill(localPilot(), drone);
+    }
+
+    function localPilot() {
+        const playerData = window.playerData || {};
+        return { id: 'local', nickname: playerData.nickname || 'You', colorIndex: playerData.colorIndex || 0 };
+    }
+
+    /**
+     * Show a kill in the HUD's kill feed and banner, shaped like the server's playerKilled event
+     * @param {Object} killer - The local pilot or a drone (EnemyShip)
+     * @param {Object} victim - Likewise
+     */
+    function reportKill(killer, victim) {
+        if (typeof CombatHUD === 'undefined' || !CombatHUD.addKillFeedEntry) return;
+        const playerPos = getPlayerPosition();
+        const dronePos = killer.id === 'local' ? victim.position : killer.position;
+        const pilot = ship => ({ id: ship.id, nickname: ship.nickname, colorIndex: ship.colorIndex, team: null });
+        const playerKilled = victim.id === 'local';
+        if (playerKilled) streak = 0;
+
+        CombatHUD.addKillFeedEntry({
+            killer: pilot(killer),
+            victim: pilot(victim),
+            weapon: 'laser',
+            distance: playerPos.distanceTo(new THREE.Vector3(dronePos.x, dronePos.y, dronePos.z)),
+            streak: playerKilled ? 0 : streak,
+            teamKill: false
+        });
+        CombatHUD.showKillBanner(playerKilled ? `Destroyed by ${killer.nickname}` : `You destroyed ${victim.nickname}`, playerKilled);
+    }
+
+    /**
+     * The player respawned after a game over. There's no server to confirm it,
+     * so finish the respawn here and bring the drones along to the new spot.
+     */
+    function handlePlayerRespawn() {
+        if (typeof CombatHUD !== 'undefined') CombatHUD.updateHealth(100);
+        App.finalizeRespawn();
+        Object.keys(drones).forEach(id => {
+            if (!drones[id].isDead) {
+                drones[id].remove();
+                spawnDrone(id, drones[id].nickname);
+            }
+        });
+    }
+
+    function updateKillsTable() {
+        if (!window.killsTableInstance) return;
+        const nickname = (window.playerData && window.playerData.nickname) || 'You';
+        const rows = [{ id: 'local', nickname, kills: playerKills, team: null }];
+        Object.keys(drones).forEach(id => {
+            rows.push({ id, nickname: drones[id].nickname, kills: droneKills[id] || 0, team: null });
+        });
+        window.killsTableInstance.updateTable(rows);
+    }
+
+    return {
+        DIFFICULTIES,
+        start,
+        stop,
+        update,
+        damageDrone,
+        handlePlayerRespawn,
+        isActive: () => active,
+        getDrones: () => drones
+    };
+})();
@@ -0,0 +1,117 @@
+/**
+ * replayFormat.js - Container format of recorded matches (.cxr files)
+ * Shared by the browser (global ReplayFormat) and the server (imported as CommonJS).
+ * A replay is the magic "CXR1", a length-prefixed JSON header describing the
+ * match, then one record per recorded message. Snapshot and laser records hold
+ * the same js/netSchema.js messages clients receive live; event records hold
+ * JSON. The server gzips the whole file.
+ */
+
+const ReplayFormat = (function() {
+  'use strict';
+
+  const MAGIC = 'CXR1';
+  const VERSION = 1;
+  const FILE_EXTENSION = '.cxr';
+
+  // First byte of every record
+  const RECORD = {
+    SNAPSHOT: 1, // NetSchema snapshot, full or a delta against the previous snapshot record
+    LASERS: 2,   // NetSchema laser batch
+    EVENT: 3     // JSON { type, data }, e.g. playerKilled
+  };
+
+  // kind (u8), time since the match started in ms (u32), payload length (u32)
+  const RECORD_HEADER_BYTES = 9;
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+  }
+
+  /**
+   * The start of a replay file
+   * @param {Object} header - { room, gameMode, matchNumber, startedAt, updatesPerSecond, simClock }
+   * @returns {Uint8Array}
+   */
+  function encodeHeader(header) {
+    const json = textEncoder.encode(JSON.stringify({ version: VERSION, ...header }));
+    const bytes = new Uint8Array(MAGIC.length + 4 + json.length);
+    bytes.set(textEncoder.encode(MAGIC), 0);
+    new DataView(bytes.buffer).setUint32(MAGIC.length, json.length);
+    bytes.set(json, MAGIC.length + 4);
+    return bytes;
+  }
+
+  /**
+   * One record
+   * @param {number} kind - A RECORD value
+   * @param {number} time - ms since the match started
+   * @param {ArrayBuffer|ArrayBufferView|Object} payload - A NetSchema message, or { type, data } for RECORD.EVENT
+   * @returns {Uint8Array}
+   */
+  function encodeRecord(kind, time, payload) {
+    const body = kind === RECORD.EVENT ? textEncoder.encode(JSON.stringify(payload)) : toBytes(payload);
+    const bytes = new Uint8Array(RECORD_HEADER_BYTES + body.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, kind);
+    view.setUint32(1, Math.max(0, Math.round(time)) >>> 0);
+    view.setUint32(5, body.length);
+    bytes.set(body, RECORD_HEADER_BYTES);
+    return bytes;
+  }
+
+  /**
+   * Split an (already decompressed) replay into its header and records
+   * @param {ArrayBuffer|ArrayBufferView} data
+   * @returns {Object} { header, records: [{ kind, time, payload }] }; binary payloads
+   *   are Uint8Arrays for NetSchema.decode, event payloads are parsed JSON
+   * @throws {Error} If the data isn't a replay this version can read
+   */
+  function parse(data) {
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < MAGIC.length + 4 || textDecoder.decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+      throw new Error('Not a Crusader X replay');
+    }
+
+    const headerLength = view.getUint32(MAGIC.length);
+    let offset = MAGIC.length + 4 + headerLength;
+    if (offset > bytes.length) throw new Error('Replay header is truncated');
+    const header = JSON.parse(textDecoder.decode(bytes.subarray(MAGIC.length + 4, offset)));
+    if (header.version !== VERSION) throw new Error(`Unsupported replay version ${header.version}`);
+
+    const records = [];
+    // A file cut short (the server stopped mid-write) still plays up to its last whole record
+    while (offset + RECORD_HEADER_BYTES <= bytes.length) {
+      const kind = view.getUint8(offset);
+      const time = view.getUint32(offset + 1);
+      const length = view.getUint32(offset + 5);
+      const start = offset + RECORD_HEADER_BYTES;
+      if (start + length > bytes.length) break;
+      const body = bytes.subarray(start, start + length);
+      records.push({ kind, time, payload: kind === RECORD.EVENT ? JSON.parse(textDecoder.decode(body)) : body });
+      offset = start + length;
+    }
+    return { header, records };
+  }
+
+  return {
+    VERSION,
+    FILE_EXTENSION,
+    RECORD,
+    encodeHeader,
+    encodeRecord,
+    parse
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReplayFormat;
+} else {
+  window.ReplayFormat = ReplayFormat;
+}
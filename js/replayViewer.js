@@ -0,0 +1,483 @@
+/**
+ * replayViewer.js - Plays back a recorded match (see js/replayFormat.js)
+ * The whole file is unpacked up front into the room state of every recorded
+ * sync tick, so seeking is a lookup. Ships are EnemyShip instances fed the
+ * recorded states, shots go through LaserSystem.renderRemoteLaser and kills
+ * through the kill feed, just like live play, and the planets are moved to
+ * where they were at the playhead. The player's own ship is a free camera
+ * that can't fire. Started from the intro screen; needs no server.
+ */
+
+const ReplayViewer = (function () {
+    'use strict';
+
+    const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+    const SEEK_STEP = 10000;              // ms the , and . keys skip
+    const TELEPORT_DISTANCE = 5;          // units; a ship moving further between two ticks respawned, so don't glide it there
+    const JUMP_OFFSET = new THREE.Vector3(0, 0.3, 0.8); // Where "jump to pilot" puts the camera, relative to the pilot
+
+    let active = false;
+    let scene = null;
+    let replay = null;                    // { header, frames, lasers, events, pilots, duration } from load()
+    let playhead = 0;                     // ms since the match started
+    let speed = 1;
+    let paused = false;
+    let laserCursor = 0;                  // Next laser batch to fire
+    let eventCursor = 0;                  // Next event to show
+    let frameIndex = -1;                  // Frame the kills table was last drawn for
+    let teamScores = null;                // { scores, scoreLimit } as of the playhead
+    let ships = {};                       // id -> EnemyShip, what CombatHUD targets
+    let scrubbing = false;                // The seek slider is being dragged
+    let ui = null;                        // Control bar elements
+
+    const quaternionA = new THREE.Quaternion();
+    const quaternionB = new THREE.Quaternion();
+
+    /**
+     * Unpack a replay file
+     * @param {ArrayBuffer} data - The file as downloaded from the server (gzipped) or unpacked
+     * @returns {Promise<Object>} { header, frames, lasers, events, pilots, duration }
+     * @throws {Error} If the file isn't a replay this version can play
+     */
+    async function load(data) {
+        const bytes = new Uint8Array(data);
+        const unpacked = bytes[0] === 0x1f && bytes[1] === 0x8b ? await gunzip(data) : data;
+        const { header, records } = ReplayFormat.parse(unpacked);
+        const timeline = buildTimeline(records);
+        if (timeline.frames.length === 0) throw new Error('The replay has no recorded ships');
+        return { header, ...timeline };
+    }
+
+    async function gunzip(data) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack replay files');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+
+    /**
+     * Turn records into frames (full room state per tick), laser batches and events
+     */
+    function buildTimeline(records) {
+        const frames = [];
+        const lasers = [];
+        const events = [];
+        const pilots = {};                // id -> nickname of everyone who shows up
+        let state = null;
+        let lastSeq = null;
+
+        records.forEach(record => {
+            if (record.kind === ReplayFormat.RECORD.EVENT) {
+                events.push({ time: record.time, type: record.payload.type, data: record.payload.data });
+                return;
+            }
+            const message = NetSchema.decode(record.payload);
+            if (!message) return;
+
+            if (message.type === NetSchema.MESSAGE.LASER_FIRES) {
+                lasers.push({ time: record.time, events: message.data });
+            } else if (message.type === NetSchema.MESSAGE.SNAPSHOT) {
+                const snapshot = message.data;
+                // A delta needs the tick before it; after a damaged record, wait for the next full snapshot
+                if (snapshot.baseSeq !== null && (state === null || snapshot.baseSeq !== lastSeq)) return;
+                const next = {};
+                if (snapshot.baseSeq !== null) {
+                    Object.keys(state).forEach(id => { next[id] = state[id]; });
+                    snapshot.removed.forEach(id => { delete next[id]; });
+                }
+                Object.keys(snapshot.players).forEach(id => {
+                    next[id] = { ...next[id], ...snapshot.players[id] };
+                    pilots[id] = next[id].nickname || pilots[id] || id;
+                });
+                state = next;
+                lastSeq = snapshot.seq;
+                frames.push({ time: record.time, players: state });
+            }
+        });
+
+        const lastTime = list => (list.length > 0 ? list[list.length - 1].time : 0);
+        const duration = Math.max(lastTime(frames), lastTime(lasers), lastTime(events));
+        return { frames, lasers, events, pilots, duration };
+    }
+
+    /**
+     * Start playing a loaded replay from the beginning
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene
+     * @param {Object} options.replay - What load() returned
+     */
+    function start(options) {
+        if (active) stop();
+        scene = options.scene;
+        replay = options.replay;
+        speed = 1;
+        paused = false;
+        active = true;
+
+        if (typeof UIController !== 'undefined') {
+            if (UIController.getHUDmode && UIController.getHUDmode() !== 'COMBAT') UIController.toggleGameMode();
+            UIController.showNotification(`Replay: ${describe(replay.header)}`, 5000);
+        }
+        createControls();
+        document.addEventListener('keydown', onKeyDown);
+        // Replays recorded before the server published its clock ran in real time
+        if (typeof SolarSystem !== 'undefined') SolarSystem.setClock(replay.header.simClock || null);
+        seek(0);
+        // Start among the ships rather than wherever the intro put us
+        const first = Object.keys(replay.frames[0].players)[0];
+        if (first) jumpToPilot(first);
+        console.log(`Replay started: ${describe(replay.header)}, ${replay.frames.length} snapshots`);
+    }
+
+    function stop() {
+        clearShips();
+        if (typeof SolarSystem !== 'undefined') SolarSystem.pinTime(null);
+        document.removeEventListener('keydown', onKeyDown);
+        if (ui && ui.bar.parentNode) ui.bar.parentNode.removeChild(ui.bar);
+        ui = null;
+        replay = null;
+        active = false;
+    }
+
+    function describe(header) {
+        return `${header.room}, match ${header.matchNumber}, ${new Date(header.startedAt).toLocaleString()}`;
+    }
+
+    function clearShips() {
+        Object.values(ships).forEach(ship => ship.remove());
+        ships = {};
+    }
+
+    /**
+     * Index of the last entry at or before a time (-1 if there is none)
+     * @param {Array} list - Entries sorted by time
+     */
+    function indexAt(list, time) {
+        let low = 0;
+        let high = list.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (list[middle].time <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Jump to a moment. Shots and events before it are skipped, not replayed.
+     * @param {number} time - ms since the match started
+     */
+    function seek(time) {
+        if (!active) return;
+        playhead = Math.max(0, Math.min(replay.duration, time));
+        laserCursor = indexAt(replay.lasers, playhead) + 1;
+        eventCursor = indexAt(replay.events, playhead) + 1;
+        const scores = replay.events.slice(0, eventCursor).filter(event => isTeamScores(event)).pop();
+        teamScores = scores ? { scores: scores.data.scores, scoreLimit: scores.data.scoreLimit } : null;
+        // Rebuild the ships from the new moment rather than flying (or exploding) them there
+        clearShips();
+        frameIndex = -1;
+        renderFrame();
+        updateControls();
+    }
+
+    function isTeamScores(event) {
+        return event.type === 'serverMessage' && event.data && event.data.type === 'teamScores';
+    }
+
+    function setSpeed(value) {
+        if (!SPEEDS.includes(value)) return;
+        speed = value;
+        if (ui) ui.speed.value = String(value);
+    }
+
+    function togglePause() {
+        if (!active) return;
+        // Pressing play at the end starts over
+        if (paused && playhead >= replay.duration) seek(0);
+        paused = !paused;
+        updateControls();
+    }
+
+    /**
+     * Advance the playhead, fire the shots and events it passed and move the ships.
+     * Called every frame from the app loop.
+     * @param {number} delta - Seconds since the last frame
+     */
+    function update(delta) {
+        if (!active) return;
+        if (!paused && !scrubbing) {
+            playhead = Math.min(replay.duration, playhead + delta * 1000 * speed);
+            if (playhead >= replay.duration) paused = true;
+            playEvents();
+            renderFrame();
+        }
+        updateControls();
+    }
+
+    function playEvents() {
+        while (laserCursor < replay.lasers.length && replay.lasers[laserCursor].time <= playhead) {
+            replay.lasers[laserCursor].events.forEach(event => LaserSystem.renderRemoteLaser(event));
+            laserCursor++;
+        }
+        while (eventCursor < replay.events.length && replay.events[eventCursor].time <= playhead) {
+            handleEvent(replay.events[eventCursor]);
+            eventCursor++;
+        }
+    }
+
+    /**
+     * Show a recorded event the way the live client would, minus anything about "you"
+     */
+    function handleEvent(event) {
+        const data = event.data || {};
+        switch (event.type) {
+            case 'playerKilled':
+                if (typeof CombatHUD !== 'undefined' && CombatHUD.addKillFeedEntry) CombatHUD.addKillFeedEntry(data);
+                break;
+            case 'chat':
+                if (typeof UIController !== 'undefined' && UIController.addChatMessage) UIController.addChatMessage({ ...data, own: false });
+                break;
+            case 'serverMessage':
+                if (data.type === 'teamScores') {
+                    teamScores = { scores: data.scores, scoreLimit: data.scoreLimit };
+                    frameIndex = -1; // Redraw the kills table
+                } else if (data.type === 'matchResults' && typeof UIController !== 'undefined' && UIController.showMatchResults) {
+                    UIController.showMatchResults(data, null);
+                } else if (data.type === 'announcement' && typeof UIController !== 'undefined') {
+                    UIController.showNotification(data.message, 8000);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Room state at the playhead, blending the poses of the two ticks around it
+     */
+    function statesAt(index) {
+        const frame = replay.frames[index];
+        const next = replay.frames[index + 1];
+        if (!next || next.time <= frame.time) return frame.players;
+
+        const alpha = (playhead - frame.time) / (next.time - frame.time);
+        const states = {};
+        Object.keys(frame.players).forEach(id => {
+            const a = frame.players[id];
+            const b = next.players[id];
+            if (!b || !a.position || !b.position || !a.rotation || !b.rotation) {
+                states[id] = a;
+                return;
+            }
+            const distance = Math.hypot(b.position.x - a.position.x, b.position.y - a.position.y, b.position.z - a.position.z);
+            if (distance > TELEPORT_DISTANCE) {
+                states[id] = a;
+                return;
+            }
+            quaternionA.set(a.rotation.x, a.rotation.y, a.rotation.z, a.rotation.w);
+            quaternionB.set(b.rotation.x, b.rotation.y, b.rotation.z, b.rotation.w);
+            quaternionA.slerp(quaternionB, alpha);
+            states[id] = {
+                ...a,
+                position: {
+                    x: a.position.x + (b.position.x - a.position.x) * alpha,
+                    y: a.position.y + (b.position.y - a.position.y) * alpha,
+                    z: a.position.z + (b.position.z - a.position.z) * alpha
+                },
+                rotation: { x: quaternionA.x, y: quaternionA.y, z: quaternionA.z, w: quaternionA.w }
+            };
+        });
+        return states;
+    }
+
+    function renderFrame() {
+        // The planets are where they were at that point of the match
+        if (typeof SolarSystem !== 'undefined') SolarSystem.pinTime(replay.header.startedAt + playhead);
+        const index = indexAt(replay.frames, playhead);
+        if (index < 0) return;
+        const states = statesAt(index);
+
+        Object.keys(states).forEach(id => {
+            const state = states[id];
+            let ship = ships[id];
+            if (!ship) {
+                // Dead at this moment: the ship shows up when it respawns
+                if (!(state.health > 0)) return;
+                ship = new EnemyShip(id, scene, state.position, state.rotation, {
+                    nickname: state.nickname,
+                    colorIndex: state.colorIndex,
+                    health: state.health,
+                    team: state.team
+                });
+                // Loads the model, like the first state update of a remote ship does
+                ship.updateColorIndex(ship.colorIndex);
+                ships[id] = ship;
+            }
+            ship.updateState(state);
+        });
+        Object.keys(ships).forEach(id => {
+            if (!states[id]) {
+                ships[id].remove();
+                delete ships[id];
+            }
+        });
+
+        if (index !== frameIndex) {
+            frameIndex = index;
+            updateKillsTable(replay.frames[index].players);
+        }
+    }
+
+    function updateKillsTable(players) {
+        if (!window.killsTableInstance) return;
+        const rows = Object.keys(players).map(id => ({
+            id,
+            nickname: players[id].nickname || id,
+            kills: players[id].kills || 0,
+            team: players[id].team || null
+        }));
+        window.killsTableInstance.updateTable(rows, teamScores);
+    }
+
+    /**
+     * Move the free camera just behind and above a pilot
+     * @param {string} id - Pilot id
+     */
+    function jumpToPilot(id) {
+        const ship = ships[id];
+        if (!ship || ship.isDead) {
+            if (typeof UIController !== 'undefined') UIController.showNotification(`${replay.pilots[id] || id} isn't flying right now`);
+            return;
+        }
+        const rig = App.getControls().getObject();
+        rig.position.set(ship.position.x, ship.position.y, ship.position.z).add(JUMP_OFFSET);
+        rig.updateMatrixWorld(true);
+    }
+
+    function formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * P pauses, [ and ] change the speed, , and . skip back and forward
+     */
+    function onKeyDown(event) {
+        if (event.target && event.target.nodeName === 'INPUT') return;
+        const index = SPEEDS.indexOf(speed);
+        switch (event.code) {
+            case 'KeyP':
+                togglePause();
+                break;
+            case 'BracketLeft':
+                setSpeed(SPEEDS[Math.max(0, index - 1)]);
+                break;
+            case 'BracketRight':
+                setSpeed(SPEEDS[Math.min(SPEEDS.length - 1, index + 1)]);
+                break;
+            case 'Comma':
+                seek(playhead - SEEK_STEP);
+                break;
+            case 'Period':
+                seek(playhead + SEEK_STEP);
+                break;
+        }
+    }
+
+    /**
+     * The playback bar along the bottom of the screen
+     */
+    function createControls() {
+        const bar = document.createElement('div');
+        bar.id = 'replay-controls';
+        Object.assign(bar.style, {
+            position: 'fixed', bottom: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: '1000',
+            display: 'flex', alignItems: 'center', gap: '10px', padding: '8px 14px', width: 'min(720px, 90vw)',
+            boxSizing: 'border-box', backgroundColor: 'rgba(0, 30, 60, 0.8)', border: '1px solid #0af', borderRadius: '6px',
+            color: '#0af', fontFamily: '"Orbitron", sans-serif', fontSize: '12px'
+        });
+        const buttonStyle = {
+            backgroundColor: 'transparent', color: '#0af', border: '1px solid #0af', borderRadius: '4px',
+            padding: '4px 10px', cursor: 'pointer', fontFamily: 'inherit', fontSize: 'inherit'
+        };
+
+        const play = document.createElement('button');
+        Object.assign(play.style, buttonStyle, { minWidth: '64px' });
+        play.addEventListener('click', togglePause);
+
+        const time = document.createElement('span');
+        time.style.whiteSpace = 'nowrap';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = String(replay.duration);
+        slider.step = '100';
+        slider.style.flex = '1';
+        slider.addEventListener('pointerdown', () => { scrubbing = true; });
+        slider.addEventListener('pointerup', () => { scrubbing = false; });
+        slider.addEventListener('change', () => { scrubbing = false; }); // Released outside the slider
+        slider.addEventListener('input', () => seek(Number(slider.value)));
+
+        const speedSelect = document.createElement('select');
+        Object.assign(speedSelect.style, buttonStyle, { backgroundColor: 'rgba(0, 30, 60, 0.9)' });
+        SPEEDS.forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = `${value}x`;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.value = String(speed);
+        speedSelect.addEventListener('change', () => setSpeed(Number(speedSelect.value)));
+
+        const pilotSelect = document.createElement('select');
+        Object.assign(pilotSelect.style, buttonStyle, { backgroundColor: 'rgba(0, 30, 60, 0.9)' });
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Jump to...';
+        pilotSelect.appendChild(placeholder);
+        Object.keys(replay.pilots).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = replay.pilots[id]; // Pilot names are untrusted, so textContent only
+            pilotSelect.appendChild(option);
+        });
+        pilotSelect.addEventListener('change', () => {
+            if (pilotSelect.value) jumpToPilot(pilotSelect.value);
+            pilotSelect.value = '';
+        });
+
+        const exit = document.createElement('button');
+        Object.assign(exit.style, buttonStyle);
+        exit.textContent = 'EXIT';
+        exit.title = 'Back to the intro screen';
+        exit.addEventListener('click', () => window.location.reload());
+
+        [play, time, slider, speedSelect, pilotSelect, exit].forEach(element => bar.appendChild(element));
+        document.body.appendChild(bar);
+        ui = { bar, play, time, slider, speed: speedSelect };
+    }
+
+    function updateControls() {
+        if (!ui) return;
+        ui.play.textContent = paused ? 'PLAY' : 'PAUSE';
+        ui.time.textContent = `${formatTime(playhead)} / ${formatTime(replay.duration)}`;
+        if (!scrubbing) ui.slider.value = String(playhead);
+    }
+
+    return {
+        SPEEDS,
+        load,
+        start,
+        stop,
+        update,
+        seek,
+        setSpeed,
+        togglePause,
+        isActive: () => active,
+        getShips: () => ships
+    };
+})();
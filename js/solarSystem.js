@@ -1,6 +1,8 @@
 /**
  * solarSystem.js - Manages the creation and updates of celestial bodies in the solar system
  * Handles initialization and updating of the Sun, planets, moons, and asteroid belt.
+ * Every position and spin is worked out from the simulated time (see Orbits), which
+ * follows the clock the server publishes, so all clients see the same sky.
  */
 
 const SolarSystem = (function() {
@@ -18,7 +20,17 @@ const SolarSystem = (function() {
     let planets = [];
     let moons = [];
     let asteroidBelt = null;
-    
+
+    const SUN_ROTATION_DAYS = 27;                    // The Sun turns about once every 27 days
+    const ASTEROID_BELT_ROTATION_DAYS = 50 * 365.25; // The belt drifts round once in about 50 years
+    const DEFAULT_MOON_INCLINATION = 0.1;            // radians, for moons whose data doesn't give one
+
+    // The server's simulation clock ({ epoch, timeScale }, null for real time) and how far
+    // the server's Date.now() is ahead of ours. A replay pins the time to its playhead instead.
+    let clock = null;
+    let serverClockOffset = 0;
+    let pinnedTime = null;
+
     // Initialize the solar system
     function init(sceneRef) {
         try {
@@ -31,9 +43,6 @@ const SolarSystem = (function() {
             // Process celestial body data
             const celestialData = CelestialBodies.processCelestialBodies();
             
-            // Get initial planet positions based on current date
-            const initialPositions = getInitialPlanetPositions();
-            
             // Create the sun
             if (celestialData.sun) {
                 sun = CelestialBodies.createBody(celestialData.sun, scene, textureLoader);
@@ -77,9 +86,6 @@ const SolarSystem = (function() {
                 celestialData.planets.forEach(planetData => {
                     const planet = CelestialBodies.createBody(planetData, scene, textureLoader);
                     
-                    // Get the initial angle for this planet based on current date
-                    const initialAngle = initialPositions[planetData.name.toLowerCase()] || Math.random() * Math.PI * 2;
-                    
                     // Create a planet object with all required properties for correct orbit calculation
                     const planetObj = {
                         object: planet,
@@ -87,22 +93,11 @@ const SolarSystem = (function() {
                         data: planetData,
                         // Essential orbital parameters
                         semimajorAxis: planetData.distance * SCALE.DISTANCE,
-                        eccentricity: planetData.eccentricity || 0.05, // Default if not specified
+                        eccentricity: planetData.eccentricity || Orbits.DEFAULT_ECCENTRICITY, // Default if not specified
                         orbitalInclination: planetData.inclination || 0, // Default if not specified
-                        currentAngle: initialAngle, // Initial position based on current date
+                        currentAngle: 0, // Set by placeBodies
                     };
                     
-                    // Calculate initial position
-                    const distance = planetObj.semimajorAxis * (1 - planetObj.eccentricity * planetObj.eccentricity) / 
-                                    (1 + planetObj.eccentricity * Math.cos(initialAngle));
-                    
-                    // Set initial position
-                    const x = distance * Math.cos(initialAngle);
-                    const z = distance * Math.sin(initialAngle) * -1;
-                    const y = z * Math.sin(planetObj.orbitalInclination);
-                    const adjustedZ = z * Math.cos(planetObj.orbitalInclination);
-                    planet.position.set(x, y, adjustedZ);
-                    
                     planets.push(planetObj);
                     
                     // Removed the orbit line creation - no longer displaying orbit rings
@@ -113,9 +108,6 @@ const SolarSystem = (function() {
                         planetData.children.forEach(moonData => {
                             const moon = CelestialBodies.createBody(moonData, scene, textureLoader, planet);
                             
-                            // Initial random angle for moon
-                            const initialMoonAngle = Math.random() * Math.PI * 2;
-                            
                             // Create a moon object with all required properties
                             const moonObj = {
                                 object: moon,
@@ -125,19 +117,11 @@ const SolarSystem = (function() {
                                 // Essential orbital parameters for moons
                                 semimajorAxis: moonData.distance * SCALE.DISTANCE * SCALE.MOON_DISTANCE,
                                 eccentricity: moonData.eccentricity || 0.01,
-                                orbitalInclination: moonData.inclination || Math.random() * 0.2, // Small random inclination if not specified
-                                currentAngle: initialMoonAngle, // Initial angle
+                                // The same on every client, like everything else about the orbits
+                                orbitalInclination: moonData.inclination || DEFAULT_MOON_INCLINATION,
+                                currentAngle: 0, // Set by placeBodies
                             };
                             
-                            // Set initial position for moon
-                            const moonDistance = moonObj.semimajorAxis * (1 - moonObj.eccentricity * moonObj.eccentricity) / 
-                                               (1 + moonObj.eccentricity * Math.cos(initialMoonAngle));
-                            const moonX = moonDistance * Math.cos(initialMoonAngle);
-                            const moonZ = moonDistance * Math.sin(initialMoonAngle);
-                            const moonY = moonZ * Math.sin(moonObj.orbitalInclination);
-                            const moonAdjustedZ = moonZ * Math.cos(moonObj.orbitalInclination);
-                            moon.position.set(moonX, moonY, moonAdjustedZ);
-                            
                             moons.push(moonObj);
                         });
                     }
@@ -149,6 +133,9 @@ const SolarSystem = (function() {
                 asteroidBelt = CelestialBodies.createAsteroidBelt(celestialData.asteroidBelt, scene, textureLoader);
                 celestialObjects.asteroidBelt = asteroidBelt;
             }
+
+            // Initial positions
+            placeBodies(getSimulationTime());
             
             console.log("Solar system initialized successfully");
             return {
@@ -314,60 +301,76 @@ const SolarSystem = (function() {
         }
     }
     
-    // Set realistic orbit speeds and calculate initial positions based on current date
-    function getInitialPlanetPositions() {
-        // Current date for initial planet positions
-        const currentDate = new Date();
-        
-        // Reference: J2000 epoch (January 1, 2000, 12:00 UTC)
-        const j2000 = new Date('2000-01-01T12:00:00Z');
-        
-        // Days since J2000 epoch
-        const daysSinceJ2000 = (currentDate.getTime() - j2000.getTime()) / (1000 * 60 * 60 * 24);
-        
-        // Calculate Mean Longitude for each planet at current date
-        // Formula: L = L0 + (days * 360 / orbital_period)
-        // Source: Simplified calculations based on NASA JPL data
-        
-        // Mean Longitude at J2000 epoch (degrees)
-        const L0 = {
-            mercury: 252.25,
-            venus: 181.98,
-            earth: 100.47,
-            mars: 355.43,
-            jupiter: 34.40,
-            saturn: 50.08,
-            uranus: 314.06,
-            neptune: 304.35
-        };
-        
-        // Orbital periods in days
-        const orbitalPeriods = {
-            mercury: 87.969,
-            venus: 224.701,
-            earth: 365.256,
-            mars: 686.980,
-            jupiter: 4332.589,
-            saturn: 10759.22,
-            uranus: 30688.5,
-            neptune: 60182
-        };
-        
-        // Calculate current mean longitude for each planet
-        const currentLongitude = {};
-        for (const planet in L0) {
-            // Calculate degrees moved since J2000
-            const degreesMoved = (daysSinceJ2000 * 360 / orbitalPeriods[planet]) % 360;
-            // Add to initial longitude and normalize to 0-360
-            currentLongitude[planet] = (L0[planet] + degreesMoved) % 360;
-            // Convert to radians for use in positioning
-            currentLongitude[planet] = currentLongitude[planet] * Math.PI / 180;
+    /**
+     * Follow the server's simulation clock
+     * @param {Object|null} newClock - { epoch, timeScale } (see Orbits.simulationTime); null follows real time
+     * @param {number} [serverTime] - The server's Date.now() when it sent the clock, to line our clock up with it
+     */
+    function setClock(newClock, serverTime) {
+        clock = newClock ? { epoch: newClock.epoch, timeScale: newClock.timeScale } : null;
+        serverClockOffset = typeof serverTime === 'number' ? serverTime - Date.now() : 0;
+        console.log(`Simulation clock: ${clock ? `${clock.timeScale}x since ${new Date(clock.epoch).toISOString()}` : 'real time'}`);
+    }
+
+    /**
+     * Show the solar system as it was at a moment (replays), or null to follow the clock again
+     * @param {number|null} time - Unix time in ms, on the server's clock
+     */
+    function pinTime(time) {
+        pinnedTime = time;
+    }
+
+    // The moment the solar system shows right now
+    function getSimulationTime() {
+        const now = pinnedTime !== null ? pinnedTime : Date.now() + serverClockOffset;
+        return Orbits.simulationTime(clock, now);
+    }
+
+    // Put every body where it is at a simulated moment. Positions and spins are worked
+    // out from the time alone, never accumulated, so a stalled tab catches up in one frame.
+    function placeBodies(time) {
+        if (sun) {
+            sun.rotation.y = Orbits.turnAngle(SUN_ROTATION_DAYS, time);
+        }
+
+        planets.forEach(planetObj => {
+            // Planets Orbits has no mean longitude for still go round at their own pace
+            const angle = Orbits.meanLongitude(planetObj.name, time);
+            planetObj.currentAngle = angle !== null ? angle : Orbits.turnAngle(planetObj.data.orbitalPeriod, time);
+
+            const position = Orbits.orbitPosition(planetObj.semimajorAxis, planetObj.eccentricity,
+                                                  planetObj.orbitalInclination, planetObj.currentAngle);
+            planetObj.object.position.set(position.x, position.y, position.z);
+
+            // A negative rotation period is a retrograde spin
+            planetObj.object.rotation.y = Orbits.turnAngle(planetObj.data.rotationPeriod, time);
+        });
+
+        // Moon positions are relative to their planets
+        moons.forEach(moonObj => {
+            moonObj.currentAngle = Orbits.turnAngle(moonObj.data.orbitalPeriod, time);
+
+            // Calculate distance from planet (elliptical orbit)
+            const semimajorAxis = moonObj.semimajorAxis;
+            const eccentricity = moonObj.eccentricity || 0;
+            const distance = semimajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(moonObj.currentAngle));
+
+            // Calculate rectangular coordinates
+            const x = distance * Math.cos(moonObj.currentAngle);
+            const z = distance * Math.sin(moonObj.currentAngle);
+
+            // Apply inclination
+            const y = z * Math.sin(moonObj.orbitalInclination);
+            const adjustedZ = z * Math.cos(moonObj.orbitalInclination);
+            moonObj.object.position.set(x, y, adjustedZ);
+
+            // Moons are tidally locked: one spin per orbit
+            moonObj.object.rotation.y = moonObj.currentAngle;
+        });
+
+        if (asteroidBelt) {
+            asteroidBelt.rotation.y = Orbits.turnAngle(ASTEROID_BELT_ROTATION_DAYS, time);
         }
-        
-        console.log("Planet positions calculated for current date:", currentDate.toISOString());
-        console.log("Days since J2000:", daysSinceJ2000.toFixed(2));
-        
-        return currentLongitude;
     }
     
     // Update all celestial body positions and rotations
@@ -376,95 +379,7 @@ const SolarSystem = (function() {
             // Get the camera from the App module for sun effects
             const camera = typeof App !== 'undefined' ? App.getCamera() : null;
             
-            // Update Sun rotation
-            if (sun) {
-                // Sun rotates approximately once every 27 days
-                const sunRotationSpeed = 2 * Math.PI / (27 * 24 * 60 * 60); // radians per second
-                sun.rotation.y += sunRotationSpeed * deltaTime;
-            }
-            
-            // Real-time orbital speeds
-            // Using actual seconds for real-time simulation
-            planets.forEach(planetObj => {
-                // Calculate orbital period in seconds
-                const orbitalPeriodSeconds = planetObj.data.orbitalPeriod * 24 * 60 * 60;
-                
-                // Calculate angular velocity in radians per second
-                const angularVelocity = (2 * Math.PI) / orbitalPeriodSeconds;
-                
-                // Update angle based on real time (using deltaTime in seconds)
-                planetObj.currentAngle = (planetObj.currentAngle + angularVelocity * deltaTime) % (2 * Math.PI);
-                
-                // Calculate elliptical orbit coordinates
-                const semimajorAxis = planetObj.semimajorAxis;
-                const eccentricity = planetObj.eccentricity;
-                const distance = semimajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(planetObj.currentAngle));
-                
-                // Calculate rectangular coordinates
-                const x = distance * Math.cos(planetObj.currentAngle);
-                const z = distance * Math.sin(planetObj.currentAngle) * -1; // Invert Z for correct orbit direction
-                
-                // Apply inclination
-                const y = z * Math.sin(planetObj.orbitalInclination);
-                const adjustedZ = z * Math.cos(planetObj.orbitalInclination);
-                
-                // Update position
-                planetObj.object.position.set(x, y, adjustedZ);
-                
-                // Update rotation (different for each planet)
-                // Calculate rotation speed in radians per second
-                const rotationPeriodSeconds = Math.abs(planetObj.data.rotationPeriod) * 24 * 60 * 60;
-                const rotationSpeed = (2 * Math.PI) / rotationPeriodSeconds;
-                
-                // Apply rotation with correct direction
-                const rotationDirection = (planetObj.data.rotationPeriod < 0) ? -1 : 1;
-                planetObj.object.rotation.y += rotationSpeed * deltaTime * rotationDirection;
-            });
-            
-            // Update moon positions and rotations relative to their planets
-            moons.forEach(moonObj => {
-                // Get the parent planet
-                const parentPlanet = planets.find(p => p.name === moonObj.parent);
-                if (!parentPlanet || !parentPlanet.object) return;
-                
-                // Calculate orbital period in seconds
-                const orbitalPeriodSeconds = moonObj.data.orbitalPeriod * 24 * 60 * 60;
-                
-                // Calculate angular velocity in radians per second
-                const angularVelocity = (2 * Math.PI) / orbitalPeriodSeconds;
-                
-                // Update angle based on real time
-                moonObj.currentAngle = (moonObj.currentAngle + angularVelocity * deltaTime) % (2 * Math.PI);
-                
-                // Calculate distance from planet (elliptical orbit)
-                const semimajorAxis = moonObj.semimajorAxis;
-                const eccentricity = moonObj.eccentricity || 0;
-                const distance = semimajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(moonObj.currentAngle));
-                
-                // Calculate rectangular coordinates
-                const x = distance * Math.cos(moonObj.currentAngle);
-                const z = distance * Math.sin(moonObj.currentAngle);
-                
-                // Apply inclination
-                const y = z * Math.sin(moonObj.orbitalInclination);
-                const adjustedZ = z * Math.cos(moonObj.orbitalInclination);
-                
-                // Set position relative to parent
-                moonObj.object.position.set(x, y, adjustedZ);
-                
-                // Update rotation (moons are usually tidally locked)
-                // For tidally locked moons, rotation period equals orbital period
-                const rotationPeriodSeconds = moonObj.data.orbitalPeriod * 24 * 60 * 60;
-                const rotationSpeed = (2 * Math.PI) / rotationPeriodSeconds;
-                moonObj.object.rotation.y += rotationSpeed * deltaTime;
-            });
-            
-            // Update asteroid belt - slow rotation
-            if (asteroidBelt) {
-                // Complete one rotation in approximately 50 years
-                const beltRotationSpeed = (2 * Math.PI) / (50 * 365.25 * 24 * 60 * 60);
-                asteroidBelt.rotation.y += beltRotationSpeed * deltaTime;
-            }
+            placeBodies(getSimulationTime());
             
             // Update sun glow effect if camera is available
             if (camera) {
@@ -571,6 +486,9 @@ const SolarSystem = (function() {
         create,
         update,
         updateSunEffects,
+        setClock,
+        pinTime,
+        getSimulationTime,
         setOrbitSpeed: function(speed) {
             orbitSpeed = speed;
         },
@@ -0,0 +1,167 @@
+/**
+ * spectatorMode.js - Watching a live room without a ship
+ * The server sends spectators every ship in full (see Room.addSpectator), so
+ * NetworkController draws the whole room as usual. The player's own ship
+ * becomes a camera that can't fire: flown freely with the normal controls, or
+ * locked behind one pilot, cycling through them with F and R. The kills table
+ * stays docked on screen. Started from the intro screen.
+ */
+
+const SpectatorMode = (function () {
+    'use strict';
+
+    const FOLLOW_DISTANCE = 0.8;          // units behind the followed ship
+    const FOLLOW_HEIGHT = 0.25;           // units above it
+    const FOLLOW_SMOOTHING = 6;           // per second; higher keeps the camera tighter on the ship
+
+    let active = false;
+    let followId = null;                  // Pilot the camera is locked to; null for the free camera
+    let label = null;                     // Shows who is being followed
+
+    const forward = new THREE.Vector3();
+    const target = new THREE.Vector3();
+    const shipQuaternion = new THREE.Quaternion();
+
+    function start() {
+        if (active) stop();
+        active = true;
+        followId = null;
+
+        if (typeof UIController !== 'undefined') {
+            if (UIController.getHUDmode && UIController.getHUDmode() !== 'COMBAT') UIController.toggleGameMode();
+            UIController.showNotification('Spectating: F / R follow the next / previous pilot, X flies free', 8000);
+        }
+        if (window.killsTableInstance) window.killsTableInstance.pin();
+        createLabel();
+        updateLabel();
+        document.addEventListener('keydown', onKeyDown);
+        console.log('Spectator mode started');
+    }
+
+    function stop() {
+        document.removeEventListener('keydown', onKeyDown);
+        if (label && label.parentNode) label.parentNode.removeChild(label);
+        label = null;
+        followId = null;
+        active = false;
+    }
+
+    /**
+     * Pilots that can be followed right now, in kills-table order
+     */
+    function followablePilots() {
+        const ships = NetworkController.getEnemyShips();
+        return Object.keys(ships)
+            .filter(id => ships[id].visible !== false && !ships[id].isDead)
+            .sort((a, b) => ships[a].nickname.localeCompare(ships[b].nickname));
+    }
+
+    /**
+     * Lock the camera to the next (step 1) or previous (step -1) pilot
+     */
+    function cycle(step) {
+        const ids = followablePilots();
+        if (ids.length === 0) {
+            if (typeof UIController !== 'undefined') UIController.showNotification('Nobody to follow right now');
+            follow(null);
+            return;
+        }
+        const index = ids.indexOf(followId);
+        const next = index === -1
+            ? (step > 0 ? 0 : ids.length - 1)
+            : (index + step + ids.length) % ids.length;
+        follow(ids[next]);
+    }
+
+    /**
+     * @param {string|null} id - Pilot to follow, or null for the free camera
+     */
+    function follow(id) {
+        followId = id;
+        updateLabel();
+    }
+
+    /**
+     * Keep the camera behind the followed pilot, looking where they look
+     */
+    function update(delta) {
+        if (!active || followId === null) return;
+        const ship = NetworkController.getEnemyShips()[followId];
+        if (!ship) {
+            // They left; move on to someone else
+            cycle(1);
+            return;
+        }
+        // While they are dead or out of sight, hold the last view until they are back
+        if (ship.isDead || ship.visible === false || !ship.rotation || ship.rotation.w === undefined) return;
+
+        shipQuaternion.set(ship.rotation.x, ship.rotation.y, ship.rotation.z, ship.rotation.w);
+        forward.set(0, 0, -1).applyQuaternion(shipQuaternion);
+        target.set(ship.position.x, ship.position.y, ship.position.z)
+            .addScaledVector(forward, -FOLLOW_DISTANCE);
+        target.y += FOLLOW_HEIGHT;
+
+        const controls = App.getControls();
+        const t = 1 - Math.exp(-FOLLOW_SMOOTHING * delta);
+        const rig = controls.getObject();
+        rig.position.lerp(target, t);
+
+        // The rig yaws and its child pitches, so aim each at the ship's heading
+        const yawObject = controls.getYawObject();
+        const pitchObject = controls.getPitchObject();
+        const yaw = Math.atan2(-forward.x, -forward.z);
+        const pitch = Math.asin(Math.max(-1, Math.min(1, forward.y)));
+        const yawDelta = Math.atan2(Math.sin(yaw - yawObject.rotation.y), Math.cos(yaw - yawObject.rotation.y));
+        yawObject.rotation.y += yawDelta * t;
+        pitchObject.rotation.x += (pitch - pitchObject.rotation.x) * t;
+    }
+
+    /**
+     * F and R follow the next / previous pilot, X goes back to the free camera
+     */
+    function onKeyDown(event) {
+        if (event.target && event.target.nodeName === 'INPUT') return;
+        switch (event.code) {
+            case 'KeyF':
+                cycle(1);
+                break;
+            case 'KeyR':
+                cycle(-1);
+                break;
+            case 'KeyX':
+                follow(null);
+                break;
+        }
+    }
+
+    function createLabel() {
+        label = document.createElement('div');
+        label.id = 'spectator-label';
+        Object.assign(label.style, {
+            position: 'fixed', bottom: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: '1000',
+            padding: '6px 14px', backgroundColor: 'rgba(0, 30, 60, 0.8)', border: '1px solid #0af', borderRadius: '6px',
+            color: '#0af', fontFamily: '"Orbitron", sans-serif', fontSize: '12px', pointerEvents: 'none'
+        });
+        document.body.appendChild(label);
+    }
+
+    function updateLabel() {
+        if (!label) return;
+        const ship = followId !== null ? NetworkController.getEnemyShips()[followId] : null;
+        // Pilot names are untrusted, so textContent only
+        label.textContent = ship
+            ? `SPECTATING · FOLLOWING ${ship.nickname} · F / R NEXT / PREVIOUS · X FREE CAMERA`
+            : 'SPECTATING · FREE CAMERA · F / R FOLLOW A PILOT';
+    }
+
+    return {
+        start,
+        stop,
+        update,
+        follow,
+        isActive: () => active,
+        getFollowedId: () => followId
+    };
+})();
+
+window.SpectatorMode = SpectatorMode;
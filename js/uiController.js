@@ -20,6 +20,20 @@ const UIController = (function() {
   let helpPageOverlay = null; 
   let creditsPageOverlay = null; 
 
+  // Chat panel
+  const CHAT_MAX_LINES = 50;           // Older lines are dropped from the log
+  const CHAT_LINE_VISIBLE_MS = 10000;  // Lines fade out after this long unless the chat is open
+  const CHAT_MAX_LENGTH = 200;         // Matches the server's cap (server/chatFilter.mjs)
+  let chatPanel = null;
+  let chatLog = null;
+  let chatInput = null;
+  let chatChannelLabel = null;
+  let chatChannel = 'all';
+
+  // End-of-match results overlay
+  let matchResultsOverlay = null;
+  let matchResultsCountdownId = null;
+
   
   /**
    * Initialize the UI controller
@@ -52,6 +66,7 @@ const UIController = (function() {
       };
       createHelpPage();
       createCreditsPage(); 
+      createChatPanel();
       // Make sure the HUD is at least visible if needed (though the main HUD logic is in explorationHUD.js)
       if (domElements.hud) {
         domElements.hud.style.display = "block";
@@ -533,6 +548,8 @@ const UIController = (function() {
                           <li style="margin-bottom: 8px;"><kbd>H</kbd> - Show This Help <em style="font-size: 0.8em; color: #aaa;">(Hold)</em></li>
                           <li style="margin-bottom: 8px;"><kbd>C</kbd> - Show Credits <em style="font-size: 0.8em; color: #aaa;">(Hold)</em></li>
                           <li style="margin-bottom: 8px;"><kbd>M</kbd> - Toggle Music <em style="font-size: 0.8em; color: #aaa;"></em></li>
+                          <li style="margin-bottom: 8px;"><kbd>Enter</kbd> - Chat <em style="font-size: 0.8em; color: #aaa;">(Esc to cancel)</em></li>
+                          <li style="margin-bottom: 8px;"><kbd>T</kbd> - Team Chat</li>
 
                           </ul>
                   </div>
@@ -689,6 +706,265 @@ function hideCreditsPage() {
   setTimeout(() => { creditsPageOverlay.style.display = 'none'; }, 300);
   console.log("Hiding credits page.");
 }
+/**
+ * Creates the chat log (bottom left) and its input line, initially closed.
+ */
+function createChatPanel() {
+  if (document.getElementById('chat-panel')) return;
+
+  chatPanel = document.createElement('div');
+  chatPanel.id = 'chat-panel';
+  Object.assign(chatPanel.style, {
+      position: 'fixed', left: '20px', bottom: '90px', width: '380px', maxWidth: '80vw',
+      zIndex: '1500', fontFamily: 'Arial, sans-serif', fontSize: '14px', pointerEvents: 'none'
+  });
+
+  chatLog = document.createElement('div');
+  chatLog.id = 'chat-log';
+  Object.assign(chatLog.style, {
+      maxHeight: '220px', overflow: 'hidden', display: 'flex', flexDirection: 'column',
+      justifyContent: 'flex-end', textShadow: '1px 1px 2px black'
+  });
+
+  const inputRow = document.createElement('div');
+  inputRow.id = 'chat-input-row';
+  Object.assign(inputRow.style, {
+      display: 'none', alignItems: 'center', marginTop: '6px', padding: '4px 8px',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)', border: '1px solid #00ffff80', borderRadius: '5px',
+      pointerEvents: 'auto'
+  });
+
+  chatChannelLabel = document.createElement('span');
+  chatChannelLabel.style.color = '#00ffff';
+  chatChannelLabel.style.marginRight = '6px';
+
+  chatInput = document.createElement('input');
+  chatInput.id = 'chat-input';
+  chatInput.type = 'text';
+  chatInput.maxLength = CHAT_MAX_LENGTH;
+  chatInput.autocomplete = 'off';
+  Object.assign(chatInput.style, {
+      flex: '1', background: 'transparent', border: 'none', outline: 'none',
+      color: '#ffffff', fontSize: '14px'
+  });
+
+  // Flight keys are ignored while the input has focus (see events.js), so it owns Enter and Escape
+  chatInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      const text = chatInput.value.trim();
+      if (text && typeof NetworkController !== 'undefined' && !NetworkController.sendChat(text, chatChannel)) {
+        const reason = NetworkController.isSpectating() ? 'Spectators can\'t chat' : 'Not connected';
+        addChatMessage({ system: true, text: `${reason}, message not sent` });
+      }
+      closeChat();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      closeChat();
+    }
+  });
+  chatInput.addEventListener('blur', () => closeChat());
+
+  inputRow.appendChild(chatChannelLabel);
+  inputRow.appendChild(chatInput);
+  chatPanel.appendChild(chatLog);
+  chatPanel.appendChild(inputRow);
+  document.body.appendChild(chatPanel);
+}
+
+/**
+ * Opens the chat input. Flight controls ignore keys until it closes.
+ * @param {string} [channel] - 'all' or 'team'
+ */
+function openChat(channel = 'all') {
+  if (!chatInput) createChatPanel();
+  chatChannel = channel;
+  chatChannelLabel.textContent = channel === 'team' ? '[TEAM]' : '[ALL]';
+  chatInput.value = '';
+  chatInput.parentNode.style.display = 'flex';
+  // While open, the whole recent log stays visible
+  Array.from(chatLog.children).forEach(line => { line.style.opacity = '1'; });
+  chatInput.focus();
+}
+
+function closeChat() {
+  if (!chatInput || chatInput.parentNode.style.display === 'none') return;
+  chatInput.parentNode.style.display = 'none';
+  chatInput.value = '';
+  chatInput.blur();
+  const now = Date.now();
+  Array.from(chatLog.children).forEach(line => {
+    if (now - Number(line.dataset.time) > CHAT_LINE_VISIBLE_MS) line.style.opacity = '0';
+  });
+}
+
+function isChatOpen() {
+  return !!chatInput && document.activeElement === chatInput;
+}
+
+/**
+ * Adds a line to the chat log
+ * @param {Object} message - { nickname, colorIndex, channel, text, own } or { system: true, text }
+ */
+function addChatMessage(message) {
+  if (!chatLog) createChatPanel();
+
+  const line = document.createElement('div');
+  line.dataset.time = String(Date.now());
+  Object.assign(line.style, {
+      padding: '2px 6px', marginTop: '2px', borderRadius: '3px', color: '#e0f2ff',
+      backgroundColor: 'rgba(0, 0, 0, 0.45)', transition: 'opacity 1s', wordWrap: 'break-word'
+  });
+
+  // Player text is untrusted, so everything goes in as textContent
+  if (message.system) {
+    line.style.color = '#ffd54f';
+    line.style.fontStyle = 'italic';
+    line.textContent = message.text;
+  } else {
+    if (message.channel === 'team') {
+      const tag = document.createElement('span');
+      tag.style.color = '#00ffff';
+      tag.textContent = '[TEAM] ';
+      line.appendChild(tag);
+    }
+    const name = document.createElement('strong');
+    const color = typeof IntroScreen !== 'undefined' && IntroScreen.COLORS[message.colorIndex];
+    name.style.color = color ? '#' + color.hex.toString(16).padStart(6, '0') : '#ffffff';
+    name.textContent = `${message.nickname || 'Unknown'}: `;
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(message.text));
+  }
+
+  chatLog.appendChild(line);
+  while (chatLog.children.length > CHAT_MAX_LINES) {
+    chatLog.removeChild(chatLog.firstChild);
+  }
+
+  setTimeout(() => {
+    if (line.parentNode && !isChatOpen()) line.style.opacity = '0';
+  }, CHAT_LINE_VISIBLE_MS);
+}
+
+/**
+ * Shows the end-of-match results: winner, MVP and each pilot's kills, deaths and accuracy.
+ * Stays up until the next match's warmup starts (see hideMatchResults).
+ * @param {Object} results - { matchNumber, winner, mvp, scores, pilots } from the server
+ * @param {string} localId - Our player id, to highlight our own row
+ */
+function showMatchResults(results, localId) {
+  hideMatchResults();
+  if (!results || !Array.isArray(results.pilots)) return;
+
+  const colorFor = pilot => {
+    const teamColor = pilot.team && typeof TEAM_COLORS !== 'undefined' ? TEAM_COLORS[pilot.team] : undefined;
+    const shipColor = typeof IntroScreen !== 'undefined' && IntroScreen.COLORS[pilot.colorIndex];
+    const hex = teamColor !== undefined ? teamColor : (shipColor ? shipColor.hex : 0xffffff);
+    return '#' + hex.toString(16).padStart(6, '0');
+  };
+
+  matchResultsOverlay = document.createElement('div');
+  matchResultsOverlay.id = 'match-results-overlay';
+  Object.assign(matchResultsOverlay.style, {
+      position: 'fixed', top: '0', left: '0', width: '100%', height: '100%',
+      backgroundColor: 'rgba(0, 0, 20, 0.8)', zIndex: '27000', display: 'flex',
+      justifyContent: 'center', alignItems: 'center', pointerEvents: 'none',
+      fontFamily: '"Orbitron", sans-serif', color: '#e0f2ff'
+  });
+
+  const content = document.createElement('div');
+  Object.assign(content.style, {
+      backgroundColor: 'rgba(10, 20, 40, 0.9)', padding: '30px 40px', borderRadius: '10px',
+      border: '1px solid #00ffff', boxShadow: '0 0 15px rgba(0, 255, 255, 0.5)',
+      maxHeight: '80vh', overflowY: 'auto', textAlign: 'center'
+  });
+
+  const title = document.createElement('h2');
+  Object.assign(title.style, { color: '#00ffff', letterSpacing: '2px', marginBottom: '10px' });
+  const localPilot = results.pilots.find(pilot => pilot.id === localId);
+  if (results.winner && results.scores) {
+    title.textContent = localPilot && localPilot.team === results.winner ? 'YOUR TEAM WINS' : `TEAM ${results.winner.toUpperCase()} WINS`;
+  } else {
+    title.textContent = results.scores ? 'DRAW' : `MATCH ${results.matchNumber} OVER`;
+  }
+  content.appendChild(title);
+
+  if (results.scores) {
+    const scoreLine = document.createElement('div');
+    scoreLine.style.marginBottom = '10px';
+    scoreLine.textContent = Object.keys(results.scores).map(team => `${team.toUpperCase()} ${results.scores[team]}`).join('  -  ');
+    content.appendChild(scoreLine);
+  }
+
+  const mvp = results.pilots.find(pilot => pilot.id === results.mvp);
+  if (mvp) {
+    const mvpLine = document.createElement('div');
+    Object.assign(mvpLine.style, { color: '#ffd54f', fontSize: '20px', marginBottom: '20px' });
+    mvpLine.textContent = `MVP: ${mvp.nickname || 'Unknown'}`;
+    content.appendChild(mvpLine);
+  }
+
+  const table = document.createElement('table');
+  Object.assign(table.style, { borderCollapse: 'collapse', margin: '0 auto', fontSize: '16px', textAlign: 'left' });
+  const headerRow = document.createElement('tr');
+  ['Pilot', 'Kills', 'Deaths', 'Accuracy'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    Object.assign(th.style, { padding: '6px 16px', borderBottom: '2px solid #0ff', color: '#0ff' });
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  results.pilots.forEach(pilot => {
+    const row = document.createElement('tr');
+    if (pilot.id === localId) row.style.backgroundColor = 'rgba(0, 255, 255, 0.15)';
+    const cells = [
+      pilot.nickname || 'Unknown',
+      pilot.kills,
+      pilot.deaths,
+      `${Math.round((pilot.accuracy || 0) * 100)}%`
+    ];
+    cells.forEach((value, index) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      td.style.padding = '6px 16px';
+      if (index === 0) td.style.color = colorFor(pilot);
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+  content.appendChild(table);
+
+  const footer = document.createElement('div');
+  Object.assign(footer.style, { marginTop: '20px', fontSize: '14px', color: '#aaa' });
+  content.appendChild(footer);
+
+  matchResultsOverlay.appendChild(content);
+  document.body.appendChild(matchResultsOverlay);
+
+  // Count down to the next warmup
+  const updateFooter = () => {
+    const state = typeof NetworkController !== 'undefined' && NetworkController.getMatchState
+      ? NetworkController.getMatchState()
+      : null;
+    const seconds = state ? Math.max(0, Math.ceil((state.localEndsAt - Date.now()) / 1000)) : 0;
+    footer.textContent = `Next match in ${seconds}s`;
+  };
+  updateFooter();
+  matchResultsCountdownId = setInterval(updateFooter, 1000);
+}
+
+function hideMatchResults() {
+  if (matchResultsCountdownId) {
+    clearInterval(matchResultsCountdownId);
+    matchResultsCountdownId = null;
+  }
+  if (matchResultsOverlay && matchResultsOverlay.parentNode) {
+    matchResultsOverlay.parentNode.removeChild(matchResultsOverlay);
+  }
+  matchResultsOverlay = null;
+}
+
   // Return public API
   return {
     init,
@@ -698,6 +974,7 @@ function hideCreditsPage() {
     hideLoadingScreen,
     showModeOverlay,
     toggleGameMode,
+    getHUDmode,
     setMode,
     updatePointerLockStatus,
     showNotification,
@@ -707,6 +984,12 @@ function hideCreditsPage() {
     showHelpPage,
     hideHelpPage,
     showCreditsPage,
-    hideCreditsPage
+    hideCreditsPage,
+    openChat,
+    closeChat,
+    isChatOpen,
+    addChatMessage,
+    showMatchResults,
+    hideMatchResults
   };
 })(); 
@@ -0,0 +1,160 @@
+/**
+ * adminApi.mjs - Authenticated REST API for moderating a running server
+ * Mounted under /api/admin when an admin token is configured. Every request
+ * needs "Authorization: Bearer <admin token>".
+ *
+ *   GET    /api/admin/players               Connected players with ping, health and kills
+ *   POST   /api/admin/players/:id/kick      { reason }
+ *   GET    /api/admin/bans                  Active bans
+ *   POST   /api/admin/bans                  { playerId | ip | profileKey, minutes, reason }
+ *   DELETE /api/admin/bans/:id
+ *   PUT    /api/admin/sync-rate             { updatesPerSecond }
+ *   POST   /api/admin/announcements         { message, room? }
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { MIN_UPDATES_PER_SECOND, MAX_UPDATES_PER_SECOND } from './room.mjs';
+import { logDebug } from './utils.mjs';
+
+const DEFAULT_BAN_MINUTES = 60;
+const MAX_BAN_MINUTES = 7 * 24 * 60;
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+/**
+ * Compare the presented token with the configured one in constant time
+ */
+function isAdminToken(presented, adminToken) {
+  if (typeof presented !== 'string') return false;
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(adminToken).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.adminToken - Shared secret for moderators
+ * @param {Map} options.rooms - Open rooms (roomName -> Room)
+ * @param {BanList} options.bans - Active bans, checked when clients connect
+ * @param {Function} options.setSyncRate - Applies a new sync rate to all (and future) rooms
+ * @returns {express.Router}
+ */
+export function createAdminRouter({ adminToken, rooms, bans, setSyncRate }) {
+  const router = express.Router();
+  router.use(express.json({ limit: '10kb' }));
+
+  router.use((req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !isAdminToken(match[1], adminToken)) {
+      res.status(401).json({ error: 'Admin token required' });
+      return;
+    }
+    next();
+  });
+
+  // Find the room a player is in
+  function findPlayer(playerId) {
+    for (const room of rooms.values()) {
+      const player = room.players.get(playerId);
+      if (player) return { room, player };
+    }
+    return null;
+  }
+
+  router.get('/players', (req, res) => {
+    const players = [];
+    rooms.forEach(room => players.push(...room.listPlayers()));
+    res.json({ players });
+  });
+
+  router.post('/players/:id/kick', (req, res) => {
+    const found = findPlayer(req.params.id);
+    if (!found) {
+      res.status(404).json({ error: 'No such player' });
+      return;
+    }
+    const { reason } = req.body || {};
+    const kickReason = typeof reason === 'string' ? reason.slice(0, MAX_ANNOUNCEMENT_LENGTH) : '';
+    found.room.kickPlayer(req.params.id, kickReason);
+    logDebug(`Admin kicked ${req.params.id}`);
+    res.json({ kicked: req.params.id });
+  });
+
+  router.get('/bans', (req, res) => {
+    res.json({ bans: bans.list() });
+  });
+
+  // Ban a connected player (by their IP and pilot profile), or an IP / profile directly
+  router.post('/bans', (req, res) => {
+    const { playerId, ip, profileKey, reason, minutes } = req.body || {};
+    const durationMinutes = minutes === undefined ? DEFAULT_BAN_MINUTES : Number(minutes);
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_BAN_MINUTES) {
+      res.status(400).json({ error: `minutes must be more than 0 and at most ${MAX_BAN_MINUTES}` });
+      return;
+    }
+
+    let target = { ip: typeof ip === 'string' ? ip : null, profileKey: typeof profileKey === 'string' ? profileKey : null };
+    let found = null;
+    if (playerId) {
+      found = findPlayer(playerId);
+      if (!found) {
+        res.status(404).json({ error: 'No such player' });
+        return;
+      }
+      target = { ip: found.player.ip, profileKey: found.player.profileKey };
+    }
+    if (!target.ip && !target.profileKey) {
+      res.status(400).json({ error: 'Give a playerId, ip or profileKey to ban' });
+      return;
+    }
+
+    const ban = bans.add({
+      ...target,
+      reason: typeof reason === 'string' ? reason.slice(0, MAX_ANNOUNCEMENT_LENGTH) : '',
+      durationMs: durationMinutes * 60 * 1000
+    });
+    if (found) found.room.kickPlayer(playerId, ban.reason || 'Banned');
+    logDebug(`Admin added ban ${ban.id}`, target);
+    res.status(201).json({ ban });
+  });
+
+  router.delete('/bans/:id', (req, res) => {
+    if (!bans.remove(req.params.id)) {
+      res.status(404).json({ error: 'No such ban' });
+      return;
+    }
+    res.json({ removed: req.params.id });
+  });
+
+  router.put('/sync-rate', (req, res) => {
+    const updatesPerSecond = Number((req.body || {}).updatesPerSecond);
+    if (!Number.isInteger(updatesPerSecond) || updatesPerSecond < MIN_UPDATES_PER_SECOND || updatesPerSecond > MAX_UPDATES_PER_SECOND) {
+      res.status(400).json({ error: `updatesPerSecond must be an integer from ${MIN_UPDATES_PER_SECOND} to ${MAX_UPDATES_PER_SECOND}` });
+      return;
+    }
+    setSyncRate(updatesPerSecond);
+    res.json({ updatesPerSecond });
+  });
+
+  router.post('/announcements', (req, res) => {
+    const body = req.body || {};
+    const message = typeof body.message === 'string' ? body.message.trim().slice(0, MAX_ANNOUNCEMENT_LENGTH) : '';
+    if (!message) {
+      res.status(400).json({ error: 'message is required' });
+      return;
+    }
+    if (body.room !== undefined) {
+      const room = rooms.get(body.room);
+      if (!room) {
+        res.status(404).json({ error: 'No such room' });
+        return;
+      }
+      room.announce(message);
+    } else {
+      rooms.forEach(room => room.announce(message));
+    }
+    res.json({ message });
+  });
+
+  return router;
+}
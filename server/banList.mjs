@@ -0,0 +1,64 @@
+/**
+ * banList.mjs - Temporary bans by IP address or pilot profile
+ * Bans are kept in memory and expire on their own; a restart clears them.
+ */
+
+import crypto from 'crypto';
+
+export class BanList {
+  constructor() {
+    this.bans = new Map(); // Map of ban id -> { id, ip, profileKey, reason, until, createdAt }
+  }
+
+  /**
+   * Ban an IP address and/or pilot profile for a while
+   * @param {Object} ban - { ip, profileKey, reason, durationMs }
+   * @returns {Object} The stored ban
+   */
+  add({ ip = null, profileKey = null, reason = '', durationMs }) {
+    const now = Date.now();
+    const ban = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ip,
+      profileKey,
+      reason,
+      until: now + durationMs,
+      createdAt: now
+    };
+    this.bans.set(ban.id, ban);
+    return ban;
+  }
+
+  remove(id) {
+    return this.bans.delete(id);
+  }
+
+  /**
+   * All bans that have not expired yet
+   */
+  list() {
+    this.prune();
+    return [...this.bans.values()];
+  }
+
+  /**
+   * Find a ban matching a connecting client
+   * @param {Object} client - { ip, profileKey }
+   * @returns {Object|null} The ban, or null if the client may connect
+   */
+  find({ ip, profileKey }) {
+    this.prune();
+    for (const ban of this.bans.values()) {
+      if (ban.ip && ban.ip === ip) return ban;
+      if (ban.profileKey && ban.profileKey === profileKey) return ban;
+    }
+    return null;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.bans.forEach((ban, id) => {
+      if (ban.until <= now) this.bans.delete(id);
+    });
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * bots.mjs - Server-side AI pilots that keep quiet rooms busy
+ * Bots are ordinary entries in the room's player map (flagged isBot), so
+ * snapshots, hit detection, teams and matches treat them like anyone else and
+ * clients render them as regular EnemyShips. They fly within the speed and
+ * acceleration limits movementValidator.mjs holds clients to, and their shots
+ * go through Room.handleLaserFire and the laser buffer like a client's.
+ */
+
+import { logDebug } from './utils.mjs';
+import { MAX_VELOCITY, MAX_ACCELERATION, KM_S_TO_UNITS_S, MAX_SPEED_UNITS } from './movementValidator.mjs';
+import { LASER_MAX_DISTANCE } from './hitDetection.mjs';
+import { SAFE_DISTANCE } from './spawnPoints.mjs';
+
+export const DEFAULT_MIN_PILOTS = 4;
+
+const BOT_TICK_MS = 50;
+const CALLSIGNS = ['Viper', 'Maverick', 'Nova', 'Raptor', 'Specter', 'Comet', 'Falcon', 'Orion', 'Jackal', 'Rook', 'Talon', 'Vega'];
+const COLOR_COUNT = 6;                     // Ship colors in js/introScreen.js
+const FIRE_COOLDOWN_MS = 250;              // Same as js/laserSystem.js
+const EMITTER_OFFSET = 0.02;               // units either side of the nose the twin beams start from
+const FIRE_RANGE = LASER_MAX_DISTANCE * 0.95;
+const FIRE_CONE = 0.15;                    // radians off the nose a bot will still shoot at
+const TURN_RATE = 1.8;                     // radians per second
+const REACTION_MS = 250;                   // Bots see targets this far in the past...
+const VELOCITY_SAMPLE_MS = 200;            // ...and judge their velocity over this window
+const AIM_ERROR = 0.06;                    // units of random aim error (a ship's hitbox is ~0.08 wide)
+const COMBAT_SPEED = MAX_VELOCITY * 0.15;  // km/s while dogfighting; chasing is at full speed
+const BREAK_OFF_DISTANCE = 0.3;            // Turn away when this close, then come round again
+const BREAK_OFF_MS = 1500;
+const RETARGET_MS = 2000;
+const RESPAWN_DELAY_MS = 5000;
+const SPAWN_DISTANCE_MIN = SAFE_DISTANCE;  // units from every living human, as for a respawning human
+const SPAWN_DISTANCE_MAX = SAFE_DISTANCE + 3;
+const SPAWN_ATTEMPTS = 8;
+const WORLD_UP = { x: 0, y: 1, z: 0 };
+
+// -----------------
+// Small vector helpers ({x, y, z} objects, like player positions)
+// -----------------
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function scale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+function normalize(v) {
+  const len = length(v);
+  return len > 1e-9 ? scale(v, 1 / len) : { x: 0, y: 0, z: -1 };
+}
+
+function randomDirection() {
+  // Uniform on the sphere
+  const z = Math.random() * 2 - 1;
+  const angle = Math.random() * Math.PI * 2;
+  const r = Math.sqrt(1 - z * z);
+  return { x: r * Math.cos(angle), y: r * Math.sin(angle), z };
+}
+
+/**
+ * Turn a direction towards another by at most maxAngle radians
+ */
+function turnTowards(from, to, maxAngle) {
+  const cos = Math.max(-1, Math.min(1, dot(from, to)));
+  const angle = Math.acos(cos);
+  if (angle <= maxAngle) return to;
+  let perpendicular = sub(to, scale(from, cos));
+  // Pointing straight away: any perpendicular will do
+  if (length(perpendicular) < 1e-6) perpendicular = cross(from, Math.abs(from.y) < 0.9 ? WORLD_UP : { x: 1, y: 0, z: 0 });
+  perpendicular = normalize(perpendicular);
+  return normalize(add(scale(from, Math.cos(maxAngle)), scale(perpendicular, Math.sin(maxAngle))));
+}
+
+/**
+ * Orientation of a ship flying along `forward`, level with the world's up.
+ * Ships look down their -Z axis, like the client's camera rig.
+ * @returns {Object} { rotation: quaternion {x, y, z, w}, right: {x, y, z} }
+ */
+function orientationFor(forward) {
+  const zAxis = scale(forward, -1);
+  let xAxis = cross(WORLD_UP, zAxis);
+  if (length(xAxis) < 1e-6) xAxis = cross({ x: 0, y: 0, z: 1 }, zAxis);
+  xAxis = normalize(xAxis);
+  const yAxis = cross(zAxis, xAxis);
+
+  // Rotation matrix (columns x, y, z) to quaternion, as in THREE.Quaternion.setFromRotationMatrix
+  const m11 = xAxis.x, m12 = yAxis.x, m13 = zAxis.x;
+  const m21 = xAxis.y, m22 = yAxis.y, m23 = zAxis.y;
+  const m31 = xAxis.z, m32 = yAxis.z, m33 = zAxis.z;
+  const trace = m11 + m22 + m33;
+  let rotation;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    rotation = { x: (m32 - m23) * s, y: (m13 - m31) * s, z: (m21 - m12) * s, w: 0.25 / s };
+  } else if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    rotation = { x: 0.25 * s, y: (m12 + m21) / s, z: (m13 + m31) / s, w: (m32 - m23) / s };
+  } else if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    rotation = { x: (m12 + m21) / s, y: 0.25 * s, z: (m23 + m32) / s, w: (m13 - m31) / s };
+  } else {
+    const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+    rotation = { x: (m13 + m31) / s, y: (m23 + m32) / s, z: 0.25 * s, w: (m21 - m12) / s };
+  }
+  return { rotation, right: xAxis };
+}
+
+export class BotManager {
+  /**
+   * @param {Room} room - The room the bots fly in
+   * @param {Object} [options]
+   * @param {number} [options.minPilots] - Bots top the room up to this many pilots while
+   *   at least one human is playing, and make way as more humans join
+   */
+  constructor(room, { minPilots = DEFAULT_MIN_PILOTS } = {}) {
+    this.room = room;
+    this.minPilots = minPilots;
+    this.intervalId = null;
+    this.lastUpdate = null;
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.lastUpdate = Date.now();
+    this.intervalId = setInterval(() => this.update(), BOT_TICK_MS);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  getBots() {
+    return [...this.room.players.values()].filter(player => player.isBot);
+  }
+
+  /**
+   * Add or remove bots so humans plus bots reach minPilots. An empty room has
+   * no bots, and bots never take a seat a human (or a returning human) needs.
+   */
+  rebalance() {
+    const { room } = this;
+    const humans = room.humanCount();
+    const freeSeats = room.maxPlayers - humans - room.disconnectedPlayers.size;
+    const wanted = humans > 0 ? Math.max(0, Math.min(this.minPilots - humans, freeSeats)) : 0;
+
+    const bots = this.getBots();
+    for (let count = bots.length; count < wanted; count++) {
+      if (!this.addBot()) break;
+    }
+    // Newest bots leave first
+    bots.slice(wanted).reverse().forEach(bot => {
+      room.removeBot(bot.id);
+      room.systemMessage(`${bot.nickname} left`);
+    });
+  }
+
+  /**
+   * @returns {boolean} False if there is nowhere to put a bot yet
+   */
+  addBot() {
+    const spawn = this.pickSpawn();
+    if (!spawn) return false;
+    const taken = new Set(this.getBots().map(bot => bot.nickname));
+    const callsign = CALLSIGNS.find(name => !taken.has(`BOT ${name}`)) || CALLSIGNS[taken.size % CALLSIGNS.length];
+    const bot = this.room.addBot({
+      nickname: `BOT ${callsign}`,
+      colorIndex: Math.floor(Math.random() * COLOR_COUNT),
+      position: spawn.position,
+      rotation: orientationFor(spawn.forward).rotation
+    });
+    bot.bot = this.newBotState(spawn.forward);
+    logDebug(`Room "${this.room.name}" added bot ${bot.id} (${bot.nickname})`);
+    return true;
+  }
+
+  newBotState(forward) {
+    return {
+      forward,
+      targetId: null,
+      retargetAt: 0,
+      nextFireAt: 0,
+      breakOffUntil: 0,
+      breakOffDirection: null,
+      respawnAt: null
+    };
+  }
+
+  /**
+   * A spot a few units from a random human pilot (alive if possible), facing them.
+   * Like a human's respawn point it keeps clear of every living human, so a bot
+   * never appears on top of someone; steering brings it into the fight.
+   * @returns {Object|null} { position, forward }, or null while no human has been placed
+   */
+  pickSpawn() {
+    // A ship the server hasn't placed yet (see Room.addChannel) sits at the origin, inside the Sun
+    const humans = [...this.room.players.values()].filter(player => !player.isBot && player.lastMoveTime);
+    if (humans.length === 0) return null;
+    const living = humans.filter(player => player.health > 0);
+    const pool = living.length > 0 ? living : humans;
+
+    let best = null;
+    for (let i = 0; i < SPAWN_ATTEMPTS; i++) {
+      const anchor = pool[Math.floor(Math.random() * pool.length)].position;
+      const distance = SPAWN_DISTANCE_MIN + Math.random() * (SPAWN_DISTANCE_MAX - SPAWN_DISTANCE_MIN);
+      const position = add(anchor, scale(randomDirection(), distance));
+      const clearance = Math.min(...living.map(human => length(sub(human.position, position))));
+      if (!best || clearance > best.clearance) best = { anchor, position, clearance };
+      if (clearance >= SPAWN_DISTANCE_MIN) break;
+    }
+    return { position: best.position, forward: normalize(sub(best.anchor, best.position)) };
+  }
+
+  update() {
+    const now = Date.now();
+    const dt = Math.min(0.25, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+
+    this.rebalance();
+    this.getBots().forEach(bot => this.updateBot(bot, now, dt));
+  }
+
+  updateBot(bot, now, dt) {
+    const state = bot.bot;
+    if (bot.health <= 0) {
+      // Wait a bit, like a human on the game over screen, then come back near the action
+      if (state.respawnAt === null) state.respawnAt = now + RESPAWN_DELAY_MS;
+      if (now >= state.respawnAt) this.respawn(bot, now);
+      return;
+    }
+
+    const room = this.room;
+    const target = this.findTarget(bot, now);
+    let desired = state.forward;
+    let desiredSpeed = COMBAT_SPEED;
+    let aim = null;
+
+    if (target) {
+      const lead = this.leadTarget(target.id, now);
+      const toTarget = sub(lead, bot.position);
+      const distance = length(toTarget);
+
+      if (now < state.breakOffUntil) {
+        desired = state.breakOffDirection;
+      } else if (distance < BREAK_OFF_DISTANCE) {
+        // Too close to turn onto them: peel off and come round again
+        state.breakOffUntil = now + BREAK_OFF_MS;
+        state.breakOffDirection = normalize(add(scale(normalize(toTarget), -1), randomDirection()));
+        desired = state.breakOffDirection;
+      } else {
+        desired = normalize(toTarget);
+      }
+      desiredSpeed = distance > FIRE_RANGE ? MAX_VELOCITY : COMBAT_SPEED;
+
+      if (distance <= FIRE_RANGE) {
+        const aimPoint = add(lead, scale(randomDirection(), Math.random() * AIM_ERROR));
+        aim = normalize(sub(aimPoint, bot.position));
+      }
+    }
+
+    // Same limits the server holds clients to: turn rate, thrust and top speed
+    state.forward = turnTowards(state.forward, desired, TURN_RATE * dt);
+    const speedChange = Math.max(-MAX_ACCELERATION * dt, Math.min(MAX_ACCELERATION * dt, desiredSpeed - bot.velocity));
+    bot.velocity = Math.max(0, Math.min(MAX_VELOCITY, bot.velocity + speedChange));
+
+    const orientation = orientationFor(state.forward);
+    bot.position = add(bot.position, scale(state.forward, bot.velocity * KM_S_TO_UNITS_S * dt));
+    bot.rotation = orientation.rotation;
+    bot.timestamp = now;
+    bot.lastMoveTime = now;
+    room.history.get(bot.id)?.record(now, bot.position, bot.rotation);
+
+    const matchOver = room.match && room.match.isOver();
+    if (aim && !matchOver && now >= state.nextFireAt && Math.acos(Math.min(1, dot(aim, state.forward))) <= FIRE_CONE) {
+      state.nextFireAt = now + FIRE_COOLDOWN_MS;
+      this.fire(bot, aim, orientation.right);
+    }
+  }
+
+  /**
+   * The bot's current target, re-picked every RETARGET_MS or when it dies.
+   * Humans are preferred over other bots.
+   */
+  findTarget(bot, now) {
+    const { room } = this;
+    const state = bot.bot;
+    const current = state.targetId ? room.players.get(state.targetId) : null;
+    if (current && current.health > 0 && now < state.retargetAt) return current;
+
+    let best = null;
+    let bestScore = Infinity;
+    room.players.forEach(other => {
+      if (other.id === bot.id || other.health <= 0) return;
+      if (room.teamMatch && room.teamMatch.isFriendly(bot, other)) return;
+      const score = length(sub(other.position, bot.position)) * (other.isBot ? 1.5 : 1);
+      if (score < bestScore) {
+        bestScore = score;
+        best = other;
+      }
+    });
+    state.targetId = best ? best.id : null;
+    state.retargetAt = now + RETARGET_MS;
+    return best;
+  }
+
+  /**
+   * Where to shoot: the target as the bot saw it REACTION_MS ago, moved on by
+   * the velocity it had then, so the bot leads a moving ship instead of
+   * aiming where it used to be
+   */
+  leadTarget(targetId, now) {
+    const seenAt = now - REACTION_MS;
+    const seen = this.room.getPoseAt(targetId, seenAt).position;
+    const before = this.room.getPoseAt(targetId, seenAt - VELOCITY_SAMPLE_MS).position;
+    let velocity = scale(sub(seen, before), 1000 / VELOCITY_SAMPLE_MS);
+    // A respawn jump inside the window isn't movement
+    if (length(velocity) > MAX_SPEED_UNITS) velocity = { x: 0, y: 0, z: 0 };
+    return add(seen, scale(velocity, REACTION_MS / 1000));
+  }
+
+  /**
+   * Fire both lasers, the way a client's LaserSystem does
+   */
+  fire(bot, aim, right) {
+    const endPosition = add(bot.position, scale(aim, LASER_MAX_DISTANCE));
+    [-EMITTER_OFFSET, EMITTER_OFFSET].forEach(offset => {
+      this.room.handleLaserFire(bot.id, {
+        startPosition: add(bot.position, scale(right, offset)),
+        endPosition,
+        likelyHit: false
+      });
+    });
+  }
+
+  respawn(bot, now) {
+    const spawn = this.pickSpawn();
+    if (!spawn) return;
+    this.room.respawnBot(bot.id, spawn.position, orientationFor(spawn.forward).rotation, now);
+    bot.bot = this.newBotState(spawn.forward);
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * chatFilter.mjs - Cleans up chat text before it is relayed to other players
+ */
+
+export const MAX_CHAT_LENGTH = 200;
+
+// Matched as whole words (case-insensitive), with common letter swaps folded in below
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'pussy',
+  'fag', 'faggot', 'nigger', 'nigga', 'retard', 'whore', 'slut'
+];
+
+// Characters people substitute to get around a word list
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const BLOCKED = new Set(BLOCKED_WORDS);
+
+// Control characters and zero-width/bidi marks that can garble the chat log
+const INVISIBLE_PATTERN = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/./g, ch => LOOKALIKES[ch] || ch).replace(/(.)\1+/g, '$1$1');
+}
+
+function isBlocked(word) {
+  const normalized = normalizeWord(word);
+  // "fuuuck" folds to "fuuck"; also try with doubled letters collapsed
+  return BLOCKED.has(normalized) || BLOCKED.has(normalized.replace(/(.)\1/g, '$1'));
+}
+
+/**
+ * Make a chat message safe to relay
+ * @param {*} text - Text as received from the client
+ * @returns {string|null} Cleaned text, or null if nothing is left to send
+ */
+export function filterChatText(text) {
+  if (typeof text !== 'string') return null;
+  const cleaned = text
+    .replace(INVISIBLE_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_CHAT_LENGTH);
+  if (!cleaned) return null;
+
+  return cleaned.replace(/[\w@$]+/g, word => (isBlocked(word) ? '*'.repeat(word.length) : word));
+}
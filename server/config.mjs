@@ -0,0 +1,315 @@
+/**
+ * config.mjs - Server configuration for Crusader X
+ * Settings are layered: built-in defaults < JSON config file < environment
+ * variables < command line flags. Run `node server/server.mjs --help` for the flags.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { GAME_MODES, DEFAULT_SCORE_LIMIT } from './teams.mjs';
+import { DEFAULT_SPAWN_PLANETS, DEFAULT_SPAWN_PROTECTION_MS, resolveSpawnPlanets } from './spawnPoints.mjs';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+// A year of planet motion in about five minutes is as fast as anyone could want
+const MAX_TIME_SCALE = 100000;
+
+const DEFAULTS = {
+  host: '0.0.0.0',
+  port: 6198,
+  tls: true,
+  tlsKey: '/etc/letsencrypt/live/fonearcade.com/privkey.pem',
+  tlsCert: '/etc/letsencrypt/live/fonearcade.com/fullchain.pem',
+  // 'default' uses geckos' public STUN servers, 'none' disables ICE servers,
+  // or give an explicit RTCIceServer array
+  iceServers: process.env.NODE_ENV === 'production' ? 'default' : 'none',
+  allowedOrigins: ['*'],
+  maxPlayers: 10,
+  maxRooms: 20,
+  gameMode: 'ffa', // 'ffa' (free-for-all) or 'tdm' (team deathmatch)
+  scoreLimit: DEFAULT_SCORE_LIMIT, // Team kills that win a team deathmatch
+  friendlyFire: 0, // Share of laser damage teammates take from each other (0 = off)
+  matchMinutes: 0, // Length of a match; 0 (the default) runs one endless session
+  warmupSeconds: 30,
+  postMatchSeconds: 15, // How long the results screen stays up
+  minPlayers: 2, // Warmup lasts until this many people (not bots) are in the room
+  botFill: 0, // Bots top a room with humans in it up to this many pilots; 0 (the default) = no bots
+  spawnPlanets: DEFAULT_SPAWN_PLANETS, // Joining and respawning pilots start near one of these
+  spawnProtectionSeconds: DEFAULT_SPAWN_PROTECTION_MS / 1000, // Respawned ships can't be hit for this long; 0 = off
+  recordReplays: false, // Record each match to <dataDir>/replays (needs timed matches)
+  timeScale: 1, // How many times faster than real time the planets move
+  dataDir: path.join(SERVER_DIR, 'data'), // Pilot profiles and other persistent state
+  adminToken: null // Bearer token for /api/admin; the admin API is off without one
+};
+
+const USAGE = `Usage: node server/server.mjs [options]
+
+  --config <file>           JSON config file (env: CRUSADER_CONFIG)
+  --host <host>             Interface to listen on (env: HOST, default ${DEFAULTS.host})
+  --port <port>             Port to listen on (env: PORT, default ${DEFAULTS.port})
+  --tls / --no-tls          Serve over HTTPS or plain HTTP (env: CRUSADER_TLS)
+  --tls-key <file>          TLS private key (env: CRUSADER_TLS_KEY)
+  --tls-cert <file>         TLS certificate chain (env: CRUSADER_TLS_CERT)
+  --ice-servers <value>     'default', 'none' or a JSON array (env: CRUSADER_ICE_SERVERS)
+  --allowed-origins <list>  Comma separated origins or '*' (env: CRUSADER_ALLOWED_ORIGINS)
+  --max-players <n>         Player cap per room (env: CRUSADER_MAX_PLAYERS)
+  --max-rooms <n>           Maximum number of open rooms (env: CRUSADER_MAX_ROOMS)
+  --game-mode <mode>        'ffa' or 'tdm' (env: CRUSADER_GAME_MODE, default ${DEFAULTS.gameMode})
+  --score-limit <n>         Team score that wins a TDM match (env: CRUSADER_SCORE_LIMIT, default ${DEFAULTS.scoreLimit})
+  --friendly-fire <0-1>     Damage share between teammates (env: CRUSADER_FRIENDLY_FIRE, default ${DEFAULTS.friendlyFire})
+  --match-minutes <n>       Match length, 0 for an endless session (env: CRUSADER_MATCH_MINUTES, default ${DEFAULTS.matchMinutes})
+  --warmup-seconds <n>      Warmup before each match (env: CRUSADER_WARMUP_SECONDS, default ${DEFAULTS.warmupSeconds})
+  --post-match-seconds <n>  Results screen time (env: CRUSADER_POST_MATCH_SECONDS, default ${DEFAULTS.postMatchSeconds})
+  --min-players <n>         People needed to start a match (env: CRUSADER_MIN_PLAYERS, default ${DEFAULTS.minPlayers})
+  --bot-fill <n>            Fill rooms up with bots to this many pilots, 0 for none (env: CRUSADER_BOT_FILL, default ${DEFAULTS.botFill})
+  --spawn-planets <list>    Comma separated planets pilots join and respawn near (env: CRUSADER_SPAWN_PLANETS, default ${DEFAULTS.spawnPlanets.join(',')})
+  --spawn-protection <n>    Seconds a respawned ship can't be hit, 0 for none (env: CRUSADER_SPAWN_PROTECTION, default ${DEFAULTS.spawnProtectionSeconds})
+  --record-replays          Record each match to a replay file in <data-dir>/replays (env: CRUSADER_RECORD_REPLAYS)
+  --time-scale <n>          Speed of the planets relative to real time (env: CRUSADER_TIME_SCALE, default ${DEFAULTS.timeScale})
+  --data-dir <dir>          Where profiles and replays are stored (env: CRUSADER_DATA_DIR)
+  --admin-token <token>     Enables the admin API at /api/admin (env: CRUSADER_ADMIN_TOKEN)
+  --help                    Show this message
+`;
+
+/**
+ * Parse a boolean-ish string ("true", "1", "yes", "off", ...)
+ */
+function parseBoolean(value, name) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+  if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+  throw new Error(`Invalid boolean for ${name}: "${value}"`);
+}
+
+function parseInteger(value, name, min = 1) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    const expected = min === 0 ? 'a non-negative integer' : 'a positive integer';
+    throw new Error(`Invalid value for ${name}: "${value}" (expected ${expected})`);
+  }
+  return parsed;
+}
+
+function parseOrigins(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+function parseIceServers(value) {
+  if (Array.isArray(value) || value === 'default' || value === 'none') return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw new Error(`Invalid ICE servers: "${value}" (expected 'default', 'none' or a JSON array)`);
+}
+
+function parseGameMode(value) {
+  const mode = String(value).trim().toLowerCase();
+  if (!GAME_MODES.includes(mode)) {
+    throw new Error(`Invalid game mode: "${value}" (expected ${GAME_MODES.join(' or ')})`);
+  }
+  return mode;
+}
+
+function parseFraction(value, name) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error(`Invalid value for ${name}: "${value}" (expected a number from 0 to 1)`);
+  }
+  return parsed;
+}
+
+function parseTimeScale(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0 || parsed > MAX_TIME_SCALE) {
+    throw new Error(`Invalid time scale: "${value}" (expected a number above 0, at most ${MAX_TIME_SCALE})`);
+  }
+  return parsed;
+}
+
+function parseSpawnPlanets(value) {
+  const names = Array.isArray(value) ? value : String(value).split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) throw new Error('Invalid spawn planets (name at least one planet)');
+  // Throws for names that aren't planets
+  return resolveSpawnPlanets(names).map(planet => planet.name);
+}
+
+function parseAdminToken(value) {
+  const token = String(value);
+  if (token.length < 16) {
+    throw new Error('Invalid admin token (use at least 16 characters)');
+  }
+  return token;
+}
+
+/**
+ * Copy recognised settings from a source object, converting as we go
+ * @param {Object} target - Config being built
+ * @param {Object} source - Raw values keyed by config name
+ */
+function applySettings(target, source) {
+  const converters = {
+    host: String,
+    port: value => parseInteger(value, 'port'),
+    tls: value => parseBoolean(value, 'tls'),
+    tlsKey: String,
+    tlsCert: String,
+    iceServers: parseIceServers,
+    allowedOrigins: parseOrigins,
+    maxPlayers: value => parseInteger(value, 'maxPlayers'),
+    maxRooms: value => parseInteger(value, 'maxRooms'),
+    gameMode: parseGameMode,
+    scoreLimit: value => parseInteger(value, 'scoreLimit'),
+    friendlyFire: value => parseFraction(value, 'friendlyFire'),
+    matchMinutes: value => parseInteger(value, 'matchMinutes', 0),
+    warmupSeconds: value => parseInteger(value, 'warmupSeconds'),
+    postMatchSeconds: value => parseInteger(value, 'postMatchSeconds'),
+    minPlayers: value => parseInteger(value, 'minPlayers'),
+    botFill: value => parseInteger(value, 'botFill', 0),
+    spawnPlanets: parseSpawnPlanets,
+    spawnProtectionSeconds: value => parseInteger(value, 'spawnProtectionSeconds', 0),
+    recordReplays: value => parseBoolean(value, 'recordReplays'),
+    timeScale: parseTimeScale,
+    dataDir: value => path.resolve(String(value)),
+    adminToken: parseAdminToken
+  };
+
+  Object.keys(source).forEach(key => {
+    if (source[key] === undefined) return;
+    if (!converters[key]) return;
+    target[key] = converters[key](source[key]);
+  });
+}
+
+/**
+ * Build the server configuration
+ * @param {string[]} [argv] - Command line arguments (without node and script)
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Resolved configuration
+ */
+export function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const { values: flags } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      tls: { type: 'boolean' },
+      'no-tls': { type: 'boolean' },
+      'tls-key': { type: 'string' },
+      'tls-cert': { type: 'string' },
+      'ice-servers': { type: 'string' },
+      'allowed-origins': { type: 'string' },
+      'max-players': { type: 'string' },
+      'max-rooms': { type: 'string' },
+      'game-mode': { type: 'string' },
+      'score-limit': { type: 'string' },
+      'friendly-fire': { type: 'string' },
+      'match-minutes': { type: 'string' },
+      'warmup-seconds': { type: 'string' },
+      'post-match-seconds': { type: 'string' },
+      'min-players': { type: 'string' },
+      'bot-fill': { type: 'string' },
+      'spawn-planets': { type: 'string' },
+      'spawn-protection': { type: 'string' },
+      'record-replays': { type: 'boolean' },
+      'time-scale': { type: 'string' },
+      'data-dir': { type: 'string' },
+      'admin-token': { type: 'string' },
+      help: { type: 'boolean' }
+    },
+    strict: true
+  });
+
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const config = { ...DEFAULTS };
+
+  // 1) Config file
+  const configFile = flags.config || env.CRUSADER_CONFIG;
+  if (configFile) {
+    const resolved = path.resolve(configFile);
+    const fileSettings = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    applySettings(config, fileSettings);
+    config.configFile = resolved;
+  }
+
+  // 2) Environment variables
+  applySettings(config, {
+    host: env.HOST,
+    port: env.PORT,
+    tls: env.CRUSADER_TLS,
+    tlsKey: env.CRUSADER_TLS_KEY,
+    tlsCert: env.CRUSADER_TLS_CERT,
+    iceServers: env.CRUSADER_ICE_SERVERS,
+    allowedOrigins: env.CRUSADER_ALLOWED_ORIGINS,
+    maxPlayers: env.CRUSADER_MAX_PLAYERS,
+    maxRooms: env.CRUSADER_MAX_ROOMS,
+    gameMode: env.CRUSADER_GAME_MODE,
+    scoreLimit: env.CRUSADER_SCORE_LIMIT,
+    friendlyFire: env.CRUSADER_FRIENDLY_FIRE,
+    matchMinutes: env.CRUSADER_MATCH_MINUTES,
+    warmupSeconds: env.CRUSADER_WARMUP_SECONDS,
+    postMatchSeconds: env.CRUSADER_POST_MATCH_SECONDS,
+    minPlayers: env.CRUSADER_MIN_PLAYERS,
+    botFill: env.CRUSADER_BOT_FILL,
+    spawnPlanets: env.CRUSADER_SPAWN_PLANETS,
+    spawnProtectionSeconds: env.CRUSADER_SPAWN_PROTECTION,
+    recordReplays: env.CRUSADER_RECORD_REPLAYS,
+    timeScale: env.CRUSADER_TIME_SCALE,
+    dataDir: env.CRUSADER_DATA_DIR,
+    adminToken: env.CRUSADER_ADMIN_TOKEN
+  });
+
+  // 3) Command line flags
+  applySettings(config, {
+    host: flags.host,
+    port: flags.port,
+    tls: flags['no-tls'] ? false : flags.tls,
+    tlsKey: flags['tls-key'],
+    tlsCert: flags['tls-cert'],
+    iceServers: flags['ice-servers'],
+    allowedOrigins: flags['allowed-origins'],
+    maxPlayers: flags['max-players'],
+    maxRooms: flags['max-rooms'],
+    gameMode: flags['game-mode'],
+    scoreLimit: flags['score-limit'],
+    friendlyFire: flags['friendly-fire'],
+    matchMinutes: flags['match-minutes'],
+    warmupSeconds: flags['warmup-seconds'],
+    postMatchSeconds: flags['post-match-seconds'],
+    minPlayers: flags['min-players'],
+    botFill: flags['bot-fill'],
+    spawnPlanets: flags['spawn-planets'],
+    spawnProtectionSeconds: flags['spawn-protection'],
+    recordReplays: flags['record-replays'],
+    timeScale: flags['time-scale'],
+    dataDir: flags['data-dir'],
+    adminToken: flags['admin-token']
+  });
+
+  return config;
+}
+
+/**
+ * Build an origin check shared by express' cors middleware and geckos.
+ * Returns the origin to echo back, or false if it is not allowed.
+ */
+export function createOriginResolver(config) {
+  const allowed = config.allowedOrigins;
+  const allowAll = allowed.includes('*');
+
+  return function resolveOrigin(origin) {
+    if (allowAll) return origin || '*';
+    if (origin && allowed.includes(origin)) return origin;
+    return false;
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * hitDetection.mjs - Server-side laser hit tests
+ * A plain-JS port of the oriented bounding box test in js/lib/OBB.js, sized
+ * from the ship model the clients render, so the server decides hits itself
+ * instead of trusting the client's likelyHit flag.
+ */
+
+// Bounds of the POSITION accessor in models/spaceShip1.glb, in model units
+const SHIP_MODEL_MIN = [-3.457422971725464, -0.9428039789199829, -1];
+const SHIP_MODEL_MAX = [3.457422971725464, 0.9860100150108337, 5.3837127685546875];
+const SHIP_MODEL_SCALE = 0.009; // Same scale EnemyShip applies to the model
+const HITBOX_INFLATION = 1.25; // A little forgiveness for network jitter
+
+// Mirrors the constants in js/laserSystem.js
+export const LASER_DIAMETER = 0.04;
+export const LASER_MAX_DISTANCE = 1.5;
+
+// Precomputed ship box in model space (after scaling)
+const SHIP_HALF_SIZE = [0, 1, 2].map(i => (SHIP_MODEL_MAX[i] - SHIP_MODEL_MIN[i]) / 2 * SHIP_MODEL_SCALE * HITBOX_INFLATION);
+const SHIP_CENTER_OFFSET = [0, 1, 2].map(i => (SHIP_MODEL_MAX[i] + SHIP_MODEL_MIN[i]) / 2 * SHIP_MODEL_SCALE);
+
+// EnemyShip turns the model 180° about Y so its nose points along the camera's -Z
+const MODEL_CORRECTION = { x: 0, y: 1, z: 0, w: 0 };
+
+const EPSILON = 1e-9;
+
+// -----------------
+// Small vector/quaternion helpers (arrays for vectors, {x,y,z,w} for quaternions)
+// -----------------
+function toArray(v) {
+  return [v.x, v.y, v.z];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function multiplyQuaternions(a, b) {
+  return {
+    x: a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+    y: a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+    z: a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+  };
+}
+
+// Euler angles in THREE's default XYZ order
+function eulerToQuaternion(e) {
+  const c1 = Math.cos(e.x / 2), c2 = Math.cos(e.y / 2), c3 = Math.cos(e.z / 2);
+  const s1 = Math.sin(e.x / 2), s2 = Math.sin(e.y / 2), s3 = Math.sin(e.z / 2);
+  return {
+    x: s1 * c2 * c3 + c1 * s2 * s3,
+    y: c1 * s2 * c3 - s1 * c2 * s3,
+    z: c1 * c2 * s3 + s1 * s2 * c3,
+    w: c1 * c2 * c3 - s1 * s2 * s3
+  };
+}
+
+function normalizeRotation(rotation) {
+  if (!rotation) return { x: 0, y: 0, z: 0, w: 1 };
+  if (rotation.w === undefined) return eulerToQuaternion(rotation);
+  const length = Math.hypot(rotation.x, rotation.y, rotation.z, rotation.w) || 1;
+  return { x: rotation.x / length, y: rotation.y / length, z: rotation.z / length, w: rotation.w / length };
+}
+
+/**
+ * The three world-space axes (rotation matrix columns) of a unit quaternion
+ */
+function quaternionAxes(q) {
+  const { x, y, z, w } = q;
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y + w * z), 2 * (x * z - w * y)],
+    [2 * (x * y - w * z), 1 - 2 * (x * x + z * z), 2 * (y * z + w * x)],
+    [2 * (x * z + w * y), 2 * (y * z - w * x), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+// -----------------
+// Oriented bounding boxes: { center: [x,y,z], axes: [u0, u1, u2], halfSize: [hx, hy, hz] }
+// -----------------
+
+/**
+ * OBB around a ship at the given pose, matching how EnemyShip places the model
+ * @param {Object} position - {x, y, z}
+ * @param {Object} rotation - Quaternion {x, y, z, w} as sent by the client (or Euler)
+ */
+export function createShipOBB(position, rotation) {
+  const meshRotation = multiplyQuaternions(normalizeRotation(rotation), MODEL_CORRECTION);
+  const axes = quaternionAxes(meshRotation);
+  const base = toArray(position);
+  const center = [0, 1, 2].map(i =>
+    base[i] + axes[0][i] * SHIP_CENTER_OFFSET[0] + axes[1][i] * SHIP_CENTER_OFFSET[1] + axes[2][i] * SHIP_CENTER_OFFSET[2]
+  );
+  return { center, axes, halfSize: SHIP_HALF_SIZE };
+}
+
+/**
+ * OBB around a laser beam (a thin box along the segment)
+ * @param {Object} start - {x, y, z}
+ * @param {Object} end - {x, y, z}
+ */
+export function createLaserOBB(start, end) {
+  const a = toArray(start);
+  const b = toArray(end);
+  const direction = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const length = Math.hypot(direction[0], direction[1], direction[2]);
+  const axisY = length > 0 ? direction.map(d => d / length) : [0, 0, -1];
+
+  // Any two unit vectors perpendicular to the beam complete the frame
+  const helper = Math.abs(axisY[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  let axisX = [
+    helper[1] * axisY[2] - helper[2] * axisY[1],
+    helper[2] * axisY[0] - helper[0] * axisY[2],
+    helper[0] * axisY[1] - helper[1] * axisY[0]
+  ];
+  const xLength = Math.hypot(axisX[0], axisX[1], axisX[2]);
+  axisX = axisX.map(v => v / xLength);
+  const axisZ = [
+    axisX[1] * axisY[2] - axisX[2] * axisY[1],
+    axisX[2] * axisY[0] - axisX[0] * axisY[2],
+    axisX[0] * axisY[1] - axisX[1] * axisY[0]
+  ];
+
+  return {
+    center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2],
+    axes: [axisX, axisY, axisZ],
+    halfSize: [LASER_DIAMETER / 2, length / 2, LASER_DIAMETER / 2]
+  };
+}
+
+/**
+ * Separating axis test between two OBBs (the same 15 axes as OBB.intersectsOBB)
+ * @returns {boolean} True if the boxes overlap
+ */
+export function intersectsOBB(a, b) {
+  const R = [[], [], []];
+  const AbsR = [[], [], []];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      R[i][j] = dot(a.axes[i], b.axes[j]);
+      AbsR[i][j] = Math.abs(R[i][j]) + EPSILON;
+    }
+  }
+
+  // Translation between centers, expressed in A's frame
+  const d = [b.center[0] - a.center[0], b.center[1] - a.center[1], b.center[2] - a.center[2]];
+  const t = [dot(d, a.axes[0]), dot(d, a.axes[1]), dot(d, a.axes[2])];
+  const ea = a.halfSize;
+  const eb = b.halfSize;
+
+  // L = A0, A1, A2
+  for (let i = 0; i < 3; i++) {
+    const rb = eb[0] * AbsR[i][0] + eb[1] * AbsR[i][1] + eb[2] * AbsR[i][2];
+    if (Math.abs(t[i]) > ea[i] + rb) return false;
+  }
+
+  // L = B0, B1, B2
+  for (let j = 0; j < 3; j++) {
+    const ra = ea[0] * AbsR[0][j] + ea[1] * AbsR[1][j] + ea[2] * AbsR[2][j];
+    if (Math.abs(t[0] * R[0][j] + t[1] * R[1][j] + t[2] * R[2][j]) > ra + eb[j]) return false;
+  }
+
+  // L = Ai x Bj
+  for (let i = 0; i < 3; i++) {
+    const i1 = (i + 1) % 3;
+    const i2 = (i + 2) % 3;
+    for (let j = 0; j < 3; j++) {
+      const j1 = (j + 1) % 3;
+      const j2 = (j + 2) % 3;
+      const ra = ea[i1] * AbsR[i2][j] + ea[i2] * AbsR[i1][j];
+      const rb = eb[j1] * AbsR[i][j2] + eb[j2] * AbsR[i][j1];
+      if (Math.abs(t[i2] * R[i1][j] - t[i1] * R[i2][j]) > ra + rb) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Does a laser segment hit a ship at the given pose?
+ */
+export function laserHitsShip(start, end, shipPosition, shipRotation) {
+  return intersectsOBB(createLaserOBB(start, end), createShipOBB(shipPosition, shipRotation));
+}
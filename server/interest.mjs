@@ -0,0 +1,78 @@
+/**
+ * interest.mjs - Which ships each client needs to hear about, and how often
+ * Players are spread over the whole solar system (100 units per AU), but a
+ * ship is only worth streaming to pilots close enough to see or shoot it.
+ */
+
+export const NEAR_DISTANCE = 10;      // units; within this, ships are sent every tick
+export const MID_DISTANCE = 100;      // units (1 AU); within this, ships are sent at a reduced rate
+export const MID_UPDATE_INTERVAL = 5; // ticks between updates of mid-range ships (2 per second)
+
+export const INTEREST = {
+  NEAR: 'near',
+  MID: 'mid',
+  FAR: 'far'
+};
+
+/**
+ * Distance band of one ship as seen from another
+ * @param {Object} viewerPosition - {x, y, z}
+ * @param {Object} otherPosition - {x, y, z}
+ * @returns {string} One of INTEREST
+ */
+export function interestBand(viewerPosition, otherPosition) {
+  if (!viewerPosition || !otherPosition) return INTEREST.NEAR;
+  const distanceSq =
+    (otherPosition.x - viewerPosition.x) ** 2 +
+    (otherPosition.y - viewerPosition.y) ** 2 +
+    (otherPosition.z - viewerPosition.z) ** 2;
+  if (distanceSq <= NEAR_DISTANCE * NEAR_DISTANCE) return INTEREST.NEAR;
+  if (distanceSq <= MID_DISTANCE * MID_DISTANCE) return INTEREST.MID;
+  return INTEREST.FAR;
+}
+
+/**
+ * Build the room state one client should see this tick.
+ * Near ships, the viewer itself and whatever it is targeting are always fresh;
+ * mid-range ships repeat their last sent entry between updates (which the delta
+ * encoding turns into nothing on the wire); far ships only keep the fields the
+ * kills table needs, marked inRange: false so the client hides them.
+ * @param {string} viewerId
+ * @param {Object} viewer - Server player record (position, targetId)
+ * @param {Map} publicStates - playerId -> public state for this tick
+ * @param {Object} lastView - The view this client was sent last tick (playerId -> entry)
+ * @param {number} tick - Room tick counter
+ * @returns {Object} playerId -> entry
+ */
+export function buildView(viewerId, viewer, publicStates, lastView, tick) {
+  const view = {};
+  publicStates.forEach((state, id) => {
+    if (id === viewerId || id === viewer.targetId) {
+      view[id] = { ...state, inRange: true };
+      return;
+    }
+
+    switch (interestBand(viewer.position, state.position)) {
+      case INTEREST.NEAR:
+        view[id] = { ...state, inRange: true };
+        break;
+      case INTEREST.MID: {
+        const previous = lastView[id];
+        const due = tick % MID_UPDATE_INTERVAL === 0;
+        view[id] = previous && previous.inRange && !due ? previous : { ...state, inRange: true };
+        break;
+      }
+      default:
+        view[id] = {
+          id,
+          nickname: state.nickname,
+          colorIndex: state.colorIndex,
+          health: state.health,
+          kills: state.kills,
+          team: state.team,
+          inRange: false
+        };
+    }
+  });
+  return view;
+}
@@ -0,0 +1,673 @@
+/**
+ * loadTest.mjs - Headless load test for the Crusader X server
+ * Connects many simulated pilots that fly scripted circles, fire lasers at
+ * each other and acknowledge snapshots like the browser client does, then
+ * reports snapshot timing, message sizes and lost updates.
+ *
+ *   node server/loadTest.mjs --clients 50 --port 6198           (a server started with --no-tls)
+ *   node server/loadTest.mjs --clients 200 --transport local    (rooms run in this process)
+ *
+ * Run `node server/loadTest.mjs --help` for all options.
+ */
+
+import { parseArgs } from 'util';
+import { performance } from 'perf_hooks';
+import NetSchema from '../js/netSchema.js';
+import { Room, DEFAULT_UPDATES_PER_SECOND } from './room.mjs';
+import { KM_S_TO_UNITS_S } from './movementValidator.mjs';
+import { LASER_MAX_DISTANCE } from './hitDetection.mjs';
+
+const USAGE = `Usage: node server/loadTest.mjs [options]
+
+  --clients <n>          Simulated pilots (default 50)
+  --per-room <n>         Pilots per room, 0 puts everyone in the public room (default 10)
+  --duration <s>         Seconds to fly once everyone is connected (default 60)
+  --transport <name>     'geckos' connects to a running server, 'local' runs the rooms
+                         in this process without any networking (default geckos)
+  --url <url>            Server for the geckos transport (default http://localhost)
+  --port <port>          Server port for the geckos transport (default 6198)
+  --update-rate <n>      Player updates per second per pilot (default ${DEFAULT_UPDATES_PER_SECOND})
+  --fire-rate <n>        Laser shots per second per pilot, at most 4 (default 1)
+  --ramp <ms>            Delay between connecting two pilots (default 50)
+  --report-every <s>     Seconds between progress lines, 0 for none (default 10)
+  --help                 Show this message
+`;
+
+const FIRE_COOLDOWN = 250;             // ms; the client's (and server's) minimum time between shots
+const PATH_SPEED = 0.15;               // units/s along the circle, well under the server's speed limit
+const PATH_MIN_RADIUS = 0.3;
+const PATH_MAX_RADIUS = 1.2;           // Pilots in a room stay within laser range of each other
+const CLOSE_IN_SPEED = 0.15;           // units/s the circle drifts towards the nearest pilot; with PATH_SPEED still under the limit
+const CLOSE_IN_DISTANCE = 1;           // Stop drifting once the nearest pilot is this close
+const PATH_CENTER = { x: 0, y: 0, z: 150 };
+const ROOM_SPACING = 10;               // Keeps pilots of different rooms apart in local mode
+const RESPAWN_DELAY = 1000;            // ms a destroyed pilot waits before respawning
+const IDENTITY_RESEND_INTERVAL = 20;   // Updates between repeats of the nickname, as in the client
+const SNAPSHOT_HISTORY_SIZE = 32;      // Delta bases kept per pilot (the server keeps 32)
+const CONNECT_TIMEOUT = 15000;
+const DRAIN_TIME = 1000;               // ms to wait for in-flight messages after the pilots stop
+
+// The report is printed through this even in local mode, where console.log is silenced
+const print = console.log.bind(console);
+
+// -----------------
+// Options
+// -----------------
+
+function parseNumber(value, name, min = 0) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min) {
+    throw new Error(`Invalid value for ${name}: "${value}" (expected a number >= ${min})`);
+  }
+  return parsed;
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      clients: { type: 'string', default: '50' },
+      'per-room': { type: 'string', default: '10' },
+      duration: { type: 'string', default: '60' },
+      transport: { type: 'string', default: 'geckos' },
+      url: { type: 'string', default: 'http://localhost' },
+      port: { type: 'string', default: '6198' },
+      'update-rate': { type: 'string', default: String(DEFAULT_UPDATES_PER_SECOND) },
+      'fire-rate': { type: 'string', default: '1' },
+      ramp: { type: 'string', default: '50' },
+      'report-every': { type: 'string', default: '10' },
+      help: { type: 'boolean' }
+    },
+    strict: true
+  });
+
+  if (values.help) {
+    print(USAGE);
+    process.exit(0);
+  }
+  if (!['geckos', 'local'].includes(values.transport)) {
+    throw new Error(`Invalid transport: "${values.transport}" (expected geckos or local)`);
+  }
+
+  return {
+    clients: Math.floor(parseNumber(values.clients, '--clients', 1)),
+    perRoom: Math.floor(parseNumber(values['per-room'], '--per-room')),
+    durationMs: parseNumber(values.duration, '--duration', 1) * 1000,
+    transport: values.transport,
+    url: values.url,
+    port: parseNumber(values.port, '--port', 1),
+    updateRate: parseNumber(values['update-rate'], '--update-rate', 0.1),
+    fireRate: Math.min(1000 / FIRE_COOLDOWN, parseNumber(values['fire-rate'], '--fire-rate')),
+    rampMs: parseNumber(values.ramp, '--ramp'),
+    reportEveryMs: parseNumber(values['report-every'], '--report-every') * 1000
+  };
+}
+
+// -----------------
+// Transports
+// -----------------
+
+/**
+ * Real connections to a running server through the geckos.io client.
+ * The client is written for browsers; node-datachannel (a dependency of
+ * @geckos.io/server) provides the WebRTC classes it expects.
+ */
+async function createGeckosTransport({ url, port }) {
+  const webrtc = await import('node-datachannel/polyfill');
+  ['RTCPeerConnection', 'RTCSessionDescription', 'RTCIceCandidate'].forEach(name => {
+    if (!globalThis[name]) globalThis[name] = webrtc[name];
+  });
+  const { default: geckos } = await import('@geckos.io/client');
+
+  return {
+    connect(authorization) {
+      return new Promise((resolve, reject) => {
+        const channel = geckos({ url, port, authorization });
+        const timer = setTimeout(() => reject(new Error('connection timed out')), CONNECT_TIMEOUT);
+        channel.onConnect(error => {
+          clearTimeout(timer);
+          if (error) reject(error);
+          else resolve(channel);
+        });
+      });
+    },
+    stats: () => null,
+    close() {}
+  };
+}
+
+/**
+ * Rooms running in this process, connected to the pilots through paired fake
+ * channels. Messages are delivered asynchronously and copied like the network
+ * would, so the server code runs exactly as it does behind geckos. The server's
+ * debug logging is silenced, and since pilots and rooms share one event loop the
+ * timings include the pilots' own work.
+ */
+function createLocalTransport({ perRoom }) {
+  const rooms = new Map();
+  const serverChannels = new Map();
+  const tickTimes = [];
+  let nextId = 1;
+
+  const io = {
+    room: name => ({
+      emit: (event, data) => serverChannels.forEach(channel => {
+        if (channel.roomId === name) channel.deliver(event, data);
+      })
+    })
+  };
+
+  function getOrCreateRoom(name) {
+    let room = rooms.get(name);
+    if (room) return room;
+    room = new Room(io, name, { maxPlayers: perRoom || undefined });
+    // Time each sync tick: snapshot building and encoding for every pilot in the room
+    const broadcastState = room.broadcastState.bind(room);
+    room.broadcastState = () => {
+      const start = performance.now();
+      broadcastState();
+      tickTimes.push(performance.now() - start);
+    };
+    room.start();
+    rooms.set(name, room);
+    return room;
+  }
+
+  function createPair(userData) {
+    const id = `local-${nextId++}`;
+    const serverHandlers = {};
+    const clientHandlers = {};
+    const send = (handlers, event, data) => setImmediate(() => {
+      const handler = handlers[event];
+      if (handler) handler(data === undefined ? data : structuredClone(data));
+    });
+    const sendRaw = (handlers, buffer) => setImmediate(() => {
+      if (handlers.__raw) handlers.__raw(buffer.slice(0));
+    });
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      serverChannels.delete(id);
+      setImmediate(() => {
+        if (serverHandlers.__disconnect) serverHandlers.__disconnect();
+        if (clientHandlers.__disconnect) clientHandlers.__disconnect();
+      });
+    };
+
+    const serverChannel = {
+      id,
+      userData,
+      roomId: null,
+      join(roomId) { this.roomId = roomId; },
+      on(event, handler) { serverHandlers[event] = handler; },
+      onRaw(handler) { serverHandlers.__raw = handler; },
+      onDisconnect(handler) { serverHandlers.__disconnect = handler; },
+      emit(event, data) { if (!closed) send(clientHandlers, event, data); },
+      deliver(event, data) { this.emit(event, data); },
+      raw: { emit: buffer => { if (!closed) sendRaw(clientHandlers, buffer); } },
+      broadcast: {
+        emit: (event, data) => serverChannels.forEach(channel => {
+          if (channel !== serverChannel && channel.roomId === serverChannel.roomId) channel.deliver(event, data);
+        })
+      },
+      close
+    };
+
+    const clientChannel = {
+      id,
+      on(event, handler) { clientHandlers[event] = handler; },
+      onRaw(handler) { clientHandlers.__raw = handler; },
+      onDisconnect(handler) { clientHandlers.__disconnect = handler; },
+      emit(event, data) { if (!closed) send(serverHandlers, event, data); },
+      raw: { emit: buffer => { if (!closed) sendRaw(serverHandlers, buffer); } },
+      close
+    };
+
+    serverChannels.set(id, serverChannel);
+    return { serverChannel, clientChannel };
+  }
+
+  console.log = () => {};
+
+  return {
+    async connect(authorization) {
+      const userData = { roomName: new URLSearchParams(authorization).get('room'), profileKey: null, resumeToken: null, ip: '127.0.0.1' };
+      const { serverChannel, clientChannel } = createPair(userData);
+      getOrCreateRoom(userData.roomName).addChannel(serverChannel);
+      return clientChannel;
+    },
+    stats: () => ({ tickTimes }),
+    close() {
+      rooms.forEach(room => room.stop());
+      console.log = print;
+    }
+  };
+}
+
+// -----------------
+// Simulated pilot
+// -----------------
+
+/**
+ * Quaternion for a ship heading along (dx, 0, dz); ships look down -Z
+ */
+function headingRotation(dx, dz) {
+  const yaw = Math.atan2(-dx, -dz);
+  return { x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) };
+}
+
+class LoadTestPilot {
+  /**
+   * @param {number} index - Pilot number, used for its nickname and path
+   * @param {string} roomName
+   * @param {number} roomIndex
+   * @param {Object} options - Parsed load test options
+   * @param {Object} stats - Shared counters and samples
+   */
+  constructor(index, roomName, roomIndex, options, stats) {
+    this.index = index;
+    this.roomName = roomName;
+    this.options = options;
+    this.stats = stats;
+    this.nickname = `Load ${index}`;
+    this.colorIndex = index % 6;
+
+    this.center = { x: PATH_CENTER.x + roomIndex * ROOM_SPACING, y: PATH_CENTER.y + (Math.random() - 0.5), z: PATH_CENTER.z };
+    this.radius = PATH_MIN_RADIUS + Math.random() * (PATH_MAX_RADIUS - PATH_MIN_RADIUS);
+    this.angularSpeed = (PATH_SPEED / this.radius) * (Math.random() < 0.5 ? -1 : 1);
+    this.phase = Math.random() * Math.PI * 2;
+    this.startTime = performance.now();
+
+    this.channel = null;
+    this.id = null;
+    this.connected = false;
+    this.snapshots = new Map(); // seq -> { seq, serverTime, players }, the bases deltas refer to
+    this.latestSeq = null;
+    this.lastArrival = null;
+    this.health = 100;
+    this.kills = 0;
+    this.respawnTimer = null;
+    this.updatesSinceIdentity = IDENTITY_RESEND_INTERVAL;
+    this.intervals = [];
+  }
+
+  async connect(transport) {
+    const start = performance.now();
+    try {
+      this.channel = await transport.connect(new URLSearchParams({ room: this.roomName }).toString());
+    } catch (error) {
+      this.stats.connectFailures++;
+      if (this.stats.connectFailures <= 3) print(`Pilot ${this.index} failed to connect: ${error.message || error}`);
+      return false;
+    }
+    this.stats.connectTimes.push(performance.now() - start);
+    this.connected = true;
+
+    this.channel.onRaw(raw => this.handleRaw(raw));
+    this.channel.on('session', data => { this.id = data.id; });
+    this.channel.on('ping', data => this.channel.emit('pong', data));
+    this.channel.on('positionCorrection', () => { this.stats.positionCorrections++; });
+    this.channel.on('spawnPoint', data => this.moveTo(data.position));
+    this.channel.on('serverMessage', data => {
+      if (data && data.type === 'kicked') this.stats.kicked++;
+    });
+    this.channel.onDisconnect(() => {
+      if (this.connected && !this.stats.stopping) this.stats.disconnects++;
+      this.connected = false;
+      this.stop();
+    });
+
+    this.intervals.push(setInterval(() => this.sendUpdate(), 1000 / this.options.updateRate));
+    if (this.options.fireRate > 0) {
+      this.intervals.push(setInterval(() => this.fire(), 1000 / this.options.fireRate));
+    }
+    return true;
+  }
+
+  stop() {
+    this.intervals.forEach(clearInterval);
+    this.intervals = [];
+    clearTimeout(this.respawnTimer);
+  }
+
+  disconnect() {
+    this.stop();
+    if (this.channel && this.connected) this.channel.close();
+  }
+
+  /**
+   * Where the scripted path puts the ship right now
+   */
+  pose() {
+    const angle = this.phase + this.angularSpeed * (performance.now() - this.startTime) / 1000;
+    const position = {
+      x: this.center.x + Math.cos(angle) * this.radius,
+      y: this.center.y,
+      z: this.center.z + Math.sin(angle) * this.radius
+    };
+    // Tangent of the circle in the direction of travel
+    const direction = Math.sign(this.angularSpeed);
+    const heading = { x: -Math.sin(angle) * direction, y: 0, z: Math.cos(angle) * direction };
+    return { position, heading, rotation: headingRotation(heading.x, heading.z) };
+  }
+
+  send(buffer) {
+    this.channel.raw.emit(buffer);
+    this.stats.bytesSent += buffer.byteLength;
+  }
+
+  sendUpdate() {
+    if (!this.connected) return;
+    this.closeIn();
+    const { position, rotation } = this.pose();
+    const update = { position, rotation, velocity: PATH_SPEED / KM_S_TO_UNITS_S, ackSeq: this.latestSeq };
+    this.updatesSinceIdentity++;
+    if (this.updatesSinceIdentity >= IDENTITY_RESEND_INTERVAL) {
+      update.nickname = this.nickname;
+      update.colorIndex = this.colorIndex;
+      this.updatesSinceIdentity = 0;
+    }
+    this.send(NetSchema.encodePlayerUpdate(update));
+    this.stats.updatesSent++;
+  }
+
+  /**
+   * Shoot at the nearest pilot in range, or straight ahead if nobody is close
+   */
+  fire() {
+    if (!this.connected || this.health <= 0 || this.id === null) return;
+    const { position, heading } = this.pose();
+
+    const nearest = this.nearestPilot(position);
+    const target = nearest && nearest.distance < LASER_MAX_DISTANCE ? nearest.position : null;
+
+    const endPosition = target || {
+      x: position.x + heading.x * LASER_MAX_DISTANCE,
+      y: position.y,
+      z: position.z + heading.z * LASER_MAX_DISTANCE
+    };
+    this.send(NetSchema.encodeLaserFire({ startPosition: position, endPosition, likelyHit: !!target, viewSeq: this.latestSeq }));
+    this.stats.shotsFired++;
+  }
+
+  handleRaw(raw) {
+    const bytes = raw.byteLength;
+    const message = NetSchema.decode(raw);
+    if (!message) {
+      this.stats.malformed++;
+      return;
+    }
+    if (message.type === NetSchema.MESSAGE.LASER_FIRES) {
+      this.stats.laserBatches++;
+      this.stats.laserBytes += bytes;
+      return;
+    }
+    if (message.type === NetSchema.MESSAGE.SNAPSHOT) this.handleSnapshot(message.data, bytes);
+  }
+
+  /**
+   * Rebuild the snapshot from its delta base (as NetworkController does) and
+   * record its size, timing and any sequence numbers that never arrived
+   */
+  handleSnapshot(message, bytes) {
+    const now = performance.now();
+    this.stats.snapshots++;
+    this.stats.snapshotSizes.push(bytes);
+
+    if (this.latestSeq !== null && message.seq <= this.latestSeq) {
+      this.stats.outOfOrder++;
+      return;
+    }
+
+    const players = {};
+    if (message.baseSeq !== null) {
+      const base = this.snapshots.get(message.baseSeq);
+      if (!base) {
+        this.stats.unknownBase++;
+        return;
+      }
+      Object.keys(base.players).forEach(id => { players[id] = { ...base.players[id] }; });
+      message.removed.forEach(id => { delete players[id]; });
+    }
+    Object.keys(message.players).forEach(id => {
+      players[id] = { ...players[id], ...message.players[id] };
+    });
+
+    if (this.latestSeq !== null) {
+      const previous = this.snapshots.get(this.latestSeq);
+      this.stats.lostSnapshots += message.seq - this.latestSeq - 1;
+      if (message.seq === this.latestSeq + 1 && previous) {
+        this.stats.tickIntervals.push(message.serverTime - previous.serverTime);
+        this.stats.arrivalIntervals.push(now - this.lastArrival);
+      }
+    }
+    this.snapshots.set(message.seq, { seq: message.seq, serverTime: message.serverTime, players });
+    this.snapshots.delete(message.seq - SNAPSHOT_HISTORY_SIZE);
+    this.latestSeq = message.seq;
+    this.lastArrival = now;
+
+    const self = this.id !== null ? players[this.id] : null;
+    if (self) this.updateOwnState(self);
+  }
+
+  updateOwnState(self) {
+    // Kills reset on respawn outside of matches, so count the increases
+    if (typeof self.kills === 'number') {
+      if (self.kills > this.kills) this.stats.kills += self.kills - this.kills;
+      this.kills = self.kills;
+    }
+    if (typeof self.health !== 'number') return;
+    if (self.health < this.health) this.stats.hitsTaken++;
+    if (self.health <= 0 && this.health > 0) {
+      this.stats.deaths++;
+      this.respawnTimer = setTimeout(() => this.respawn(), RESPAWN_DELAY);
+    }
+    this.health = self.health;
+  }
+
+  /**
+   * The closest living pilot in the latest snapshot
+   * @returns {Object|null} { position, distance }
+   */
+  nearestPilot(position) {
+    const latest = this.latestSeq !== null ? this.snapshots.get(this.latestSeq) : null;
+    if (!latest) return null;
+    let nearest = null;
+    Object.keys(latest.players).forEach(id => {
+      const other = latest.players[id];
+      if (id === this.id || !other.position || other.health <= 0) return;
+      const distance = Math.hypot(other.position.x - position.x, other.position.y - position.y, other.position.z - position.z);
+      if (!nearest || distance < nearest.distance) nearest = { position: other.position, distance };
+    });
+    return nearest;
+  }
+
+  /**
+   * Drift the circle towards the nearest pilot. The server places pilots out of
+   * laser range of each other, so without this nobody would ever get a shot in
+   */
+  closeIn() {
+    const now = performance.now();
+    const elapsed = this.lastCloseIn === undefined ? 0 : (now - this.lastCloseIn) / 1000;
+    this.lastCloseIn = now;
+    if (this.health <= 0) return;
+
+    const { position } = this.pose();
+    const nearest = this.nearestPilot(position);
+    if (!nearest || nearest.distance <= CLOSE_IN_DISTANCE) return;
+    const step = Math.min(CLOSE_IN_SPEED * elapsed, nearest.distance - CLOSE_IN_DISTANCE) / nearest.distance;
+    this.center = {
+      x: this.center.x + (nearest.position.x - position.x) * step,
+      y: this.center.y + (nearest.position.y - position.y) * step,
+      z: this.center.z + (nearest.position.z - position.z) * step
+    };
+  }
+
+  /**
+   * Carry on circling from the spot the server placed us at, on joining or respawning
+   */
+  moveTo(spawnPosition) {
+    const { position } = this.pose();
+    this.center = {
+      x: this.center.x + spawnPosition.x - position.x,
+      y: this.center.y + spawnPosition.y - position.y,
+      z: this.center.z + spawnPosition.z - position.z
+    };
+  }
+
+  respawn() {
+    if (!this.connected) return;
+    const { position, rotation } = this.pose();
+    this.channel.emit('playerUpdate', {
+      position,
+      rotation,
+      velocity: 0,
+      nickname: this.nickname,
+      colorIndex: this.colorIndex,
+      isRespawning: true,
+      timestamp: Date.now()
+    }, { reliable: true });
+  }
+}
+
+// -----------------
+// Reporting
+// -----------------
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return NaN;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * "mean 12.3, p50 11.0, p95 20.1, p99 31.0, max 40.2" for a list of samples
+ */
+function summarize(samples, digits = 1) {
+  if (samples.length === 0) return 'no samples';
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const format = value => value.toFixed(digits);
+  return `mean ${format(mean)}, p50 ${format(percentile(sorted, 0.5))}, p95 ${format(percentile(sorted, 0.95))}, ` +
+    `p99 ${format(percentile(sorted, 0.99))}, max ${format(sorted[sorted.length - 1])}`;
+}
+
+function createStats() {
+  return {
+    stopping: false,
+    connectTimes: [],
+    connectFailures: 0,
+    disconnects: 0,
+    kicked: 0,
+    updatesSent: 0,
+    shotsFired: 0,
+    bytesSent: 0,
+    snapshots: 0,
+    snapshotSizes: [],
+    tickIntervals: [],
+    arrivalIntervals: [],
+    lostSnapshots: 0,
+    outOfOrder: 0,
+    unknownBase: 0,
+    malformed: 0,
+    laserBatches: 0,
+    laserBytes: 0,
+    hitsTaken: 0,
+    kills: 0,
+    deaths: 0,
+    positionCorrections: 0
+  };
+}
+
+function printProgress(stats, pilots, elapsedMs) {
+  const connected = pilots.filter(pilot => pilot.connected).length;
+  print(`[${(elapsedMs / 1000).toFixed(0)}s] ${connected} connected, ${stats.snapshots} snapshots, ` +
+    `${stats.lostSnapshots} lost, ${stats.shotsFired} shots, ${stats.deaths} deaths`);
+}
+
+function printReport(stats, options, transportStats, flyingMs) {
+  const seconds = flyingMs / 1000;
+  const connected = stats.connectTimes.length;
+  const expectedSnapshots = stats.snapshots + stats.lostSnapshots;
+  const snapshotBytes = stats.snapshotSizes.reduce((sum, value) => sum + value, 0);
+  const perPilot = value => (connected > 0 ? value / connected / seconds : 0).toFixed(1);
+  const percent = (part, whole) => (whole > 0 ? (100 * part / whole).toFixed(2) : '0.00');
+
+  print('');
+  print(`Load test: ${options.clients} pilots (${options.perRoom || 'all'} per room) for ${seconds.toFixed(0)}s over the ${options.transport} transport`);
+  print(`Connections:      ${connected} connected, ${stats.connectFailures} failed, ${stats.disconnects} dropped, ${stats.kicked} kicked`);
+  print(`  connect ms:     ${summarize(stats.connectTimes)}`);
+  print(`Sent:             ${stats.updatesSent} updates, ${stats.shotsFired} shots, ${perPilot(stats.bytesSent / 1024)} KB/s per pilot`);
+  print(`Snapshots:        ${stats.snapshots} received (${perPilot(stats.snapshots)}/s per pilot), ` +
+    `${stats.lostSnapshots} lost (${percent(stats.lostSnapshots, expectedSnapshots)}%), ` +
+    `${stats.outOfOrder} out of order, ${stats.unknownBase} with an unknown base`);
+  print(`  size bytes:     ${summarize(stats.snapshotSizes, 0)}`);
+  print(`  server tick ms: ${summarize(stats.tickIntervals)} (target ${(1000 / DEFAULT_UPDATES_PER_SECOND).toFixed(0)})`);
+  print(`  arrival ms:     ${summarize(stats.arrivalIntervals)}`);
+  if (transportStats) {
+    print(`  tick work ms:   ${summarize(transportStats.tickTimes, 2)} (per room, in-process)`);
+  }
+  print(`Received:         ${perPilot((snapshotBytes + stats.laserBytes) / 1024)} KB/s per pilot, ` +
+    `${stats.laserBatches} laser batches, ${stats.malformed} malformed messages`);
+  print(`Combat:           ${stats.hitsTaken} hits taken, ${stats.kills} kills, ${stats.deaths} deaths`);
+  print(`Corrections:      ${stats.positionCorrections} position corrections`);
+}
+
+// -----------------
+// Main
+// -----------------
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const options = parseOptions(process.argv.slice(2));
+  const transport = options.transport === 'local'
+    ? createLocalTransport(options)
+    : await createGeckosTransport(options);
+  const stats = createStats();
+  const pilots = [];
+
+  print(`Connecting ${options.clients} pilots over the ${options.transport} transport...`);
+  const connections = [];
+  for (let i = 0; i < options.clients; i++) {
+    const roomIndex = options.perRoom > 0 ? Math.floor(i / options.perRoom) : 0;
+    const roomName = options.perRoom > 0 ? `load-${roomIndex}` : 'public';
+    const pilot = new LoadTestPilot(i + 1, roomName, roomIndex, options, stats);
+    pilots.push(pilot);
+    connections.push(pilot.connect(transport));
+    if (options.rampMs > 0) await sleep(options.rampMs);
+  }
+  await Promise.all(connections);
+
+  // Only measure once everyone is in, so the report isn't skewed by the ramp-up
+  Object.assign(stats, createStats(), { connectTimes: stats.connectTimes, connectFailures: stats.connectFailures });
+  const flyingStart = performance.now();
+  const progressTimer = options.reportEveryMs > 0
+    ? setInterval(() => printProgress(stats, pilots, performance.now() - flyingStart), options.reportEveryMs)
+    : null;
+
+  await new Promise(resolve => {
+    const timer = setTimeout(resolve, options.durationMs);
+    process.once('SIGINT', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+  const flyingMs = performance.now() - flyingStart;
+
+  clearInterval(progressTimer);
+  stats.stopping = true;
+  pilots.forEach(pilot => pilot.stop());
+  const transportStats = transport.stats();
+  printReport(stats, options, transportStats, flyingMs);
+
+  pilots.forEach(pilot => pilot.disconnect());
+  await sleep(DRAIN_TIME);
+  transport.close();
+  process.exit(0);
+}
+
+run().catch(error => {
+  console.error(`Load test failed: ${error.message}`);
+  process.exit(1);
+});
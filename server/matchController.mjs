@@ -0,0 +1,136 @@
+/**
+ * matchController.mjs - Timed match lifecycle for a room
+ * warmup -> live -> postMatch -> (setup) warmup -> ...
+ * Warmup waits until enough people are in; only the live phase counts
+ * towards kills, scores and career stats; postMatch shows the results
+ * before the next match is set up.
+ */
+
+export const MATCH_PHASES = {
+  WARMUP: 'warmup',
+  LIVE: 'live',
+  POST_MATCH: 'postMatch'
+};
+
+export const DEFAULT_WARMUP_MS = 30 * 1000;
+export const DEFAULT_MATCH_MS = 10 * 60 * 1000;
+export const DEFAULT_POST_MATCH_MS = 15 * 1000;
+export const DEFAULT_MIN_PLAYERS = 2;
+
+export class MatchController {
+  /**
+   * @param {Object} options
+   * @param {number} [options.warmupMs]
+   * @param {number} [options.durationMs] - Length of the live phase
+   * @param {number} [options.postMatchMs] - How long the results stay up
+   * @param {number} [options.minPlayers] - Warmup is extended until this many people are in
+   * @param {Function} options.countPlayers - Returns the number of people (not bots) in the room
+   * @param {Function} options.onPhaseChange - Called with (phase) after every transition
+   * @param {Function} [options.onWarmupExtended] - Called with (missing people) when warmup has to wait longer
+   */
+  constructor({
+    warmupMs = DEFAULT_WARMUP_MS,
+    durationMs = DEFAULT_MATCH_MS,
+    postMatchMs = DEFAULT_POST_MATCH_MS,
+    minPlayers = DEFAULT_MIN_PLAYERS,
+    countPlayers,
+    onPhaseChange,
+    onWarmupExtended = () => {}
+  }) {
+    this.durations = {
+      [MATCH_PHASES.WARMUP]: warmupMs,
+      [MATCH_PHASES.LIVE]: durationMs,
+      [MATCH_PHASES.POST_MATCH]: postMatchMs
+    };
+    this.minPlayers = minPlayers;
+    this.countPlayers = countPlayers;
+    this.onPhaseChange = onPhaseChange;
+    this.onWarmupExtended = onWarmupExtended;
+
+    this.phase = null;
+    this.endsAt = null;
+    this.matchNumber = 0;
+    this.timerId = null;
+  }
+
+  start() {
+    if (this.phase) return;
+    this.enter(MATCH_PHASES.WARMUP);
+  }
+
+  stop() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+    this.phase = null;
+  }
+
+  enter(phase) {
+    this.phase = phase;
+    if (phase === MATCH_PHASES.LIVE) this.matchNumber++;
+    this.schedule(this.durations[phase]);
+    this.onPhaseChange(phase);
+  }
+
+  schedule(duration) {
+    clearTimeout(this.timerId);
+    this.endsAt = Date.now() + duration;
+    this.timerId = setTimeout(() => this.advance(), duration);
+  }
+
+  /**
+   * Give warmup another round without starting it over: the room keeps its
+   * scores and teams, and only hears about the new end time
+   */
+  extendWarmup(missing) {
+    this.schedule(this.durations[MATCH_PHASES.WARMUP]);
+    this.onWarmupExtended(missing);
+  }
+
+  /**
+   * The current phase's time is up
+   */
+  advance() {
+    switch (this.phase) {
+      case MATCH_PHASES.WARMUP: {
+        // Not enough people for a match yet: keep warming up
+        const people = this.countPlayers();
+        if (people >= this.minPlayers) this.enter(MATCH_PHASES.LIVE);
+        else this.extendWarmup(this.minPlayers - people);
+        break;
+      }
+      case MATCH_PHASES.LIVE:
+        this.enter(MATCH_PHASES.POST_MATCH);
+        break;
+      case MATCH_PHASES.POST_MATCH:
+        this.enter(MATCH_PHASES.WARMUP);
+        break;
+    }
+  }
+
+  /**
+   * End the live phase early (e.g. a team reached the score limit)
+   */
+  finish() {
+    if (this.phase === MATCH_PHASES.LIVE) this.enter(MATCH_PHASES.POST_MATCH);
+  }
+
+  isLive() {
+    return this.phase === MATCH_PHASES.LIVE;
+  }
+
+  isOver() {
+    return this.phase === MATCH_PHASES.POST_MATCH;
+  }
+
+  /**
+   * Phase and timer as sent to clients; serverTime lets them correct for clock offset
+   */
+  getState() {
+    return {
+      phase: this.phase,
+      endsAt: this.endsAt,
+      serverTime: Date.now(),
+      matchNumber: this.matchNumber
+    };
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * metrics.mjs - Server health metrics
+ * Rooms record tick timings, laser events and bytes sent into one
+ * ServerMetrics; server.mjs serves them as /metrics in the Prometheus text
+ * format and as a JSON summary on /healthz.
+ */
+
+// Sync ticks should take a few ms at most
+const DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+// Loop intervals cluster around their 100 ms target; the upper buckets show slipping
+const INTERVAL_BUCKETS = [0.025, 0.05, 0.09, 0.1, 0.11, 0.125, 0.15, 0.2, 0.3, 0.5, 1, 2.5];
+const RECENT_SAMPLES = 100;     // Observations /healthz looks at
+const RATE_WINDOW_SECONDS = 10; // Window for the per-second rates on /healthz
+const SLIPPING_FACTOR = 1.25;   // A loop whose recent mean interval exceeds its target by this much is slipping
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * A monotonically increasing count, optionally split by labels
+ */
+export class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // formatted labels -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key);
+    if (entry) entry.value += amount;
+    else this.values.set(key, { labels, value: amount });
+  }
+
+  /**
+   * @returns {Array} [{ labels, value }] for every label combination seen so far
+   */
+  entries() {
+    return [...this.values.values()];
+  }
+
+  total() {
+    return this.entries().reduce((sum, entry) => sum + entry.value, 0);
+  }
+
+  render() {
+    const lines = header(this.name, this.help, 'counter');
+    if (this.values.size === 0) lines.push(`${this.name} 0`);
+    this.values.forEach(({ value }, key) => lines.push(`${this.name}${key} ${value}`));
+    return lines;
+  }
+}
+
+/**
+ * Distribution of observed values (in seconds) over fixed buckets. The last
+ * RECENT_SAMPLES observations are kept as well, for /healthz.
+ */
+export class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+    this.recent = [];
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+    this.recent.push(value);
+    if (this.recent.length > RECENT_SAMPLES) this.recent.shift();
+  }
+
+  /**
+   * Mean and maximum of the recent observations, in ms
+   * @returns {Object|null} { meanMs, maxMs }, or null before the first observation
+   */
+  recentSummary() {
+    if (this.recent.length === 0) return null;
+    const sum = this.recent.reduce((total, value) => total + value, 0);
+    const round = seconds => Math.round(seconds * 10000) / 10; // ms with one decimal
+    return { meanMs: round(sum / this.recent.length), maxMs: round(Math.max(...this.recent)) };
+  }
+
+  render() {
+    const lines = header(this.name, this.help, 'histogram');
+    // Bucket counts are already cumulative, since each observation counts in every bucket it fits
+    this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket{le="${bound}"} ${this.counts[i]}`));
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+/**
+ * Events per second over the last RATE_WINDOW_SECONDS (Prometheus gets the
+ * counter and works out rates itself; this is for /healthz)
+ */
+class RateMeter {
+  constructor() {
+    this.buckets = new Map(); // whole second -> events
+  }
+
+  mark(amount = 1, now = Date.now()) {
+    const second = Math.floor(now / 1000);
+    this.buckets.set(second, (this.buckets.get(second) || 0) + amount);
+    this.buckets.forEach((_, key) => {
+      if (key <= second - RATE_WINDOW_SECONDS) this.buckets.delete(key);
+    });
+  }
+
+  perSecond(now = Date.now()) {
+    // Only complete seconds count, so the current one is left out
+    const second = Math.floor(now / 1000);
+    let sum = 0;
+    this.buckets.forEach((events, key) => {
+      if (key < second && key >= second - RATE_WINDOW_SECONDS) sum += events;
+    });
+    return sum / RATE_WINDOW_SECONDS;
+  }
+}
+
+/**
+ * Wire size of a message: raw messages are sent as they are, events as the
+ * JSON geckos wraps them in
+ */
+function messageSize(event, data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+  return Buffer.byteLength(JSON.stringify({ [event]: data === undefined ? null : data }));
+}
+
+export class ServerMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.syncDuration = new Histogram('crusaderx_sync_duration_seconds',
+      'Time spent building and sending the snapshots of one room sync tick', DURATION_BUCKETS);
+    this.syncInterval = new Histogram('crusaderx_sync_interval_seconds',
+      'Time between the starts of two sync ticks of a room', INTERVAL_BUCKETS);
+    this.laserFlushInterval = new Histogram('crusaderx_laser_flush_interval_seconds',
+      'Time between two laser batch flushes of a room', INTERVAL_BUCKETS);
+    this.laserEvents = new Counter('crusaderx_laser_events_total', 'Laser shots accepted from pilots and bots');
+    this.bytesSent = new Counter('crusaderx_bytes_sent_total', 'Bytes sent to clients, by message type');
+    this.messagesSent = new Counter('crusaderx_messages_sent_total', 'Messages sent to clients, by message type');
+    this.reconnections = new Counter('crusaderx_reconnections_total', 'Clients that resumed their ship after a dropped connection');
+    this.timeouts = new Counter('crusaderx_player_timeouts_total', 'Players dropped for sending no updates');
+    this.rejectedMessages = new Counter('crusaderx_rejected_messages_total', 'Client messages that failed schema validation, by message type');
+    this.rateLimited = new Counter('crusaderx_rate_limited_messages_total', 'Client messages dropped for going over a rate limit, by message type');
+    this.laserRate = new RateMeter();
+  }
+
+  /**
+   * Count a message sent to one or more clients
+   * @param {string} type - Event name, or 'snapshot' / 'laserFires' for raw messages
+   * @param {*} data - Event data or the raw message buffer
+   * @param {number} [recipients] - How many clients it went to
+   */
+  recordSent(type, data, recipients = 1) {
+    if (recipients <= 0) return;
+    this.messagesSent.inc({ type }, recipients);
+    this.bytesSent.inc({ type }, messageSize(type, data) * recipients);
+  }
+
+  recordLaserEvent() {
+    this.laserEvents.inc();
+    this.laserRate.mark();
+  }
+
+  /**
+   * Room and player gauges, read from the open rooms when scraped
+   */
+  renderGauges(rooms) {
+    const lines = [
+      ...header('crusaderx_uptime_seconds', 'Seconds since the server started', 'gauge'),
+      `crusaderx_uptime_seconds ${Math.floor((Date.now() - this.startedAt) / 1000)}`,
+      ...header('crusaderx_rooms', 'Open rooms', 'gauge'),
+      `crusaderx_rooms ${rooms.size}`,
+      ...header('crusaderx_players', 'Pilots in each room, people and bots', 'gauge')
+    ];
+    rooms.forEach((room, name) => {
+      const humans = room.humanCount();
+      lines.push(`crusaderx_players${formatLabels({ room: name, kind: 'human' })} ${humans}`);
+      lines.push(`crusaderx_players${formatLabels({ room: name, kind: 'bot' })} ${room.players.size - humans}`);
+    });
+    lines.push(...header('crusaderx_spectators', 'Connections watching each room without a ship', 'gauge'));
+    rooms.forEach((room, name) => lines.push(`crusaderx_spectators${formatLabels({ room: name })} ${room.spectators.size}`));
+    return lines;
+  }
+
+  /**
+   * Everything in the Prometheus text exposition format
+   * @param {Map} rooms - Open rooms (name -> Room)
+   */
+  render(rooms) {
+    return [
+      ...this.renderGauges(rooms),
+      ...this.syncDuration.render(),
+      ...this.syncInterval.render(),
+      ...this.laserFlushInterval.render(),
+      ...this.laserEvents.render(),
+      ...this.bytesSent.render(),
+      ...this.messagesSent.render(),
+      ...this.reconnections.render(),
+      ...this.timeouts.render(),
+      ...this.rateLimited.render(),
+      ...this.rejectedMessages.render()
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Summary for /healthz. The server counts as slipping when the sync or laser
+   * loop has recently been running noticeably slower than its target interval.
+   * @param {Map} rooms - Open rooms (name -> Room)
+   * @param {Object} targets - { syncIntervalMs, laserIntervalMs }
+   */
+  health(rooms, { syncIntervalMs, laserIntervalMs }) {
+    let players = 0;
+    let bots = 0;
+    let spectators = 0;
+    rooms.forEach(room => {
+      const humans = room.humanCount();
+      players += humans;
+      bots += room.players.size - humans;
+      spectators += room.spectators.size;
+    });
+
+    const sync = this.syncInterval.recentSummary();
+    const laser = this.laserFlushInterval.recentSummary();
+    const slipping = (sync && sync.meanMs > syncIntervalMs * SLIPPING_FACTOR) ||
+      (laser && laser.meanMs > laserIntervalMs * SLIPPING_FACTOR);
+
+    return {
+      status: slipping ? 'slipping' : 'ok',
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+      rooms: rooms.size,
+      players,
+      bots,
+      spectators,
+      sync: {
+        targetIntervalMs: syncIntervalMs,
+        interval: sync,
+        duration: this.syncDuration.recentSummary()
+      },
+      lasers: {
+        targetIntervalMs: laserIntervalMs,
+        flushInterval: laser,
+        eventsPerSecond: this.laserRate.perSecond()
+      },
+      bytesSent: Object.fromEntries(this.bytesSent.entries().map(({ labels, value }) => [labels.type, value])),
+      reconnections: this.reconnections.total(),
+      timeouts: this.timeouts.total(),
+      rateLimited: this.rateLimited.total(),
+      rejectedMessages: this.rejectedMessages.total()
+    };
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * movementValidator.mjs - Server-side checks on client-reported movement
+ * Mirrors the physics limits in js/shipController.js so a client can't
+ * teleport or report speeds its ship could never reach.
+ */
+
+// Mirrors js/shipController.js and js/constants.js
+export const MAX_VELOCITY = 500000;            // km/s
+export const KM_S_TO_UNITS_S = 0.00000067;     // SCALE.KM_S_TO_UNITS_S
+const THRUST_CURVE_SECONDS = 3;                // v = MAX_VELOCITY * (t / 3)^3.322
+const THRUST_CURVE_EXPONENT = 3.322;
+const FRAME_ACCELERATION_BONUS = 0.015;        // units/s ShipController.updatePosition adds per frame on top of the curve
+
+// Fastest a ship can cover ground, in world units per second
+export const MAX_SPEED_UNITS = MAX_VELOCITY * KM_S_TO_UNITS_S + FRAME_ACCELERATION_BONUS;
+// Steepest point of the thrust curve (its slope at t = 3s), in km/s per second
+export const MAX_ACCELERATION = MAX_VELOCITY * THRUST_CURVE_EXPONENT / THRUST_CURVE_SECONDS;
+
+// Updates arrive in bursts, so give the limits some headroom
+const SPEED_TOLERANCE = 1.5;
+const MIN_MOVE_ALLOWANCE = 0.05; // units; covers float noise on very short intervals
+const VELOCITY_TOLERANCE = 1.25;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function isValidPosition(position) {
+  return !!position && isFiniteNumber(position.x) && isFiniteNumber(position.y) && isFiniteNumber(position.z);
+}
+
+/**
+ * Check a rotation from the client and return it normalized
+ * @returns {Object|null} Unit quaternion, or null if the rotation is unusable
+ */
+export function sanitizeRotation(rotation) {
+  if (!rotation || ![rotation.x, rotation.y, rotation.z, rotation.w].every(isFiniteNumber)) return null;
+  const length = Math.hypot(rotation.x, rotation.y, rotation.z, rotation.w);
+  if (length < 1e-6) return null;
+  return { x: rotation.x / length, y: rotation.y / length, z: rotation.z / length, w: rotation.w / length };
+}
+
+/**
+ * Validate a reported position against the last position we accepted.
+ * @param {Object} player - Server player record (uses position and lastMoveTime, seeded when the server places the ship)
+ * @param {Object} position - Reported {x, y, z}
+ * @param {number} now - Server time in ms
+ * @returns {Object} { ok, reason, distance, allowed }
+ */
+export function validatePosition(player, position, now) {
+  if (!isValidPosition(position)) {
+    return { ok: false, reason: 'non-numeric position' };
+  }
+
+  // The server places every ship when it joins (see Room.addChannel), so this only
+  // happens to a record that was never placed; don't let it start out anywhere
+  if (!player.lastMoveTime) return { ok: false, reason: 'ship has not been placed yet' };
+
+  const elapsed = Math.max(0, now - player.lastMoveTime) / 1000;
+  const allowed = MAX_SPEED_UNITS * elapsed * SPEED_TOLERANCE + MIN_MOVE_ALLOWANCE;
+  const distance = Math.hypot(
+    position.x - player.position.x,
+    position.y - player.position.y,
+    position.z - player.position.z
+  );
+
+  if (distance > allowed) {
+    return { ok: false, reason: `moved ${distance.toFixed(3)} units in ${elapsed.toFixed(2)}s`, distance, allowed };
+  }
+  return { ok: true, distance, allowed };
+}
+
+/**
+ * Clamp a reported velocity (km/s) to what the thrust curve allows since the last update
+ * @param {Object} player - Server player record (uses velocity and lastVelocityTime)
+ * @param {number} velocity - Reported velocity in km/s
+ * @param {number} now - Server time in ms
+ * @returns {Object} { velocity, clamped }
+ */
+export function validateVelocity(player, velocity, now) {
+  if (!isFiniteNumber(velocity)) return { velocity: player.velocity || 0, clamped: true };
+
+  let result = Math.min(MAX_VELOCITY, Math.max(0, velocity));
+
+  if (player.lastVelocityTime && isFiniteNumber(player.velocity)) {
+    const elapsed = Math.max(0, now - player.lastVelocityTime) / 1000;
+    const maxRise = MAX_ACCELERATION * elapsed * VELOCITY_TOLERANCE;
+    // Slowing down is never an advantage (and an emergency stop is instant), so only rises are limited
+    result = Math.min(result, player.velocity + maxRise);
+  }
+
+  return { velocity: result, clamped: result !== velocity };
+}
@@ -0,0 +1,121 @@
+/**
+ * positionHistory.mjs - Short per-player history of positions and rotations
+ * Used to rewind targets to the moment a shooter actually saw them.
+ */
+
+const DEFAULT_CAPACITY = 32; // ~3 seconds of samples at 10 updates per second
+
+export class PositionHistory {
+  /**
+   * @param {number} [capacity] - Number of samples kept in the ring buffer
+   */
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.samples = new Array(capacity);
+    this.start = 0; // Index of the oldest sample
+    this.count = 0;
+  }
+
+  /**
+   * Record where a player was at a given server time
+   * @param {number} time - Server time in ms
+   * @param {Object} position - {x, y, z}
+   * @param {Object} rotation - Quaternion {x, y, z, w} (or Euler {x, y, z})
+   */
+  record(time, position, rotation) {
+    const sample = {
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: rotation ? { ...rotation } : null
+    };
+
+    // Samples must stay in time order for sampleAt's search
+    const newest = this.get(this.count - 1);
+    if (newest && newest.time > time) return;
+
+    if (this.count < this.capacity) {
+      this.samples[(this.start + this.count) % this.capacity] = sample;
+      this.count++;
+    } else {
+      this.samples[this.start] = sample;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * @param {number} index - 0 is the oldest sample
+   */
+  get(index) {
+    if (index < 0 || index >= this.count) return null;
+    return this.samples[(this.start + index) % this.capacity];
+  }
+
+  clear() {
+    this.start = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Reconstruct a player's pose at a past server time.
+   * Positions are interpolated linearly and quaternions normalized-lerped
+   * between the two samples either side of `time`; times outside the
+   * recorded window are clamped to the oldest/newest sample.
+   * @param {number} time - Server time in ms
+   * @returns {Object|null} { position, rotation } or null if nothing was recorded
+   */
+  sampleAt(time) {
+    if (this.count === 0) return null;
+
+    const oldest = this.get(0);
+    const newest = this.get(this.count - 1);
+    if (time <= oldest.time) return { position: { ...oldest.position }, rotation: oldest.rotation };
+    if (time >= newest.time) return { position: { ...newest.position }, rotation: newest.rotation };
+
+    // Walk back from the newest sample; rewinds are short so this stays cheap
+    let after = newest;
+    let before = null;
+    for (let i = this.count - 2; i >= 0; i--) {
+      const sample = this.get(i);
+      if (sample.time <= time) {
+        before = sample;
+        break;
+      }
+      after = sample;
+    }
+
+    const span = after.time - before.time;
+    const t = span > 0 ? (time - before.time) / span : 0;
+
+    return {
+      position: {
+        x: before.position.x + (after.position.x - before.position.x) * t,
+        y: before.position.y + (after.position.y - before.position.y) * t,
+        z: before.position.z + (after.position.z - before.position.z) * t
+      },
+      rotation: interpolateRotation(before.rotation, after.rotation, t)
+    };
+  }
+}
+
+/**
+ * Normalized lerp between two quaternions (taking the short way round).
+ * Euler rotations can't be blended meaningfully, so the nearer one is used.
+ */
+function interpolateRotation(a, b, t) {
+  if (!a || !b) return a || b;
+  if (a.w === undefined || b.w === undefined) return t < 0.5 ? a : b;
+
+  const sign = (a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w) < 0 ? -1 : 1;
+  const q = {
+    x: a.x + (b.x * sign - a.x) * t,
+    y: a.y + (b.y * sign - a.y) * t,
+    z: a.z + (b.z * sign - a.z) * t,
+    w: a.w + (b.w * sign - a.w) * t
+  };
+  const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) || 1;
+  q.x /= length;
+  q.y /= length;
+  q.z /= length;
+  q.w /= length;
+  return q;
+}
@@ -0,0 +1,236 @@
+/**
+ * profileStore.mjs - Persistent pilot profiles and career stats
+ * Profiles live in a single JSON file, keyed by a SHA-256 hash of the pilot
+ * token the client keeps in localStorage, so the file never holds raw tokens.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logDebug } from './utils.mjs';
+
+const SAVE_DELAY = 2000; // ms to batch profile changes before writing the file
+const MAX_BODIES_VISITED = 64;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const BODY_NAME_PATTERN = /^[A-Za-z][A-Za-z ]{0,23}$/;
+// Any well-formed token gets a profile, so these keep made-up tokens from growing the file forever:
+// new profiles one address may create an hour...
+const NEW_PROFILES_PER_ADDRESS = 5;
+const NEW_PROFILE_WINDOW = 60 * 60 * 1000;
+const MAX_TRACKED_ADDRESSES = 10000; // Past this, the least recently seen address is forgotten
+// ...profiles in total...
+const MAX_PROFILES = 100000;
+// ...and how long a profile that never got to play is kept
+const UNPLAYED_PROFILE_TTL = 24 * 60 * 60 * 1000;
+const MIN_PLAYED_MS = 60 * 1000; // Less time in the game than this, without a single shot, isn't playing
+
+/**
+ * Is this something a client could legitimately have generated as a pilot token?
+ */
+export function isValidPilotToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Has the pilot done anything worth keeping a profile for?
+ */
+function hasPlayed(profile) {
+  return profile.shotsFired > 0 || profile.kills > 0 || profile.deaths > 0 || profile.timePlayedMs >= MIN_PLAYED_MS;
+}
+
+function createProfile() {
+  const now = Date.now();
+  return {
+    nickname: null,
+    colorIndex: null,
+    kills: 0,
+    deaths: 0,
+    shotsFired: 0,
+    hits: 0,
+    timePlayedMs: 0,
+    bodiesVisited: [],
+    createdAt: now,
+    lastSeen: now
+  };
+}
+
+export class ProfileStore {
+  /**
+   * @param {string} filePath - JSON file to load from and save to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.profiles = new Map(); // Map of profile key -> profile
+    this.creationLimits = new Map(); // Map of IP -> { windowStart, created }, least recently seen first
+    this.saveTimer = null;
+  }
+
+  /**
+   * Hash a pilot token into the key profiles are stored under
+   */
+  static keyFor(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Read the profile file if it exists
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        logDebug(`No profile file at ${this.filePath}, starting fresh`);
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(data.profiles || {}).forEach(([key, profile]) => {
+        this.profiles.set(key, { ...createProfile(), ...profile });
+      });
+      this.pruneUnplayed();
+      logDebug(`Loaded ${this.profiles.size} pilot profiles from ${this.filePath}`);
+    } catch (error) {
+      console.error(`[Crusader X Server] Failed to load profiles from ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * @param {string} key - Profile key (see keyFor)
+   * @returns {Object|null}
+   */
+  get(key) {
+    return this.profiles.get(key) || null;
+  }
+
+  /**
+   * @param {string} key - Profile key (see keyFor)
+   * @param {string|null} [ip] - Address of the client, counted against the creation limit
+   * @returns {Object|null} The profile, or null if no new profile may be created right now
+   */
+  getOrCreate(key, ip = null) {
+    let profile = this.profiles.get(key);
+    if (!profile) {
+      if (this.profiles.size >= MAX_PROFILES) {
+        logDebug(`Not creating another profile: ${MAX_PROFILES} profiles stored`);
+        return null;
+      }
+      if (!this.allowCreation(ip)) {
+        logDebug(`Not creating another profile for ${ip}: creation limit reached`);
+        return null;
+      }
+      profile = createProfile();
+      this.profiles.set(key, profile);
+      this.scheduleSave();
+    }
+    return profile;
+  }
+
+  /**
+   * Count a new profile against its address's allowance for the hour
+   * @returns {boolean} False if the address has used it up
+   */
+  allowCreation(ip, now = Date.now()) {
+    if (!ip) return true;
+    let limit = this.creationLimits.get(ip);
+    if (limit) {
+      // Re-inserted below, so the map stays ordered from least to most recently seen
+      this.creationLimits.delete(ip);
+    } else if (this.creationLimits.size >= MAX_TRACKED_ADDRESSES) {
+      this.creationLimits.delete(this.creationLimits.keys().next().value);
+    }
+    if (!limit || now - limit.windowStart >= NEW_PROFILE_WINDOW) limit = { windowStart: now, created: 0 };
+    this.creationLimits.set(ip, limit);
+    if (limit.created >= NEW_PROFILES_PER_ADDRESS) return false;
+    limit.created++;
+    return true;
+  }
+
+  /**
+   * Drop profiles that were created a while ago but never played
+   */
+  pruneUnplayed(now = Date.now()) {
+    let pruned = 0;
+    this.profiles.forEach((profile, key) => {
+      if (!hasPlayed(profile) && now - profile.createdAt > UNPLAYED_PROFILE_TTL) {
+        this.profiles.delete(key);
+        pruned++;
+      }
+    });
+    if (pruned > 0) logDebug(`Pruned ${pruned} pilot profiles that never played`);
+  }
+
+  /**
+   * Add to a profile's counters
+   * @param {string} key - Profile key
+   * @param {Object} delta - e.g. { kills: 1 } or { shotsFired: 1, hits: 1 }
+   */
+  addStats(key, delta) {
+    const profile = this.profiles.get(key);
+    if (!profile) return;
+    Object.keys(delta).forEach(stat => {
+      if (typeof profile[stat] === 'number') profile[stat] += delta[stat];
+    });
+    profile.lastSeen = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * Remember the nickname and color a pilot last flew with
+   */
+  updateIdentity(key, nickname, colorIndex) {
+    const profile = this.profiles.get(key);
+    if (!profile) return;
+    if (profile.nickname === nickname && profile.colorIndex === colorIndex) return;
+    profile.nickname = nickname;
+    profile.colorIndex = colorIndex;
+    this.scheduleSave();
+  }
+
+  /**
+   * Record that a pilot flew close to a planet or moon
+   * @returns {boolean} True if this was a new body for the pilot
+   */
+  addBodyVisited(key, bodyName) {
+    const profile = this.profiles.get(key);
+    if (!profile || typeof bodyName !== 'string' || !BODY_NAME_PATTERN.test(bodyName)) return false;
+    if (profile.bodiesVisited.includes(bodyName) || profile.bodiesVisited.length >= MAX_BODIES_VISITED) return false;
+    profile.bodiesVisited.push(bodyName);
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Public view of a profile, as served by the /api/profile endpoint
+   */
+  toPublic(profile) {
+    const { nickname, colorIndex, kills, deaths, shotsFired, hits, timePlayedMs, bodiesVisited, createdAt, lastSeen } = profile;
+    return { nickname, colorIndex, kills, deaths, shotsFired, hits, timePlayedMs, bodiesVisited, createdAt, lastSeen };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write all profiles to disk. Writes go to a temp file first so a crash
+   * mid-write never leaves a truncated profile file behind.
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.pruneUnplayed();
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const data = { version: 1, profiles: Object.fromEntries(this.profiles) };
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`[Crusader X Server] Failed to save profiles to ${this.filePath}:`, error);
+    }
+  }
+}
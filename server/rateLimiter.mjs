@@ -0,0 +1,126 @@
+/**
+ * rateLimiter.mjs - Token buckets for throttling what clients may send
+ * A bucket holds up to `capacity` tokens and refills continuously; each
+ * action spends one. Bursts up to the capacity are allowed, sustained
+ * traffic is held to the refill rate. ChannelRateLimiter keeps a bucket per
+ * message type for each connection and escalates against clients that keep
+ * going over.
+ */
+
+export class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Largest burst allowed
+   * @param {number} options.refillPerSecond - Tokens regained per second
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Spend tokens if there are enough
+   * @param {number} [cost] - Tokens this action needs
+   * @returns {boolean} False if the action should be refused
+   */
+  take(cost = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+}
+
+// What a well-behaved client sends, with room for network jitter to bunch messages up
+export const MESSAGE_LIMITS = {
+  // Binary position updates: at most MAX_UPDATES_PER_SECOND (room.mjs) when the room runs at full rate
+  playerUpdate: { capacity: 30, refillPerSecond: 60 },
+  // Two beams per volley and a volley every 250 ms (FIRE_COOLDOWN in js/laserSystem.js)
+  laserFire: { capacity: 4, refillPerSecond: 8 },
+  // The JSON playerUpdate, which only carries respawn requests
+  respawnRequest: { capacity: 3, refillPerSecond: 1 },
+  // Chat also has its own, stricter per-player limit with a message to the sender
+  chat: { capacity: 10, refillPerSecond: 2 },
+  bodyVisited: { capacity: 10, refillPerSecond: 2 },
+  // Answers to the server's pings, one every 2 seconds
+  pong: { capacity: 3, refillPerSecond: 1 }
+};
+
+export const RATE_LIMIT_ACTIONS = {
+  ALLOW: 'allow', // Within the limit
+  DROP: 'drop',   // Over the limit: ignore the message
+  WARN: 'warn',   // Dropping a lot: ignore it and tell the client to slow down
+  KICK: 'kick'    // Flooding: disconnect the client
+};
+
+const DEFAULT_WARN_AFTER = 20;  // Dropped messages in one window before the client is warned...
+const DEFAULT_KICK_AFTER = 100; // ...and before it is kicked
+const DEFAULT_WINDOW_MS = 10 * 1000;
+
+/**
+ * One token bucket per message type for a single client connection.
+ * Messages over a limit are dropped; a client that keeps going over is
+ * warned once per window, and one that floods is kicked.
+ */
+export class ChannelRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - Message type -> { capacity, refillPerSecond }
+   * @param {number} [options.warnAfter] - Dropped messages per window before a warning
+   * @param {number} [options.kickAfter] - Dropped messages per window before a kick
+   * @param {number} [options.windowMs] - How long dropped messages are counted for
+   */
+  constructor({
+    limits = MESSAGE_LIMITS,
+    warnAfter = DEFAULT_WARN_AFTER,
+    kickAfter = DEFAULT_KICK_AFTER,
+    windowMs = DEFAULT_WINDOW_MS
+  } = {}) {
+    this.limits = limits;
+    this.warnAfter = warnAfter;
+    this.kickAfter = kickAfter;
+    this.windowMs = windowMs;
+    this.buckets = new Map(); // message type -> TokenBucket
+    this.windowStart = Date.now();
+    this.dropped = 0;
+    this.warned = false;
+  }
+
+  /**
+   * Count a message against its type's limit
+   * @param {string} type - A MESSAGE_LIMITS key; types without a limit are always allowed
+   * @returns {string} One of RATE_LIMIT_ACTIONS
+   */
+  check(type, now = Date.now()) {
+    const limit = this.limits[type];
+    if (!limit) return RATE_LIMIT_ACTIONS.ALLOW;
+
+    let bucket = this.buckets.get(type);
+    if (!bucket) {
+      bucket = new TokenBucket(limit);
+      this.buckets.set(type, bucket);
+    }
+    if (bucket.take(1, now)) return RATE_LIMIT_ACTIONS.ALLOW;
+
+    if (now - this.windowStart >= this.windowMs) {
+      this.windowStart = now;
+      this.dropped = 0;
+      this.warned = false;
+    }
+    this.dropped++;
+    if (this.dropped >= this.kickAfter) return RATE_LIMIT_ACTIONS.KICK;
+    if (this.dropped >= this.warnAfter && !this.warned) {
+      this.warned = true;
+      return RATE_LIMIT_ACTIONS.WARN;
+    }
+    return RATE_LIMIT_ACTIONS.DROP;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * replayRecorder.mjs - Records a room's matches to replay files
+ * While a match is live the room hands every sync tick, laser batch and
+ * room-wide event to its recorder; when the match ends the recording is
+ * written to <room>-match<N>-<start time>.cxr (js/replayFormat.js, gzipped).
+ * Snapshots are stored as deltas against the previous one, with a full
+ * snapshot every KEYFRAME_INTERVAL so a damaged file still plays from there.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import NetSchema from '../js/netSchema.js';
+import ReplayFormat from '../js/replayFormat.js';
+import { diffSnapshot } from './snapshotDelta.mjs';
+import { logDebug } from './utils.mjs';
+
+const gzip = promisify(zlib.gzip);
+
+const KEYFRAME_INTERVAL = 100; // Snapshots between full ones; 10 seconds at the default sync rate
+// Room-wide events worth seeing in a replay. serverMessage types are listed separately,
+// since most of them (sync rate, match state) mean nothing during playback.
+const RECORDED_EVENTS = ['playerKilled', 'chat'];
+const RECORDED_SERVER_MESSAGES = ['teamScores', 'matchResults', 'announcement'];
+
+// Names the recorder gives its files; anything else in the directory is not served
+export const REPLAY_FILE_PATTERN = /^[\w-]+\.cxr$/;
+
+export class ReplayRecorder {
+  /**
+   * @param {string} directory - Where replay files are written
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.recording = null; // { header, chunks, seq, lastPlayers }
+  }
+
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Begin a new recording, discarding one that was never finished
+   * @param {Object} meta - { room, gameMode, matchNumber, updatesPerSecond, simClock }
+   * @param {number} [now] - Unix time in ms the match started
+   */
+  start(meta, now = Date.now()) {
+    const header = { ...meta, startedAt: now };
+    this.recording = { header, chunks: [ReplayFormat.encodeHeader(header)], seq: 0, lastPlayers: null };
+  }
+
+  addRecord(kind, payload, now) {
+    const { header, chunks } = this.recording;
+    chunks.push(ReplayFormat.encodeRecord(kind, now - header.startedAt, payload));
+  }
+
+  /**
+   * Record one sync tick
+   * @param {Map} publicStates - playerId -> public state of every pilot in the room
+   * @param {number} serverTime - Unix time in ms of the tick
+   */
+  recordSnapshot(publicStates, serverTime) {
+    if (!this.recording) return;
+    const recording = this.recording;
+    const players = Object.fromEntries(publicStates);
+    recording.seq++;
+
+    const keyframe = !recording.lastPlayers || recording.seq % KEYFRAME_INTERVAL === 1;
+    const message = keyframe
+      ? { seq: recording.seq, baseSeq: null, serverTime, players, removed: [] }
+      : { seq: recording.seq, baseSeq: recording.seq - 1, serverTime, ...diffSnapshot(recording.lastPlayers, players) };
+    recording.lastPlayers = players;
+    this.addRecord(ReplayFormat.RECORD.SNAPSHOT, NetSchema.encodeSnapshot(message), serverTime);
+  }
+
+  /**
+   * Record a laser batch
+   * @param {Array} events - [{ shooterId, startPosition, endPosition, likelyHit }]
+   */
+  recordLasers(events, now = Date.now()) {
+    if (!this.recording || events.length === 0) return;
+    this.addRecord(ReplayFormat.RECORD.LASERS, NetSchema.encodeLaserFires(events), now);
+  }
+
+  /**
+   * Record an event sent to the whole room, if it is one replays show
+   */
+  recordEvent(event, data, now = Date.now()) {
+    if (!this.recording) return;
+    const recorded = event === 'serverMessage'
+      ? data && RECORDED_SERVER_MESSAGES.includes(data.type)
+      : RECORDED_EVENTS.includes(event);
+    if (recorded) this.addRecord(ReplayFormat.RECORD.EVENT, { type: event, data }, now);
+  }
+
+  /**
+   * Stop recording and write the file in the background
+   * @returns {Promise<string|null>} Path of the written file, or null if nothing was
+   *   being recorded or the write failed
+   */
+  async finish() {
+    if (!this.recording) return null;
+    const { header, chunks, seq } = this.recording;
+    this.recording = null;
+    if (seq === 0) return null; // Nobody was in the room
+
+    const stamp = new Date(header.startedAt).toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.directory, `${header.room}-match${header.matchNumber}-${stamp}${ReplayFormat.FILE_EXTENSION}`);
+    try {
+      const compressed = await gzip(Buffer.concat(chunks));
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(filePath, compressed);
+      logDebug(`Saved replay ${filePath} (${seq} snapshots, ${compressed.length} bytes)`);
+      return filePath;
+    } catch (error) {
+      console.error(`[Crusader X Server] Failed to save replay to ${filePath}:`, error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Replay files in a directory, newest first
+ * @returns {Promise<Array>} [{ name, size, modified }]
+ */
+export async function listReplays(directory) {
+  let names;
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return []; // Nothing recorded yet
+    throw error;
+  }
+
+  const replays = await Promise.all(names.filter(name => REPLAY_FILE_PATTERN.test(name)).map(async name => {
+    const stats = await fs.promises.stat(path.join(directory, name));
+    return { name, size: stats.size, modified: stats.mtimeMs };
+  }));
+  return replays.sort((a, b) => b.modified - a.modified);
+}
@@ -0,0 +1,1419 @@
+/**
+ * room.mjs - A single Crusader X arena
+ * Each room owns its own players, laser buffer, sync loop and player cap,
+ * and only ever talks to the geckos channels that joined it.
+ */
+
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+import { logDebug } from './utils.mjs';
+import { PositionHistory } from './positionHistory.mjs';
+import { SnapshotBuffer } from './snapshotDelta.mjs';
+import { buildView, interestBand, INTEREST } from './interest.mjs';
+import NetSchema from '../js/netSchema.js';
+import MessageSchema from '../js/messageSchema.js';
+import Orbits from '../js/orbits.js';
+import { laserHitsShip, LASER_MAX_DISTANCE } from './hitDetection.mjs';
+import { validatePosition, validateVelocity, sanitizeRotation, isValidPosition } from './movementValidator.mjs';
+import { TokenBucket, ChannelRateLimiter, RATE_LIMIT_ACTIONS } from './rateLimiter.mjs';
+import { filterChatText } from './chatFilter.mjs';
+import { TeamMatch } from './teams.mjs';
+import { MatchController, MATCH_PHASES } from './matchController.mjs';
+import { BotManager } from './bots.mjs';
+import { SpawnPicker, DEFAULT_SPAWN_PROTECTION_MS } from './spawnPoints.mjs';
+import { ReplayRecorder } from './replayRecorder.mjs';
+
+export const DEFAULT_ROOM = 'public';
+export const MAX_PLAYERS = 10; // Maximum number of players per room
+export const MAX_SPECTATORS = 20; // Spectators per room, on top of the players
+const PLAYER_TIMEOUT = 10000; // 10 seconds without updates before considering a player disconnected
+const DISCONNECTED_PLAYER_TIMEOUT = 60000; // How long a dropped player can resume their ship
+export const DEFAULT_UPDATES_PER_SECOND = 10; // Default to 10 updates per second
+export const MIN_UPDATES_PER_SECOND = 1;
+export const MAX_UPDATES_PER_SECOND = 60;
+const PING_INTERVAL = 2000; // ms between round-trip time measurements
+const KICK_CLOSE_DELAY = 1000; // ms to let the kick message arrive before closing the channel
+export const LASER_BROADCAST_INTERVAL = 100; // ms between laser batches
+const CLEANUP_INTERVAL = 5000; // ms between timeout sweeps
+const MAX_REWIND_MS = 500; // Never rewind targets further back than this for hit detection
+const LASER_DAMAGE = 5; // Health removed per laser hit
+const LASER_LENGTH_TOLERANCE = 1.05; // Allow a little float slop on LASER_MAX_DISTANCE
+const MAX_MUZZLE_OFFSET = 0.5; // How far a beam may start from the shooter's last known position
+const CORRECTION_INTERVAL = 500; // Minimum ms between position corrections to one client
+const CHAT_BURST = 5; // Chat messages a player may send back to back
+const CHAT_REFILL_PER_SECOND = 0.5; // ...after which they get one every 2 seconds
+
+// Room names arrive from the client, so keep them short and URL/log safe
+const ROOM_NAME_PATTERN = /^[\w-]{1,24}$/;
+
+/**
+ * Normalize a requested room name, falling back to the public room
+ * @param {string} name - Room name requested by the client
+ * @returns {string} A safe room name
+ */
+export function sanitizeRoomName(name) {
+  if (typeof name !== 'string') return DEFAULT_ROOM;
+  const trimmed = name.trim().toLowerCase();
+  return ROOM_NAME_PATTERN.test(trimmed) ? trimmed : DEFAULT_ROOM;
+}
+
+function createResumeToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// Per-match tallies for the end-of-match results
+function newMatchStats() {
+  return { kills: 0, deaths: 0, shotsFired: 0, hits: 0 };
+}
+
+/**
+ * The playerKilled event: who destroyed whom, with what and from how far
+ * (in world units), and the killer's kills since their last death
+ */
+function killEvent(killer, victim, teamKill) {
+  const pilot = player => ({ id: player.id, nickname: player.nickname, colorIndex: player.colorIndex, team: player.team || null });
+  const distance = killer
+    ? Math.hypot(killer.position.x - victim.position.x, killer.position.y - victim.position.y, killer.position.z - victim.position.z)
+    : null;
+  return {
+    killer: killer ? pilot(killer) : null,
+    victim: pilot(victim),
+    weapon: 'laser',
+    distance: distance === null ? null : Math.round(distance * 1000) / 1000,
+    streak: killer && !teamKill ? killer.streak : 0,
+    teamKill,
+    time: Date.now()
+  };
+}
+
+/**
+ * Freshly respawned ships can't be hit for a few seconds, or until they fire
+ */
+function isSpawnProtected(player, now = Date.now()) {
+  return !!player.spawnProtectedUntil && now < player.spawnProtectedUntil;
+}
+
+/**
+ * The part of a player record every client in the room may see.
+ * Copies the pose, since snapshots keep this around as a delta base.
+ */
+function toPublicState(player) {
+  const state = {
+    id: player.id,
+    position: { ...player.position },
+    rotation: { ...player.rotation },
+    velocity: player.velocity,
+    nickname: player.nickname,
+    colorIndex: player.colorIndex,
+    health: player.health,
+    kills: player.kills,
+    spawnProtected: isSpawnProtected(player)
+  };
+  if (player.team) state.team = player.team;
+  return state;
+}
+
+export class Room {
+  /**
+   * @param {Object} io - geckos.io server instance
+   * @param {string} name - Room name (also used as the geckos room id)
+   * @param {Object} [options]
+   * @param {number} [options.maxPlayers] - Player cap for this room
+   * @param {ProfileStore} [options.profiles] - Where career stats are recorded
+   * @param {number} [options.updatesPerSecond] - Snapshot rate
+   * @param {string} [options.gameMode] - 'ffa' (free-for-all) or 'tdm' (team deathmatch)
+   * @param {number} [options.scoreLimit] - Team score that wins a team deathmatch
+   * @param {number} [options.friendlyFire] - Share of damage teammates take from each other (0-1)
+   * @param {Object} [options.match] - Match timings for MatchController; without it the room
+   *   is one endless session
+   * @param {number} [options.minPilots] - Top the room up with bots to this many pilots (0 for no bots)
+   * @param {ServerMetrics} [options.metrics] - Where tick timings and traffic are recorded (see metrics.mjs)
+   * @param {string[]} [options.spawnPlanets] - Planets respawning pilots are placed near (see spawnPoints.mjs)
+   * @param {number} [options.spawnProtectionMs] - How long a respawned ship can't be hit (0 for never)
+   * @param {string} [options.replayDir] - Record each match to a replay file here (see replayRecorder.mjs);
+   *   needs options.match, since an endless session has no match to record
+   * @param {Object} [options.simClock] - { epoch, timeScale } the planets move by (see Orbits.simulationTime);
+   *   clients are sent it on joining. Without it the planets follow real time.
+   */
+  constructor(io, name, options = {}) {
+    this.io = io;
+    this.name = name;
+    this.maxPlayers = options.maxPlayers || MAX_PLAYERS;
+    this.profiles = options.profiles || null;
+    this.metrics = options.metrics || null;
+    this.spawnPicker = new SpawnPicker(options.spawnPlanets);
+    this.spawnProtectionMs = options.spawnProtectionMs ?? DEFAULT_SPAWN_PROTECTION_MS;
+    this.simClock = options.simClock || null;
+    this.updatesPerSecond = options.updatesPerSecond || DEFAULT_UPDATES_PER_SECOND;
+    this.gameMode = options.gameMode === 'tdm' ? 'tdm' : 'ffa';
+    // Team assignment and scores; null in free-for-all
+    this.teamMatch = this.gameMode === 'tdm'
+      ? new TeamMatch({ scoreLimit: options.scoreLimit, friendlyFire: options.friendlyFire })
+      : null;
+    // Warmup / live / post-match cycle; null for an endless session
+    this.match = options.match
+      ? new MatchController({
+        ...options.match,
+        // Bots fill in for missing people, so they don't make a match worth starting
+        countPlayers: () => this.humanCount(),
+        onPhaseChange: phase => this.handleMatchPhase(phase),
+        onWarmupExtended: missing => this.handleWarmupExtended(missing)
+      })
+      : null;
+    this.matchWinner = null;
+    // AI pilots filling in for missing humans; null when bots are off
+    this.bots = options.minPilots > 0 ? new BotManager(this, { minPilots: options.minPilots }) : null;
+    // Records live matches; null when replays are off
+    this.replay = options.replayDir && this.match ? new ReplayRecorder(options.replayDir) : null;
+
+    // Active players (map of channelId -> playerData)
+    this.players = new Map();
+    // Their geckos channels, for messages meant for one client only
+    this.channels = new Map();
+    // Connections watching without a ship (map of channelId -> { channel, connectedAt });
+    // they get the whole room every tick, so they share one full snapshot sequence
+    this.spectators = new Map();
+    this.spectatorSeq = 0;
+    // Players whose connection dropped, kept for DISCONNECTED_PLAYER_TIMEOUT so they can resume
+    this.disconnectedPlayers = new Map(); // Map of resume token -> last known player record
+    // Keep track of when players were last seen
+    this.playerLastSeen = new Map();
+    // Laser buffer for storing laser fire events per shooter
+    this.laserBuffer = {};
+    // Recent poses per player (map of channelId -> PositionHistory) for lag compensation
+    this.history = new Map();
+    // Sync ticks so far; mid-range ships are only refreshed on some of them
+    this.tick = 0;
+    // When the sync and laser loops last ran (performance.now() ms), to measure their intervals
+    this.lastSyncAt = null;
+    this.lastLaserFlushAt = null;
+
+    this.syncIntervalId = null;
+    this.laserIntervalId = null;
+    this.cleanupIntervalId = null;
+    this.pingIntervalId = null;
+  }
+
+  /**
+   * Start the room's sync, laser and cleanup loops
+   */
+  start() {
+    if (this.syncIntervalId) return;
+    this.syncIntervalId = setInterval(() => this.broadcastState(), 1000 / this.updatesPerSecond);
+    this.laserIntervalId = setInterval(() => this.flushLaserBuffer(), LASER_BROADCAST_INTERVAL);
+    this.cleanupIntervalId = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    this.pingIntervalId = setInterval(() => this.sendPings(), PING_INTERVAL);
+    if (this.match) this.match.start();
+    if (this.bots) this.bots.start();
+    logDebug(`Room "${this.name}" started (max ${this.maxPlayers} players)`);
+  }
+
+  /**
+   * Stop all loops; the room can be discarded afterwards
+   */
+  stop() {
+    clearInterval(this.syncIntervalId);
+    clearInterval(this.laserIntervalId);
+    clearInterval(this.cleanupIntervalId);
+    clearInterval(this.pingIntervalId);
+    this.syncIntervalId = null;
+    this.laserIntervalId = null;
+    this.cleanupIntervalId = null;
+    this.pingIntervalId = null;
+    if (this.match) this.match.stop();
+    if (this.bots) this.bots.stop();
+    // Keep what was recorded of a match cut short
+    if (this.replay) this.replay.finish();
+    logDebug(`Room "${this.name}" stopped`);
+  }
+
+  /**
+   * Players that are people rather than bots
+   */
+  humanCount() {
+    let count = 0;
+    this.players.forEach(player => { if (!player.isBot) count++; });
+    return count;
+  }
+
+  /**
+   * Seats held for disconnected players count too, so they can always come back.
+   * Bots don't: they make way for anyone who joins.
+   */
+  isFull() {
+    return this.humanCount() + this.disconnectedPlayers.size >= this.maxPlayers;
+  }
+
+  /**
+   * Would a connection presenting this resume token get an existing ship back?
+   */
+  canResume(resumeToken) {
+    return !!this.findSession(resumeToken);
+  }
+
+  /**
+   * Find the player record a resume token belongs to, dropped or (if the
+   * server hasn't noticed the drop yet) still active
+   * @returns {Object|null} { player, active }
+   */
+  findSession(resumeToken) {
+    if (typeof resumeToken !== 'string' || !resumeToken) return null;
+    if (this.disconnectedPlayers.has(resumeToken)) {
+      return { player: this.disconnectedPlayers.get(resumeToken), active: false };
+    }
+    for (const player of this.players.values()) {
+      if (player.resumeToken === resumeToken) return { player, active: true };
+    }
+    return null;
+  }
+
+  /**
+   * Spectators don't take a seat, but there are only so many of them
+   */
+  canSpectate() {
+    return this.spectators.size < MAX_SPECTATORS;
+  }
+
+  /**
+   * A room is idle once nobody is playing, watching or waiting to reconnect
+   */
+  isIdle() {
+    return this.humanCount() === 0 && this.disconnectedPlayers.size === 0 && this.spectators.size === 0;
+  }
+
+  /**
+   * Send an event to every channel in this room
+   * @param {Object} [options] - geckos emit options, e.g. { reliable: true }
+   */
+  emit(event, data, options) {
+    this.metrics?.recordSent(event, data, this.channels.size + this.spectators.size);
+    this.replay?.recordEvent(event, data);
+    this.io.room(this.name).emit(event, data, options);
+  }
+
+  /**
+   * Send an event to one client
+   */
+  send(channel, event, data, options) {
+    this.metrics?.recordSent(event, data);
+    channel.emit(event, data, options);
+  }
+
+  /**
+   * Send an event to everyone in the room except the given client
+   */
+  broadcastFrom(channel, event, data, options) {
+    this.metrics?.recordSent(event, data, this.channels.size + this.spectators.size - 1);
+    channel.broadcast.emit(event, data, options);
+  }
+
+  /**
+   * Send a binary message (js/netSchema.js) to one client
+   * @param {string} type - Message name for the metrics, e.g. 'snapshot'
+   */
+  sendRaw(channel, type, buffer) {
+    this.metrics?.recordSent(type, buffer);
+    channel.raw.emit(buffer);
+  }
+
+  /**
+   * Change how many snapshots per second the room sends, and ask clients to
+   * send their updates at the same rate
+   */
+  setSyncRate(updatesPerSecond) {
+    this.updatesPerSecond = updatesPerSecond;
+    if (this.syncIntervalId) {
+      clearInterval(this.syncIntervalId);
+      this.syncIntervalId = setInterval(() => this.broadcastState(), 1000 / updatesPerSecond);
+    }
+    this.emit('serverMessage', { type: 'syncRate', updatesPerSecond }, { reliable: true });
+    logDebug(`Room "${this.name}" sync rate set to ${updatesPerSecond} updates per second`);
+  }
+
+  /**
+   * Show a message to everyone in the room
+   */
+  announce(message) {
+    this.emit('serverMessage', { type: 'announcement', message }, { reliable: true });
+  }
+
+  /**
+   * Add a line from the server (joins, leaves, kills) to everyone's chat log
+   */
+  systemMessage(text) {
+    this.emit('chat', { system: true, text, time: Date.now() }, { reliable: true });
+  }
+
+  /**
+   * Summary of everyone connected, for the admin API
+   */
+  listPlayers() {
+    return [...this.players.values()].map(player => ({
+      id: player.id,
+      room: this.name,
+      nickname: player.nickname,
+      health: player.health,
+      kills: player.kills,
+      ping: player.ping,
+      ip: player.ip,
+      connectedAt: player.connectedAt,
+      bot: !!player.isBot
+    }));
+  }
+
+  /**
+   * Remove a player for good: no resuming, and the channel is closed
+   * @returns {boolean} False if no such player is in this room
+   */
+  kickPlayer(id, reason) {
+    const player = this.players.get(id);
+    const channel = this.channels.get(id);
+    if (!player) return false;
+
+    logDebug(`Kicking player ${id} from room "${this.name}"${reason ? `: ${reason}` : ''}`);
+    if (player.isBot) {
+      // Another bot takes its seat on the next bot tick
+      this.removeBot(id);
+      this.systemMessage(`${player.nickname} was kicked`);
+      return true;
+    }
+    if (channel) this.send(channel, 'serverMessage', { type: 'kicked', reason }, { reliable: true });
+    this.removePlayer(id);
+    this.disconnectedPlayers.delete(player.resumeToken);
+    this.emit('playerLeft', { id });
+    this.systemMessage(`${player.nickname} was kicked`);
+    if (channel) setTimeout(() => channel.close(), KICK_CLOSE_DELAY);
+    return true;
+  }
+
+  // -----------------
+  // Server-side Connection Handling
+  // -----------------
+  addChannel(channel) {
+    const id = channel.id;
+    const { players, playerLastSeen } = this;
+    const now = Date.now();
+
+    channel.join(this.name);
+    this.channels.set(id, channel);
+    logDebug(`Player connected: ${id} (room "${this.name}")`);
+
+    // A reconnecting client presents the resume token it was given on its first join
+    let player = this.takeSession(channel.userData && channel.userData.resumeToken);
+    const previousId = player ? player.id : null;
+    if (player) {
+      logDebug(`Player ${id} resumed the ship of ${previousId}, restoring previous state`);
+      this.metrics?.reconnections.inc();
+      player.id = id;
+      player.timestamp = now;
+      delete player.disconnectedAt;
+    } else {
+      // Add new player with additional health and kills properties
+      player = {
+        id,
+        position: { x: 0, y: 0, z: 0 },
+        rotation: { x: 0, y: 0, z: 0 },
+        velocity: 0,
+        nickname: "Unknown", // Default nickname
+        colorIndex: 0,       // Default color (red)
+        health: 100,         // Starting health at 100
+        kills: 0,            // Initial kill count
+        timestamp: now
+      };
+    }
+    // A fresh token on every (re)connection, so an old one can't be replayed
+    player.resumeToken = createResumeToken();
+    // Each client gets its own view of the room (see interest.mjs), so each keeps
+    // its own snapshots; the new connection has none yet and starts with a full one
+    player.snapshots = new SnapshotBuffer();
+    player.ackSeq = null;
+    player.targetId = null;
+    player.ip = (channel.userData && channel.userData.ip) || null;
+    player.connectedAt = now;
+    player.ping = null;
+    player.chatBucket = new TokenBucket({ capacity: CHAT_BURST, refillPerSecond: CHAT_REFILL_PER_SECOND });
+    player.rateLimiter = new ChannelRateLimiter();
+    // A resumed ship stays on its team and keeps its match tallies
+    if (this.teamMatch && !player.team) player.team = this.teamMatch.pickTeam(players);
+    if (!player.matchStats) player.matchStats = newMatchStats();
+    players.set(id, player);
+    // The server places the ship: a newcomer at a spawn point, a resumed ship where
+    // it was. Its first update is checked against this like any other
+    const spawn = previousId ? null : this.pickSpawnPoint(id);
+    if (spawn) player.position = spawn.position;
+    player.lastMoveTime = now;
+    player.lastVelocityTime = now;
+    // A bot gives up its seat before the newcomer is told who is here
+    if (this.bots) this.bots.rebalance();
+
+    // Career stats go to the pilot's profile, if the client sent a pilot token
+    player.profileKey = (channel.userData && channel.userData.profileKey) || null;
+    player.playtimeCheckpoint = now;
+    // An address that has made too many profiles lately plays without one
+    if (player.profileKey && this.profiles && !this.profiles.getOrCreate(player.profileKey, player.ip)) {
+      player.profileKey = null;
+    }
+
+    // Update last seen timestamp
+    playerLastSeen.set(id, now);
+    this.history.set(id, new PositionHistory());
+
+    logDebug(`Room "${this.name}" player count: ${players.size}`);
+
+    // Let the client know which room it ended up in and how to resume if it drops
+    this.send(channel, 'serverMessage', {
+      type: 'roomJoined',
+      room: this.name,
+      maxPlayers: this.maxPlayers,
+      gameMode: this.gameMode,
+      team: player.team || null,
+      simClock: this.simClock,
+      serverTime: now
+    }, { reliable: true });
+    if (this.teamMatch) {
+      this.send(channel, 'serverMessage', { type: 'teamScores', ...this.teamMatch.getState() }, { reliable: true });
+    }
+    if (this.match) {
+      this.send(channel, 'serverMessage', { type: 'matchState', ...this.match.getState() }, { reliable: true });
+    }
+    this.send(channel, 'session', { id, resumeToken: player.resumeToken, resumed: !!previousId }, { reliable: true });
+    this.send(channel, 'spawnPoint', {
+      position: player.position,
+      planet: spawn ? spawn.planet : null,
+      protectionMs: 0
+    }, { reliable: true });
+
+    // Tell everyone else: a resumed ship keeps its identity, a new one joins
+    if (previousId) {
+      this.broadcastFrom(channel, 'playerResumed', { previousId, ...toPublicState(player) }, { reliable: true });
+    } else {
+      this.broadcastFrom(channel, 'playerJoined', toPublicState(player));
+    }
+
+    // Send existing players to the new/reconnected player
+    players.forEach((playerData, playerId) => {
+      if (playerId !== id) {
+        this.send(channel, 'playerJoined', toPublicState(playerData));
+      }
+    });
+
+    // Regular updates and shots arrive as binary raw messages (js/netSchema.js) and
+    // are rate limited and validated once decoded; JSON playerUpdate is still used
+    // for the reliable respawn request
+    const inbound = (type, handler) => data => {
+      if (!this.allowMessage(id, type)) return;
+      const message = this.validateMessage(id, type, data);
+      if (message) handler(message);
+    };
+    channel.onRaw(raw => this.handleRawMessage(id, raw));
+    channel.on('playerUpdate', inbound('respawnRequest', data => this.handlePlayerUpdate(id, data)));
+    channel.on('bodyVisited', inbound('bodyVisited', data => this.handleBodyVisited(id, data)));
+    channel.on('pong', inbound('pong', data => this.handlePong(id, data)));
+    channel.on('chat', inbound('chat', data => this.handleChat(id, data)));
+    channel.onDisconnect(() => this.handleDisconnect(id));
+  }
+
+  /**
+   * Let a connection watch the room without a ship. It joins the geckos room, so
+   * it hears every room-wide event, but isn't in the players map: it can't chat,
+   * fire or be hit, and gets the unfiltered state stream instead of a view.
+   */
+  addSpectator(channel) {
+    const id = channel.id;
+    channel.join(this.name);
+    this.spectators.set(id, { channel, connectedAt: Date.now() });
+    logDebug(`Spectator connected: ${id} (room "${this.name}", ${this.spectators.size} watching)`);
+
+    this.send(channel, 'serverMessage', {
+      type: 'roomJoined',
+      room: this.name,
+      maxPlayers: this.maxPlayers,
+      gameMode: this.gameMode,
+      team: null,
+      spectator: true,
+      simClock: this.simClock,
+      serverTime: Date.now()
+    }, { reliable: true });
+    if (this.teamMatch) {
+      this.send(channel, 'serverMessage', { type: 'teamScores', ...this.teamMatch.getState() }, { reliable: true });
+    }
+    if (this.match) {
+      this.send(channel, 'serverMessage', { type: 'matchState', ...this.match.getState() }, { reliable: true });
+    }
+    this.players.forEach(player => this.send(channel, 'playerJoined', toPublicState(player)));
+
+    channel.onDisconnect(() => this.removeSpectator(id));
+  }
+
+  removeSpectator(id) {
+    if (!this.spectators.delete(id)) return;
+    logDebug(`Spectator disconnected: ${id} (room "${this.name}", ${this.spectators.size} watching)`);
+  }
+
+  /**
+   * Seat an AI pilot (see bots.mjs). It joins like a client would, minus the channel.
+   * @param {Object} pilot - { nickname, colorIndex, position, rotation }
+   * @returns {Object} The bot's player record
+   */
+  addBot({ nickname, colorIndex, position, rotation }) {
+    const id = `bot-${crypto.randomBytes(6).toString('hex')}`;
+    const now = Date.now();
+    const player = {
+      id,
+      isBot: true,
+      position,
+      rotation,
+      velocity: 0,
+      nickname,
+      colorIndex,
+      health: 100,
+      kills: 0,
+      timestamp: now,
+      lastMoveTime: now,
+      matchStats: newMatchStats()
+    };
+    if (this.teamMatch) player.team = this.teamMatch.pickTeam(this.players);
+    this.players.set(id, player);
+    this.history.set(id, new PositionHistory());
+    this.history.get(id).record(now, position, rotation);
+
+    this.emit('playerJoined', toPublicState(player));
+    this.systemMessage(`${nickname} joined`);
+    return player;
+  }
+
+  /**
+   * Take a bot out of the room; unlike a human it has no seat to come back to
+   */
+  removeBot(id) {
+    if (!this.players.get(id)?.isBot) return;
+    this.players.delete(id);
+    this.history.delete(id);
+    delete this.laserBuffer[id];
+    this.emit('playerLeft', { id });
+  }
+
+  /**
+   * Bring a destroyed bot back at a new spot (the bot version of a respawn request)
+   */
+  respawnBot(id, position, rotation, now) {
+    const player = this.players.get(id);
+    if (!player || !player.isBot) return;
+    player.health = 100;
+    if (!this.match) player.kills = 0;
+    player.position = position;
+    player.rotation = rotation;
+    player.velocity = 0;
+    player.lastMoveTime = now;
+    player.spawnProtectedUntil = now + this.spawnProtectionMs;
+    const history = this.history.get(id);
+    history?.clear();
+    history?.record(now, position, rotation);
+  }
+
+  /**
+   * Count a client message against its sender's rate limits (see rateLimiter.mjs),
+   * warning or kicking a client that keeps sending too much
+   * @param {string} type - Message type, a MESSAGE_LIMITS key
+   * @returns {boolean} False if the message must be ignored
+   */
+  allowMessage(id, type) {
+    const player = this.players.get(id);
+    // Unknown senders are turned away by the handlers themselves
+    if (!player || !player.rateLimiter) return true;
+
+    const action = player.rateLimiter.check(type);
+    if (action === RATE_LIMIT_ACTIONS.ALLOW) return true;
+
+    this.metrics?.rateLimited.inc({ type });
+    if (action === RATE_LIMIT_ACTIONS.WARN) {
+      logDebug(`Player ${id} is over the ${type} rate limit, warning them`);
+      const channel = this.channels.get(id);
+      if (channel) this.send(channel, 'serverMessage', { type: 'rateLimited', message: type }, { reliable: true });
+    } else if (action === RATE_LIMIT_ACTIONS.KICK) {
+      logDebug(`Player ${id} kept flooding ${type} messages`);
+      this.kickPlayer(id, 'Sending too many messages');
+    }
+    return false;
+  }
+
+  /**
+   * Check a client message against its schema (js/messageSchema.js)
+   * @param {string} type - A MessageSchema.SCHEMAS key
+   * @returns {Object|null} The message cut down to known fields with the
+   *   nickname sanitized, or null if it was rejected
+   */
+  validateMessage(id, type, data) {
+    const result = MessageSchema.validate(type, data);
+    if (!result.ok) {
+      this.metrics?.rejectedMessages.inc({ type });
+      logDebug('Rejected message', { room: this.name, player: id, type, field: result.field, reason: result.reason });
+      return null;
+    }
+    if (result.unknownFields.length > 0) {
+      logDebug('Dropped unknown message fields', { room: this.name, player: id, type, fields: result.unknownFields.slice(0, 10) });
+    }
+    return result.value;
+  }
+
+  /**
+   * Decode a binary message from a client and hand it to the matching handler
+   */
+  handleRawMessage(id, raw) {
+    const message = NetSchema.decode(raw);
+    if (!message) {
+      this.metrics?.rejectedMessages.inc({ type: 'raw' });
+      logDebug('Rejected message', { room: this.name, player: id, type: 'raw', field: null, reason: 'malformed binary message' });
+      return;
+    }
+
+    switch (message.type) {
+      case NetSchema.MESSAGE.PLAYER_UPDATE: {
+        if (!this.allowMessage(id, 'playerUpdate')) return;
+        const update = this.validateMessage(id, 'playerUpdate', message.data);
+        if (update) this.handlePlayerUpdate(id, update);
+        break;
+      }
+      case NetSchema.MESSAGE.LASER_FIRE: {
+        // Shots over the fire rate are dropped before they can do any damage
+        if (!this.allowMessage(id, 'laserFire')) return;
+        const data = this.validateMessage(id, 'laserFire', message.data);
+        if (!data) return;
+        // Shots name the snapshot the shooter was looking at; rewind to its time
+        const { viewSeq, ...shot } = data;
+        const shooter = this.players.get(id);
+        const viewed = shooter && viewSeq !== null ? shooter.snapshots.get(viewSeq) : null;
+        this.handleLaserFire(id, { ...shot, viewTime: viewed ? viewed.serverTime : null });
+        break;
+      }
+      default:
+        logDebug(`Unexpected raw message type ${message.type} from ${id}`);
+    }
+  }
+
+  // -----------------
+  // Laser Fire Event Handler
+  // -----------------
+  handleLaserFire(id, data) {
+    if (!data || !data.startPosition || !data.endPosition) {
+      logDebug(`Invalid laserFire event data from ${id}`, data);
+      return;
+    }
+
+    const rejection = this.validateShot(id, data);
+    if (rejection) {
+      logDebug(`Rejected laserFire from ${id}: ${rejection}`);
+      return;
+    }
+
+    this.recordCombatStats(id, { shotsFired: 1 });
+    this.metrics?.recordLaserEvent();
+
+    // Shooting from behind spawn protection isn't allowed; the first shot ends it
+    this.players.get(id).spawnProtectedUntil = 0;
+
+    // The server decides hits itself; likelyHit is only passed on as an effects hint
+    const targetId = this.resolveLaserHit(id, data);
+    if (targetId !== null) {
+      this.recordCombatStats(id, { hits: 1 });
+      this.applyLaserDamage(id, targetId);
+    } else if (data.likelyHit) {
+      logDebug(`Player ${id} reported a likely hit the server did not confirm`);
+    }
+
+    // Buffer laser event for broadcast (happens regardless of hit)
+    // viewTime is only meaningful to the server, so don't pass it on
+    if (!this.laserBuffer[id]) {
+      this.laserBuffer[id] = [];
+    }
+    if (this.laserBuffer[id].length < 2) {
+      const { viewTime, ...laserEvent } = data;
+      this.laserBuffer[id].push({ ...laserEvent, shooterId: id });
+    }
+  }
+
+  /**
+   * Sanity-check a shot against what the shooter could actually fire
+   * @returns {string|null} Why the shot was rejected, or null if it is plausible
+   */
+  validateShot(id, data) {
+    const shooter = this.players.get(id);
+    if (!shooter) return 'unknown shooter';
+    if (shooter.health <= 0) return 'shooter is dead';
+    if (this.match && this.match.isOver()) return 'the match is over';
+
+    const start = data.startPosition;
+    const end = data.endPosition;
+    const coords = [start.x, start.y, start.z, end.x, end.y, end.z];
+    if (!coords.every(v => typeof v === 'number' && Number.isFinite(v))) return 'non-numeric coordinates';
+
+    const length = Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z);
+    if (length > LASER_MAX_DISTANCE * LASER_LENGTH_TOLERANCE) return `beam too long (${length.toFixed(3)})`;
+
+    const muzzleOffset = Math.hypot(
+      start.x - shooter.position.x,
+      start.y - shooter.position.y,
+      start.z - shooter.position.z
+    );
+    if (muzzleOffset > MAX_MUZZLE_OFFSET) return `beam starts ${muzzleOffset.toFixed(3)} units from the ship`;
+
+    return null;
+  }
+
+  /**
+   * Find the ship a laser hits, testing each target's OBB at the shooter's view time
+   * @returns {string|null} Id of the nearest ship hit, or null for a miss
+   */
+  resolveLaserHit(id, data) {
+    // Test against where targets were when the shooter saw them, not where they are now
+    const rewindTime = this.getRewindTime(data.viewTime);
+    const start = data.startPosition;
+    let closestPlayerId = null;
+    let minDistance = Infinity;
+
+    const shooter = this.players.get(id);
+    this.players.forEach((otherPlayer, otherId) => {
+      if (otherId === id || otherPlayer.health <= 0) return;
+      // Beams pass through ships under spawn protection...
+      if (isSpawnProtected(otherPlayer)) return;
+      // ...and, with friendly fire off, through teammates
+      if (this.teamMatch && this.teamMatch.damageFactor(shooter, otherPlayer) <= 0) return;
+
+      const pose = this.getPoseAt(otherId, rewindTime);
+      if (!laserHitsShip(start, data.endPosition, pose.position, pose.rotation)) return;
+
+      // A beam can pass through more than one ship; the nearest one takes the hit
+      const distance = Math.hypot(
+        pose.position.x - start.x,
+        pose.position.y - start.y,
+        pose.position.z - start.z
+      );
+      if (distance < minDistance) {
+        minDistance = distance;
+        closestPlayerId = otherId;
+      }
+    });
+
+    return closestPlayerId;
+  }
+
+  /**
+   * Apply one laser's damage and handle the kill if it was the last of the target's health
+   */
+  applyLaserDamage(shooterId, targetId) {
+    const { players } = this;
+    const shooter = players.get(shooterId);
+    const targetPlayer = players.get(targetId);
+    // Friendly fire is scaled down (it never gets here when it is off)
+    const factor = this.teamMatch && shooter ? this.teamMatch.damageFactor(shooter, targetPlayer) : 1;
+    const damage = Math.max(1, Math.round(LASER_DAMAGE * factor));
+    const oldHealth = targetPlayer.health;
+    const newHealth = Math.max(0, oldHealth - damage);
+    targetPlayer.health = newHealth;
+    logDebug(`Player ${targetId} hit by ${shooterId}. Health: ${oldHealth} -> ${newHealth}`);
+
+    if (oldHealth > 0 && newHealth === 0) {
+      const teamKill = !!(this.teamMatch && shooter && this.teamMatch.isFriendly(shooter, targetPlayer));
+      if (shooter && !teamKill) {
+        shooter.kills = (shooter.kills || 0) + 1;
+        shooter.streak = (shooter.streak || 0) + 1;
+        logDebug(`Player ${shooterId} registered a kill on ${targetId}. Total kills: ${shooter.kills}`);
+        this.recordCombatStats(shooterId, { kills: 1 });
+      }
+      targetPlayer.streak = 0;
+      this.recordCombatStats(targetId, { deaths: 1 });
+      this.emit('playerKilled', killEvent(shooter, targetPlayer, teamKill), { reliable: true });
+      // In an endless session kills are a streak; in a match they add up until it ends
+      if (!this.match) {
+        targetPlayer.kills = 0;
+        logDebug(`Player ${targetId} died. Kills reset to 0.`);
+      }
+      this.systemMessage(teamKill
+        ? `${shooter.nickname} destroyed teammate ${targetPlayer.nickname}`
+        : `${shooter ? shooter.nickname : 'Someone'} destroyed ${targetPlayer.nickname}`);
+      if (this.teamMatch && !teamKill && this.countsTowardsMatch()) this.scoreTeamKill(shooter, targetPlayer);
+    }
+    targetPlayer.recentlyHit = true;
+    setTimeout(() => {
+      const currentTarget = players.get(targetId);
+      if (currentTarget) currentTarget.recentlyHit = false;
+    }, 500);
+  }
+
+  /**
+   * Add a kill to the shooter's team score, and end the match when it reaches the limit
+   */
+  scoreTeamKill(shooter, target) {
+    const winner = this.teamMatch.recordKill(shooter, target);
+    this.emit('serverMessage', { type: 'teamScores', ...this.teamMatch.getState() }, { reliable: true });
+    if (!winner) return;
+
+    const { scores } = this.teamMatch.getState();
+    logDebug(`Room "${this.name}": team ${winner} wins`, scores);
+    if (this.match) {
+      // The results screen announces the winner; the next match resets the scores
+      this.matchWinner = winner;
+      this.match.finish();
+      return;
+    }
+    this.emit('serverMessage', { type: 'matchOver', winner, scores }, { reliable: true });
+    this.systemMessage(`Team ${winner} wins the match (${Object.values(scores).join(' - ')})`);
+
+    // Straight into the next match: scores and individual kills start over
+    this.teamMatch.reset();
+    this.players.forEach(player => { player.kills = 0; });
+    this.emit('serverMessage', { type: 'teamScores', ...this.teamMatch.getState() }, { reliable: true });
+  }
+
+  /**
+   * Turn the snapshot time a shooter was looking at into the time we rewind to.
+   * Clients echo back the serverTime of the last snapshot they rendered; we
+   * never trust it further than MAX_REWIND_MS into the past or beyond now.
+   * @param {number} viewTime - serverTime of the shooter's latest snapshot
+   * @returns {number} Server time in ms
+   */
+  getRewindTime(viewTime) {
+    const now = Date.now();
+    if (typeof viewTime !== 'number' || !Number.isFinite(viewTime)) return now;
+    return Math.min(now, Math.max(now - MAX_REWIND_MS, viewTime));
+  }
+
+  /**
+   * A player's pose at a past server time, falling back to their current state
+   * @returns {Object} { position, rotation }
+   */
+  getPoseAt(id, time) {
+    const history = this.history.get(id);
+    const pose = history ? history.sampleAt(time) : null;
+    if (pose) return pose;
+
+    const player = this.players.get(id);
+    return { position: player.position, rotation: player.rotation };
+  }
+
+  // -----------------
+  // Client Sends Update
+  // -----------------
+  handlePlayerUpdate(id, data) {
+    const player = this.players.get(id);
+    if (!player) {
+      logDebug(`Received update from unknown or disconnected player: ${id}`);
+      return;
+    }
+
+    // Update timestamp first
+    const now = Date.now();
+    this.playerLastSeen.set(id, now);
+    player.timestamp = now;
+
+    // Newest snapshot the client has rebuilt; later deltas are based on it
+    if (Number.isInteger(data.ackSeq) && data.ackSeq <= player.snapshots.seq && data.ackSeq > (player.ackSeq || 0)) {
+      player.ackSeq = data.ackSeq;
+    }
+
+    // The ship the client has targeted is always streamed at full rate
+    if (data.targetId !== undefined) {
+      player.targetId = typeof data.targetId === 'string' ? data.targetId : null;
+    }
+
+    // Only the dead get to respawn (respawning restores health and moves the ship)
+    if (data.isRespawning && player.health > 0) {
+      logDebug(`Ignoring respawn flag from living player ${id}`);
+      data = { ...data, isRespawning: false };
+    }
+
+    // Check for respawn flag
+    if (data.isRespawning) {
+      logDebug(`Player ${id} is respawning.`);
+      player.health = 100;
+      if (!this.match) player.kills = 0;
+      // The server picks the spawn point; the client keeps its heading
+      const spawn = this.pickSpawnPoint(id);
+      player.position = spawn.position;
+      player.lastMoveTime = now;
+      player.spawnProtectedUntil = now + this.spawnProtectionMs;
+      player.rotation = sanitizeRotation(data.rotation) || player.rotation;
+      player.velocity = 0;
+      player.lastVelocityTime = now;
+      player.nickname = data.nickname || player.nickname; // Update nickname on respawn if sent
+      player.colorIndex = (typeof data.colorIndex === 'number') ? data.colorIndex : player.colorIndex;
+      // Don't let a rewind interpolate across the respawn jump
+      this.history.get(id)?.clear();
+      const channel = this.channels.get(id);
+      if (channel) {
+        this.send(channel, 'spawnPoint', {
+          position: spawn.position,
+          planet: spawn.planet,
+          protectionMs: this.spawnProtectionMs
+        }, { reliable: true });
+      }
+      // Velocity arrives with the next regular update; the sync loop broadcasts the new state
+      logDebug(`Player ${id} with nickname ${player.nickname} respawned. Health: ${player.health}, Kills: ${player.kills}, Pos:`, player.position);
+    } else {
+      // --- Regular Update ---
+      // Health and kills are server-authoritative (updated via hit detection).
+      // Movement is checked against the ship's physics limits before it is accepted.
+      this.applyMovement(id, player, data, now);
+
+      // Update nickname and log if it changes
+      if (data.nickname && data.nickname !== player.nickname) {
+        logDebug(`Player ${id} changed nickname from "${player.nickname}" to "${data.nickname}"`);
+      }
+      if (data.nickname) player.nickname = data.nickname;
+
+      // Update color index
+      if (typeof data.colorIndex === 'number') {
+        player.colorIndex = data.colorIndex;
+      }
+    }
+
+    if (player.profileKey && this.profiles) {
+      this.profiles.updateIdentity(player.profileKey, player.nickname, player.colorIndex);
+    }
+
+    // Announce newcomers once their first update has told us who they are
+    if (!player.joinAnnounced && data.nickname) {
+      player.joinAnnounced = true;
+      this.systemMessage(`${player.nickname} joined`);
+    }
+
+    this.history.get(id)?.record(player.timestamp, player.position, player.rotation);
+  }
+
+  /**
+   * Choose a spawn point for a joining or respawning player, away from the ships
+   * that could shoot them
+   * @returns {Object} { position, planet }
+   */
+  pickSpawnPoint(id) {
+    const player = this.players.get(id);
+    const enemies = [];
+    this.players.forEach((other, otherId) => {
+      // Ships the server hasn't placed yet are still at the origin
+      if (otherId === id || other.health <= 0 || !other.lastMoveTime) return;
+      if (this.teamMatch && this.teamMatch.isFriendly(player, other)) return;
+      enemies.push(other.position);
+    });
+    // Planets are placed where the clients see them
+    return this.spawnPicker.pick(enemies, Orbits.simulationTime(this.simClock));
+  }
+
+  /**
+   * Accept the reported position, rotation and velocity if the ship could
+   * physically have done it; otherwise keep the last good position and tell
+   * the client to snap back to it.
+   */
+  applyMovement(id, player, data, now) {
+    if (data.position) {
+      // While dead the ship is out of play until the server places it at its
+      // respawn point, so only living ships are held to the speed limit
+      const check = player.health > 0
+        ? validatePosition(player, data.position, now)
+        : { ok: isValidPosition(data.position), reason: 'non-numeric position' };
+      if (check.ok) {
+        player.position = { x: data.position.x, y: data.position.y, z: data.position.z };
+        player.lastMoveTime = now;
+      } else {
+        logDebug(`Rejected movement from ${id}: ${check.reason}`);
+        this.sendPositionCorrection(id, player, now);
+      }
+    }
+
+    const rotation = sanitizeRotation(data.rotation);
+    if (rotation) player.rotation = rotation;
+
+    if (data.velocity !== undefined) {
+      player.velocity = validateVelocity(player, data.velocity, now).velocity;
+      player.lastVelocityTime = now;
+    }
+  }
+
+  /**
+   * Tell a client where the server thinks its ship is. Throttled, because a
+   * lagging client keeps sending stale positions until the correction lands.
+   */
+  sendPositionCorrection(id, player, now) {
+    const channel = this.channels.get(id);
+    if (!channel) return;
+    if (player.lastCorrectionTime && now - player.lastCorrectionTime < CORRECTION_INTERVAL) return;
+
+    player.lastCorrectionTime = now;
+    player.corrections = (player.corrections || 0) + 1;
+    this.send(channel, 'positionCorrection', { position: player.position }, { reliable: true });
+  }
+
+  /**
+   * Relay a chat message to the room, or to the sender's team.
+   * Messages are rate limited per player and cleaned up by chatFilter.mjs.
+   * @param {Object} data - { text, channel: 'all' | 'team' }
+   */
+  handleChat(id, data) {
+    const player = this.players.get(id);
+    const channel = this.channels.get(id);
+    if (!player || !channel || !data) return;
+
+    if (!player.chatBucket.take()) {
+      this.send(channel, 'chat', { system: true, text: 'You are sending messages too quickly', time: Date.now() }, { reliable: true });
+      return;
+    }
+
+    const text = filterChatText(data.text);
+    if (!text) return;
+
+    // Without teams there is nobody to keep a team message from, so it goes to everyone
+    const chatChannel = data.channel === 'team' && player.team ? 'team' : 'all';
+    const message = {
+      from: id,
+      nickname: player.nickname,
+      colorIndex: player.colorIndex,
+      channel: chatChannel,
+      text,
+      time: Date.now()
+    };
+
+    if (chatChannel === 'all') {
+      this.emit('chat', message, { reliable: true });
+    } else {
+      this.channels.forEach((recipient, recipientId) => {
+        const other = this.players.get(recipientId);
+        if (other && other.team === player.team) this.send(recipient, 'chat', message, { reliable: true });
+      });
+    }
+  }
+
+  /**
+   * Ask every client to echo the current time back, to measure round trips
+   */
+  sendPings() {
+    const now = Date.now();
+    this.channels.forEach(channel => this.send(channel, 'ping', { t: now }));
+  }
+
+  handlePong(id, data) {
+    const player = this.players.get(id);
+    const now = Date.now();
+    if (!player || !data || typeof data.t !== 'number' || data.t > now) return;
+    player.ping = now - data.t;
+  }
+
+  /**
+   * The client flew close to a planet or moon; remember it on the pilot's profile
+   * @param {Object} data - { body: 'Mars' }
+   */
+  handleBodyVisited(id, data) {
+    const player = this.players.get(id);
+    if (!player || !player.profileKey || !this.profiles || !data) return;
+    if (this.profiles.addBodyVisited(player.profileKey, data.body)) {
+      logDebug(`Player ${id} visited ${data.body} for the first time`);
+    }
+  }
+
+  /**
+   * Add to the career stats of a player's profile (no-op for pilots without one)
+   */
+  recordStats(id, delta) {
+    const player = this.players.get(id);
+    if (player && player.profileKey && this.profiles) {
+      this.profiles.addStats(player.profileKey, delta);
+    }
+  }
+
+  /**
+   * Is combat counting right now? Always in an endless session, only while live in a match.
+   */
+  countsTowardsMatch() {
+    return !this.match || this.match.isLive();
+  }
+
+  /**
+   * Record shots, hits, kills and deaths for the match results and the pilot's career.
+   * Warmup fights don't count.
+   */
+  recordCombatStats(id, delta) {
+    if (!this.countsTowardsMatch()) return;
+    const player = this.players.get(id);
+    if (player && player.matchStats) {
+      Object.keys(delta).forEach(key => { player.matchStats[key] += delta[key]; });
+    }
+    this.recordStats(id, delta);
+  }
+
+  /**
+   * React to a match phase change and tell the room about it
+   */
+  handleMatchPhase(phase) {
+    switch (phase) {
+      case MATCH_PHASES.WARMUP:
+        this.setupMatch();
+        this.systemMessage('Warmup: fights don\'t count until the match starts');
+        break;
+      case MATCH_PHASES.LIVE:
+        if (this.replay) {
+          this.replay.start({
+            room: this.name,
+            gameMode: this.gameMode,
+            matchNumber: this.match.matchNumber,
+            updatesPerSecond: this.updatesPerSecond,
+            simClock: this.simClock
+          });
+        }
+        // Warmup kills don't carry over
+        this.setupMatch();
+        this.systemMessage(`Match ${this.match.matchNumber} has started`);
+        break;
+      case MATCH_PHASES.POST_MATCH: {
+        const results = this.buildMatchResults();
+        logDebug(`Room "${this.name}" match ${results.matchNumber} over`, { winner: results.winner, mvp: results.mvp });
+        this.emit('serverMessage', { type: 'matchResults', ...results }, { reliable: true });
+        if (this.replay) this.replay.finish();
+        break;
+      }
+    }
+    this.emit('serverMessage', { type: 'matchState', ...this.match.getState() }, { reliable: true });
+  }
+
+  /**
+   * Warmup ran out with too few people in the room; clients need the new end
+   * time, or their countdown sits at 0:00 until the match starts
+   */
+  handleWarmupExtended(missing) {
+    this.systemMessage(`Waiting for ${missing} more ${missing === 1 ? 'person' : 'people'} to start the match`);
+    this.emit('serverMessage', { type: 'matchState', ...this.match.getState() }, { reliable: true });
+  }
+
+  /**
+   * Fresh kills, tallies, health and team scores (rebalancing the teams) for the next match
+   */
+  setupMatch() {
+    this.matchWinner = null;
+    this.players.forEach(player => {
+      player.kills = 0;
+      player.streak = 0;
+      player.matchStats = newMatchStats();
+      // Everyone still flying starts at full health; the dead respawn as usual
+      if (player.health > 0) player.health = 100;
+    });
+    if (this.teamMatch) {
+      this.teamMatch.reset();
+      // Reassign one by one so teams even out after people left during the last match
+      const assigned = new Map();
+      this.players.forEach((player, id) => {
+        player.team = this.teamMatch.pickTeam(assigned);
+        assigned.set(id, player);
+      });
+      this.emit('serverMessage', { type: 'teamScores', ...this.teamMatch.getState() }, { reliable: true });
+    }
+  }
+
+  /**
+   * Results of the match that just ended, best pilot first
+   * @returns {Object} { matchNumber, winner, mvp, scores, pilots }
+   */
+  buildMatchResults() {
+    const pilots = [...this.players.values()].map(player => {
+      const stats = player.matchStats || newMatchStats();
+      return {
+        id: player.id,
+        nickname: player.nickname,
+        colorIndex: player.colorIndex,
+        team: player.team || null,
+        kills: stats.kills,
+        deaths: stats.deaths,
+        accuracy: stats.shotsFired > 0 ? stats.hits / stats.shotsFired : 0
+      };
+    });
+    // Most kills, then fewest deaths, then best accuracy
+    pilots.sort((a, b) => (b.kills - a.kills) || (a.deaths - b.deaths) || (b.accuracy - a.accuracy));
+    const mvp = pilots.length > 0 && pilots[0].kills > 0 ? pilots[0].id : null;
+
+    let winner = this.matchWinner;
+    if (!winner && this.teamMatch) {
+      // Time ran out: the team ahead wins, a tie has no winner
+      const { scores } = this.teamMatch.getState();
+      const [first, second] = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+      winner = scores[first] > scores[second] ? first : null;
+    }
+
+    return {
+      matchNumber: this.match.matchNumber,
+      winner,
+      mvp,
+      scores: this.teamMatch ? this.teamMatch.getState().scores : null,
+      pilots
+    };
+  }
+
+  /**
+   * Move time played since the last checkpoint onto each player's profile
+   * @param {string} [onlyId] - Only flush this player
+   */
+  flushPlaytime(onlyId) {
+    const now = Date.now();
+    this.players.forEach((player, id) => {
+      if (onlyId !== undefined && id !== onlyId) return;
+      if (!player.playtimeCheckpoint) return;
+      this.recordStats(id, { timePlayedMs: now - player.playtimeCheckpoint });
+      player.playtimeCheckpoint = now;
+    });
+  }
+
+  /**
+   * Claim the player record behind a resume token
+   * @returns {Object|null} The record (still carrying its old id), or null if there is nothing to resume
+   */
+  takeSession(resumeToken) {
+    const session = this.findSession(resumeToken);
+    if (!session) return null;
+
+    // The old connection may not have timed out yet; retire it first
+    if (session.active) {
+      const oldChannel = this.channels.get(session.player.id);
+      this.removePlayer(session.player.id);
+      if (oldChannel) oldChannel.close();
+    }
+
+    this.disconnectedPlayers.delete(resumeToken);
+    return session.player;
+  }
+
+  // Player disconnected
+  handleDisconnect(id) {
+    logDebug(`Player disconnected: ${id} (room "${this.name}")`);
+    this.removePlayer(id);
+  }
+
+  /**
+   * Move a player out of the active map, keeping their state for a reconnect.
+   * Other clients only hide the ship; playerLeft follows once the grace period runs out.
+   */
+  removePlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return;
+
+    this.flushPlaytime(id);
+    player.disconnectedAt = Date.now();
+    this.disconnectedPlayers.set(player.resumeToken, player);
+    logDebug(`Saved player ${id} data for potential reconnection`);
+
+    this.players.delete(id);
+    this.channels.delete(id);
+    this.playerLastSeen.delete(id);
+    this.history.delete(id);
+    delete this.laserBuffer[id];
+    this.emit('playerDisconnected', { id });
+    logDebug(`Room "${this.name}" player count: ${this.players.size}`);
+  }
+
+  // -----------------
+  // Periodically clean up disconnected players and inactive players
+  // -----------------
+  cleanup() {
+    const now = Date.now();
+
+    // Players that didn't come back in time have now really left
+    this.disconnectedPlayers.forEach((playerData, resumeToken) => {
+      if (now - playerData.disconnectedAt > DISCONNECTED_PLAYER_TIMEOUT) {
+        logDebug(`Removing stored data for disconnected player ${playerData.id} (timeout)`);
+        this.disconnectedPlayers.delete(resumeToken);
+        this.emit('playerLeft', { id: playerData.id });
+        this.systemMessage(`${playerData.nickname} left`);
+      }
+    });
+
+    // Keep played time on profiles current in case the process dies
+    this.flushPlaytime();
+
+    // Check for inactive players
+    this.playerLastSeen.forEach((lastSeen, id) => {
+      if (now - lastSeen > PLAYER_TIMEOUT) {
+        logDebug(`Player timed out: ${id}`);
+        this.metrics?.timeouts.inc();
+        // Closing the channel makes a client that is still around reconnect and resume
+        const channel = this.channels.get(id);
+        this.removePlayer(id);
+        if (channel) channel.close();
+      }
+    });
+  }
+
+  // -----------------
+  // Laser Buffer Broadcast
+  // -----------------
+  // Every 0.1 seconds, broadcast all buffered laser events to the room and then clear the buffer.
+  // Each event carries its shooterId so clients can skip their own shots.
+  flushLaserBuffer() {
+    const now = performance.now();
+    if (this.lastLaserFlushAt !== null) this.metrics?.laserFlushInterval.observe((now - this.lastLaserFlushAt) / 1000);
+    this.lastLaserFlushAt = now;
+
+    const allLaserEvents = [];
+    for (const shooterId in this.laserBuffer) {
+      allLaserEvents.push(...this.laserBuffer[shooterId]);
+    }
+
+    if (allLaserEvents.length > 0) {
+      this.replay?.recordLasers(allLaserEvents);
+      // Nobody needs to see shots fired on the far side of the solar system
+      this.channels.forEach((channel, id) => {
+        const viewer = this.players.get(id);
+        if (!viewer) return;
+        const visible = allLaserEvents.filter(event =>
+          interestBand(viewer.position, event.startPosition) !== INTEREST.FAR
+        );
+        if (visible.length > 0) this.sendRaw(channel, 'laserFires', NetSchema.encodeLaserFires(visible));
+      });
+      if (this.spectators.size > 0) {
+        const buffer = NetSchema.encodeLaserFires(allLaserEvents);
+        this.spectators.forEach(({ channel }) => this.sendRaw(channel, 'laserFires', buffer));
+      }
+    }
+
+    this.laserBuffer = {};
+  }
+
+  // -----------------
+  // Periodically broadcast player state
+  // -----------------
+  // Every tick each client gets a numbered snapshot of its own view of the room
+  // (nearby ships at full rate, distant ones less often or identity only), sent as the
+  // fields that changed since the last snapshot it acknowledged (ackSeq), or in full.
+  // Spectators share one full snapshot of the whole room.
+  // serverTime lets clients tell us which moment they were looking at when they fire.
+  broadcastState() {
+    const startedAt = performance.now();
+    if (this.lastSyncAt !== null) this.metrics?.syncInterval.observe((startedAt - this.lastSyncAt) / 1000);
+    this.lastSyncAt = startedAt;
+    if (this.players.size === 0) return;
+    this.tick++;
+
+    const serverTime = Date.now();
+    const publicStates = new Map();
+    this.players.forEach((playerData, playerId) => {
+      // Ensure we only send necessary data
+      publicStates.set(playerId, toPublicState(playerData));
+    });
+    this.replay?.recordSnapshot(publicStates, serverTime);
+
+    this.channels.forEach((channel, id) => {
+      const viewer = this.players.get(id);
+      if (!viewer) return;
+      const lastSent = viewer.snapshots.get(viewer.snapshots.seq);
+      const view = buildView(id, viewer, publicStates, lastSent ? lastSent.players : {}, this.tick);
+      const snapshot = viewer.snapshots.push(view, serverTime);
+      this.sendRaw(channel, 'snapshot', NetSchema.encodeSnapshot(viewer.snapshots.messageFor(snapshot, viewer.ackSeq)));
+    });
+    // Spectators never acknowledge anything, so they get every ship in full
+    if (this.spectators.size > 0) {
+      this.spectatorSeq++;
+      const buffer = NetSchema.encodeSnapshot({
+        seq: this.spectatorSeq,
+        baseSeq: null,
+        serverTime,
+        players: Object.fromEntries(publicStates),
+        removed: []
+      });
+      this.spectators.forEach(({ channel }) => this.sendRaw(channel, 'snapshot', buffer));
+    }
+    this.metrics?.syncDuration.observe((performance.now() - startedAt) / 1000);
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import geckos from '@geckos.io/server';
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
 import express from 'express';
@@ -11,436 +12,296 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { iceServers } from '@geckos.io/server';
 import cors from 'cors';
-
-
-global.isConnected = false;
-global.playerId = null;
-global.syncIntervalId = null;
-let channel; 
-let networkOptions = {};
+import { Room, DEFAULT_ROOM, MAX_SPECTATORS, DEFAULT_UPDATES_PER_SECOND, LASER_BROADCAST_INTERVAL, sanitizeRoomName } from './room.mjs';
+import { loadConfig, createOriginResolver } from './config.mjs';
+import { ProfileStore, isValidPilotToken } from './profileStore.mjs';
+import { BanList } from './banList.mjs';
+import { createAdminRouter } from './adminApi.mjs';
+import { ServerMetrics } from './metrics.mjs';
+import { listReplays, REPLAY_FILE_PATTERN } from './replayRecorder.mjs';
+import { logDebug } from './utils.mjs';
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration
-const PORT = process.env.PORT || 6198;
-const MAX_PLAYERS = 10; // Maximum number of players per game
-const PLAYER_TIMEOUT = 10000; // 10 seconds without updates before considering a player disconnected
-const DEBUG = true; // Enable verbose debugging
-const DEFAULT_UPDATES_PER_SECOND = 10; // Default to 10 updates per second
-const SYNC_INTERVAL = 1000 / DEFAULT_UPDATES_PER_SECOND; // ms between position updates
-
-// Debug logging function
-function logDebug(message, data) {
-  if (!DEBUG) return;
-  
-  if (data) {
-    console.log(`[Crusader X Server] ${message}`, data);
-  } else {
-    console.log(`[Crusader X Server] ${message}`);
-  }
-}
-
-function pointLineDistance(point, lineStart, lineEnd) {
-  // Compute the vector from lineStart to lineEnd.
-  const AB = {
-    x: lineEnd.x - lineStart.x,
-    y: lineEnd.y - lineStart.y,
-    z: lineEnd.z - lineStart.z
-  };
-  
-  // Compute the vector from lineStart to the point.
-  const AP = {
-    x: point.x - lineStart.x,
-    y: point.y - lineStart.y,
-    z: point.z - lineStart.z
-  };
-  
-  const ab2 = AB.x * AB.x + AB.y * AB.y + AB.z * AB.z;
-  // Avoid division by zero if the start and end are the same.
-  if (ab2 === 0) return Math.sqrt(AP.x * AP.x + AP.y * AP.y + AP.z * AP.z);
-  
-  // Projection scalar of AP onto AB.
-  let t = (AP.x * AB.x + AP.y * AB.y + AP.z * AB.z) / ab2;
-  // Clamp t between 0 and 1 to restrict to the segment.
-  t = Math.max(0, Math.min(1, t));
-  
-  // Find the closest point on the segment.
-  const closestPoint = {
-    x: lineStart.x + AB.x * t,
-    y: lineStart.y + AB.y * t,
-    z: lineStart.z + AB.z * t
-  };
-  
-  // Return the distance between the point and this closest point.
-  const dx = point.x - closestPoint.x;
-  const dy = point.y - closestPoint.y;
-  const dz = point.z - closestPoint.z;
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
-}
-
+// Configuration (defaults < config file < env vars < CLI flags, see config.mjs)
+const config = loadConfig();
+const resolveOrigin = createOriginResolver(config);
+const ROOM_SWEEP_INTERVAL = 30000; // ms between checks for idle rooms
+
+// Open rooms (map of roomName -> Room)
+const rooms = new Map();
+// Snapshot rate for every room; moderators can change it at runtime
+let updatesPerSecond = DEFAULT_UPDATES_PER_SECOND;
+// Temporary bans, checked when a client connects
+const bans = new BanList();
+// Tick timings and traffic of every room, for /metrics and /healthz
+const metrics = new ServerMetrics();
+
+// Pilot profiles survive restarts; they are shared by every room
+const profiles = new ProfileStore(path.join(config.dataDir, 'profiles.json'));
+profiles.load();
+// Match recordings; null when replays are off
+const replayDir = config.recordReplays ? path.join(config.dataDir, 'replays') : null;
+// One solar system for every room: it shows the real date when the server starts
+// and runs config.timeScale times as fast from there (see Orbits.simulationTime)
+const simClock = { epoch: Date.now(), timeScale: config.timeScale };
 
+// Create express app
+const app = express();
+app.use(cors({ origin: (origin, callback) => callback(null, resolveOrigin(origin) !== false) }));
 
-// Active players (map of channelId -> playerData)
-const players = new Map();
+// -----------------
+// Pilot profile lookup: GET /api/profile with "Authorization: Bearer <pilot token>"
+// -----------------
+app.get('/api/profile', (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  const token = match && match[1];
+  if (!isValidPilotToken(token)) {
+    res.status(401).json({ error: 'A valid pilot token is required' });
+    return;
+  }
 
-// For rendering other players in the scene
-let playerModels = {};
-let scene = null;
+  const profile = profiles.get(ProfileStore.keyFor(token));
+  if (!profile) {
+    res.status(404).json({ error: 'No profile for this pilot yet' });
+    return;
+  }
+  res.json(profiles.toPublic(profile));
+});
 
-// For storing additional player state on disconnect (for reconnection)
-const disconnectedPlayers = new Map(); // Map of previous playerId -> last known state
-const DISCONNECTED_PLAYER_TIMEOUT = 60000; // Remove disconnected player data after 1 minute
+// -----------------
+// Admin API (only when an admin token is configured, see adminApi.mjs)
+// -----------------
+if (config.adminToken) {
+  app.use('/api/admin', createAdminRouter({
+    adminToken: config.adminToken,
+    rooms,
+    bans,
+    setSyncRate: rate => {
+      updatesPerSecond = rate;
+      rooms.forEach(room => room.setSyncRate(rate));
+    }
+  }));
+  logDebug('Admin API enabled at /api/admin');
+}
 
-// Keep track of when players were last seen
-const playerLastSeen = new Map();
+// -----------------
+// Recorded matches (only when recording is on): GET /api/replays lists them,
+// GET /api/replays/<name> downloads one for the client's replay viewer
+// -----------------
+if (replayDir) {
+  app.get('/api/replays', async (req, res) => {
+    try {
+      res.json(await listReplays(replayDir));
+    } catch (error) {
+      console.error('[Crusader X Server] Failed to list replays:', error);
+      res.status(500).json({ error: 'Could not list replays' });
+    }
+  });
 
-// Laser buffer for storing laser fire events per shooter
-let laserBuffer = {};
+  app.get('/api/replays/:name', (req, res) => {
+    // Only names the recorder gives out, so nothing outside the replay directory can be requested
+    if (!REPLAY_FILE_PATTERN.test(req.params.name)) {
+      res.status(404).json({ error: 'No such replay' });
+      return;
+    }
+    res.download(path.join(replayDir, req.params.name), req.params.name, error => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'No such replay' });
+    });
+  });
+  logDebug(`Recording match replays to ${replayDir}`);
+}
 
-// Clear any existing player data on server startup
-const clearPlayerData = () => {
-  players.clear();
-  disconnectedPlayers.clear();
-  playerLastSeen.clear();
-  logDebug(`Server startup: Cleared all player data.`);
-};
+// -----------------
+// Monitoring: Prometheus metrics and a health summary
+// -----------------
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render(rooms));
+});
 
-clearPlayerData();
+// 503 once the sync or laser loop is falling behind, so a load balancer or uptime check notices
+app.get('/healthz', (req, res) => {
+  const health = metrics.health(rooms, {
+    syncIntervalMs: 1000 / updatesPerSecond,
+    laserIntervalMs: LASER_BROADCAST_INTERVAL
+  });
+  res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
 
-// Create express app
-const app = express();
-app.use(cors());
+// The game client is served from the repo root; the server directory (and the
+// profile data that may live under it) is not part of it
+app.use('/server', (req, res) => res.sendStatus(404));
 app.use(express.static(path.join(__dirname, '..')));
 
-// HTTPS Options using your Let's Encrypt keys
-const httpsOptions = {
-  key: fs.readFileSync('/etc/letsencrypt/live/fonearcade.com/privkey.pem'),
-  cert: fs.readFileSync('/etc/letsencrypt/live/fonearcade.com/fullchain.pem')
-};
+// Create the HTTP(S) server with express. TLS can be switched off for local
+// development, where browsers treat http://localhost as a secure context.
+let server;
+if (config.tls) {
+  const httpsOptions = {
+    key: fs.readFileSync(config.tlsKey),
+    cert: fs.readFileSync(config.tlsCert)
+  };
+  server = https.createServer(httpsOptions, app);
+} else {
+  server = http.createServer(app);
+}
 
-// Create HTTPS server with express
-const server = https.createServer(httpsOptions, app);
+function getIceServers() {
+  if (config.iceServers === 'default') return iceServers;
+  if (config.iceServers === 'none') return [];
+  return config.iceServers;
+}
 
 // Create geckos.io server
+// The client passes its requested room, pilot token and, when reconnecting, its
+// resume token in the authorization header (e.g. "room=squad-a&token=...&resume=...",
+// plus "spectate=1" to watch without a ship);
+// whatever we return here becomes channel.userData, along with the client's address.
+// Only the pilot token's hash is kept.
 const io = geckos({
-  iceServers: process.env.NODE_ENV === 'production' ? iceServers : []
+  iceServers: getIceServers(),
+  cors: {
+    origin: req => resolveOrigin(req.headers.origin) || 'null',
+    allowAuthorization: true
+  },
+  authorization: async (auth, request) => {
+    const params = new URLSearchParams(typeof auth === 'string' ? auth : '');
+    const token = params.get('token');
+    return {
+      roomName: sanitizeRoomName(params.get('room')),
+      profileKey: isValidPilotToken(token) ? ProfileStore.keyFor(token) : null,
+      resumeToken: params.get('resume'),
+      spectate: params.get('spectate') === '1',
+      ip: (request && request.socket && request.socket.remoteAddress) || null
+    };
+  }
 });
 
 // Attach geckos.io to the HTTPS server
 io.addServer(server);
 
-// -----------------
-// Server-side Connection Handling
-// -----------------
-io.onConnection(channel => {
-  const id = channel.id;
-  logDebug(`Player connected: ${id}`);
-
-  // Check if this is a player reconnecting
-  if (disconnectedPlayers.has(id)) {
-    logDebug(`Player ${id} is reconnecting, restoring previous state`);
-    const previousState = disconnectedPlayers.get(id);
-    disconnectedPlayers.delete(id);
-    // Update the timestamp on the restored data
-    previousState.timestamp = Date.now();
-    players.set(id, previousState);
-  } else {
-    // Add new player with additional health and kills properties
-    players.set(id, {
-      id,
-      position: { x: 0, y: 0, z: 0 },
-      rotation: { x: 0, y: 0, z: 0 },
-      velocity: 0,
-      nickname: "Unknown", // Default nickname
-      colorIndex: 0,       // Default color (red)
-      health: 100,         // New: starting health at 100
-      kills: 0,            // New: initial kill count
-      timestamp: Date.now()
-    });
-  }
+/**
+ * Look up a room by name, opening it if there is capacity for another room
+ * @returns {Room|null} The room, or null if no more rooms can be opened
+ */
+function getOrCreateRoom(roomName) {
+  let room = rooms.get(roomName);
+  if (room) return room;
 
-  // Update last seen timestamp
-  playerLastSeen.set(id, Date.now());
-
-  logDebug(`Current player count: ${players.size}`);
-
-  // Notify all other players of the new/reconnected player
-  channel.broadcast.emit('playerJoined', {
-    id,
-    position: players.get(id).position,
-    rotation: players.get(id).rotation,
-    velocity: players.get(id).velocity,
-    nickname: players.get(id).nickname,
-    colorIndex: players.get(id).colorIndex,
-    health: players.get(id).health,
-    kills: players.get(id).kills
-  });
+  if (rooms.size >= config.maxRooms) {
+    logDebug(`Refusing to open room "${roomName}": ${rooms.size} rooms already open`);
+    return null;
+  }
 
-  // Send existing players to the new/reconnected player
-  players.forEach((playerData, playerId) => {
-    if (playerId !== id) {
-      //logDebug(`Sending existing player ${playerId} to player ${id}`);
-      channel.emit('playerJoined', playerData);
-    }
+  room = new Room(io, roomName, {
+    maxPlayers: config.maxPlayers,
+    profiles,
+    updatesPerSecond,
+    gameMode: config.gameMode,
+    scoreLimit: config.scoreLimit,
+    friendlyFire: config.friendlyFire,
+    match: config.matchMinutes > 0
+      ? {
+        durationMs: config.matchMinutes * 60 * 1000,
+        warmupMs: config.warmupSeconds * 1000,
+        postMatchMs: config.postMatchSeconds * 1000,
+        minPlayers: config.minPlayers
+      }
+      : null,
+    minPilots: config.botFill,
+    spawnPlanets: config.spawnPlanets,
+    spawnProtectionMs: config.spawnProtectionSeconds * 1000,
+    replayDir,
+    simClock,
+    metrics
   });
+  room.start();
+  rooms.set(roomName, room);
+  return room;
+}
 
+/**
+ * Turn a connection away with a reason the client can show, then close it
+ */
+function rejectChannel(channel, message) {
+  metrics.recordSent('serverMessage', message);
+  channel.emit('serverMessage', message, { reliable: true });
+  // Give the reliable message a moment to arrive before closing
+  setTimeout(() => channel.close(), 1000);
+}
 
-  // -----------------
-  // New: Laser Fire Event Handler
-  // -----------------
-  channel.on('laserFire', data => {
-    if (!data || !data.startPosition || !data.endPosition) {
-      logDebug(`Invalid laserFire event data from ${id}`, data);
-      return;
-    }
-
-    if (data.likelyHit) {
-      const hitThreshold = 10;
-      let minDistance = Infinity;
-      let closestPlayerId = null;
-
-      // Find closest player within threshold
-      players.forEach((otherPlayer, otherId) => {
-        if (otherId === id || otherPlayer.health <= 0) return;
-
-        const distance = pointLineDistance(otherPlayer.position, data.startPosition, data.endPosition);
-
-        if (distance < hitThreshold && distance < minDistance) {
-          minDistance = distance;
-          closestPlayerId = otherId;
-        }
-      });
-
-      // --- Damage logic MOVED INSIDE if(data.likelyHit) ---
-      if (closestPlayerId !== null) {
-        const targetPlayer = players.get(closestPlayerId);
-        if (targetPlayer) {
-          logDebug(`Closest player within threshold found: ${closestPlayerId} at distance ${minDistance.toFixed(2)}`);
-          const oldHealth = targetPlayer.health;
-          const newHealth = Math.max(0, oldHealth - 5);
-          targetPlayer.health = newHealth;
-          logDebug(`Player ${closestPlayerId} hit by ${id}. Health: ${oldHealth} -> ${newHealth}`);
-
-          if (oldHealth > 0 && newHealth === 0) {
-            const shooter = players.get(id);
-            if (shooter) {
-              shooter.kills = (shooter.kills || 0) + 1;
-              logDebug(`Player ${id} registered a kill on ${closestPlayerId}. Total kills: ${shooter.kills}`);
-            }
-            targetPlayer.kills = 0;
-            logDebug(`Player ${closestPlayerId} died. Kills reset to 0.`);
-          }
-          targetPlayer.recentlyHit = true;
-          setTimeout(() => {
-            const currentTarget = players.get(closestPlayerId);
-            if (currentTarget) currentTarget.recentlyHit = false;
-          }, 500);
-
-        } else {
-          logDebug(`Error: closestPlayerId ${closestPlayerId} not found in players map after check.`);
-        }
-      } else {
-        // Optional log if no one was close enough
-        // logDebug(`No player was close enough to the laser from ${id} within the threshold.`);
-      }
-      // --- End of damage logic ---
+// -----------------
+// Server-side Connection Handling
+// -----------------
+io.onConnection(channel => {
+  const ban = bans.find(channel.userData || {});
+  if (ban) {
+    logDebug(`Rejecting banned client ${channel.id} (ban ${ban.id})`);
+    rejectChannel(channel, { type: 'banned', reason: ban.reason, until: ban.until });
+    return;
+  }
 
-    } // --- End of if(data.likelyHit) ---
+  const roomName = (channel.userData && channel.userData.roomName) || DEFAULT_ROOM;
+  const room = getOrCreateRoom(roomName);
 
-    // Buffer laser event for broadcast (happens regardless of hit)
-    if (!laserBuffer[id]) {
-      laserBuffer[id] = [];
-    }
-    if (laserBuffer[id].length < 2) {
-      const eventDataWithShooterId = { ...data, shooterId: id };
-      laserBuffer[id].push(eventDataWithShooterId);
-    }
-  }); // end channel.on('laserFire')
-  
-  // Player disconnected
-  channel.onDisconnect(() => {
-    logDebug(`Player disconnected: ${id}`);
-    
-    // Save player data for potential reconnect (including health and kills)
-    if (players.has(id)) {
-      const playerData = players.get(id);
-      disconnectedPlayers.set(id, playerData);
-      logDebug(`Saved player ${id} data for potential reconnection`);
-    }
-    
-    // Remove from active players
-    players.delete(id);
-    playerLastSeen.delete(id);
-    io.emit('playerLeft', { id });
-    logDebug(`Current player count: ${players.size}`);
-  });
+  if (!room) {
+    rejectChannel(channel, { type: 'roomUnavailable', room: roomName });
+    return;
+  }
 
-  // -----------------
-  // Client Sends Update
-  // -----------------
-  channel.on('playerUpdate', (data) => {
-    const player = players.get(id);
-    if (!player) {
-      logDebug(`Received update from unknown or disconnected player: ${id}`);
+  // Spectators don't take a seat, so a full room can still be watched
+  if (channel.userData && channel.userData.spectate) {
+    if (!room.canSpectate()) {
+      logDebug(`Room "${roomName}" has no room for more spectators, rejecting ${channel.id}`);
+      rejectChannel(channel, { type: 'roomFull', room: roomName, spectator: true, maxSpectators: MAX_SPECTATORS });
       return;
     }
+    room.addSpectator(channel);
+    return;
+  }
 
-    // Update timestamp first
-    playerLastSeen.set(id, Date.now());
-    player.timestamp = Date.now();
-
-    // Check for respawn flag
-    if (data.isRespawning) {
-      logDebug(`Player ${id} is respawning.`);
-      player.health = 100;
-      player.kills = 0;
-      // Update position/rotation from the respawn data
-      if (data.position) player.position = data.position;
-      if (data.rotation) player.rotation = data.rotation;
-      player.nickname = data.nickname || player.nickname; // Update nickname on respawn if sent
-      player.colorIndex = (typeof data.colorIndex === 'number') ? data.colorIndex : player.colorIndex;
-      // Don't need to specifically update velocity as it will come in next non-respawn update
-      // We rely on the main broadcast loop to send the updated state
-      logDebug(`Player ${id} with nickname ${player.nickname} respawned. Health: ${player.health}, Kills: ${player.kills}, Pos:`, player.position);
-    } else {
-      // --- Regular Update ---
-      // Health and kills are server-authoritative (updated via hit detection).
-      // Update client-controlled state: position, rotation, velocity, nickname, colorIndex.
-
-      if (data.position) player.position = data.position;
-      if (data.rotation) player.rotation = data.rotation;
-      if (data.velocity !== undefined) player.velocity = data.velocity;
-
-      // Update nickname and log if it changes
-      if (data.nickname && data.nickname !== player.nickname) {
-        logDebug(`Player ${id} changed nickname from "${player.nickname}" to "${data.nickname}"`);
-        player.nickname = data.nickname;
-      } else if (data.nickname) {
-        // Update even if same, ensures consistency if client sends unnecessarily
-        player.nickname = data.nickname;
-      }
+  // A returning player's seat is still held for them, so only newcomers can be turned away
+  if (room.isFull() && !room.canResume(channel.userData && channel.userData.resumeToken)) {
+    logDebug(`Room "${roomName}" is full, rejecting ${channel.id}`);
+    rejectChannel(channel, { type: 'roomFull', room: roomName, maxPlayers: room.maxPlayers });
+    return;
+  }
 
-      // Update color index
-      if (typeof data.colorIndex === 'number') {
-        player.colorIndex = data.colorIndex;
-      }
-    }
-    
-    // Optionally broadcast update immediately (might cause jitter)
-    // channel.broadcast.emit('playerUpdate', { id, ...data });
-    // Instead, rely on the main sync interval broadcast for smoother updates
-  });
+  room.addChannel(channel);
 });
 
 // -----------------
-// Periodically clean up disconnected players and inactive players
+// Close rooms nobody is using any more (the public room always stays open)
 // -----------------
 setInterval(() => {
-  const now = Date.now();
-  
-  // Clean up disconnected players that haven't reconnected
-  disconnectedPlayers.forEach((playerData, id) => {
-    const disconnectTime = playerData.timestamp;
-    if (now - disconnectTime > DISCONNECTED_PLAYER_TIMEOUT) {
-      logDebug(`Removing stored data for disconnected player ${id} (timeout)`);
-      disconnectedPlayers.delete(id);
+  rooms.forEach((room, roomName) => {
+    if (roomName !== DEFAULT_ROOM && room.isIdle()) {
+      room.stop();
+      rooms.delete(roomName);
     }
   });
-  
-  // Check for inactive players
-  playerLastSeen.forEach((lastSeen, id) => {
-    if (now - lastSeen > PLAYER_TIMEOUT) {
-      logDebug(`Player timed out: ${id}`);
-      
-      if (players.has(id)) {
-        const playerData = players.get(id);
-        disconnectedPlayers.set(id, playerData);
-        logDebug(`Saved player ${id} data after timeout for potential reconnection`);
-      }
-      
-      players.delete(id);
-      playerLastSeen.delete(id);
-      io.emit('playerLeft', { id });
-      logDebug(`Current player count: ${players.size}`);
-    }
-  });
-}, 5000); // Check every 5 seconds
-
-// -----------------
-// Laser Buffer Broadcast
-// -----------------
-// Every 0.1 seconds, broadcast all buffered laser events to all clients and then clear the buffer.
-// -----------------
-// Laser Buffer Broadcast (Modified Logic)
-// -----------------
-// Every 0.1 seconds, broadcast buffered laser events, excluding the original shooter.
-// -----------------
-// Laser Buffer Broadcast (Revised Logic - Iterate and Skip Sender)
-// -----------------
-// Every 0.1 seconds, broadcast buffered laser events, excluding the original shooter.
-// -----------------
-// Laser Buffer Broadcast (Revised Logic - Iterate and Skip Sender - ENHANCED LOGGING)
-// -----------------
-// Every 0.1 seconds, broadcast buffered laser events, excluding the original shooter.
-// -----------------
-// Laser Buffer Broadcast (Original - Broadcast All)
-// -----------------
-// Every 0.1 seconds, broadcast all buffered laser events to all clients and then clear the buffer.
-setInterval(() => {
-  const allLaserEvents = [];
-  // Iterate through shooters in the buffer
-  for (const shooterId in laserBuffer) {
-    if (laserBuffer.hasOwnProperty(shooterId)) {
-      // Add all events from this shooter to the main list
-      // Note: Thanks to the change above, each event object now contains 'shooterId'
-      allLaserEvents.push(...laserBuffer[shooterId]);
-    }
-  }
+}, ROOM_SWEEP_INTERVAL);
 
-  // Only emit if there are actually events
-  if (allLaserEvents.length > 0) {
-    //logDebug(`[Laser Interval] Broadcasting ${allLaserEvents.length} total laser events to ALL clients.`);
-    // Use io.emit to send the single aggregated array to everyone
-    io.emit('laserFires', allLaserEvents);
-  } else {
-    // logDebug("[Laser Interval] No buffered laser events to broadcast."); // Optional: uncomment if needed
-  }
+// The public room is always available
+getOrCreateRoom(DEFAULT_ROOM);
 
-  // Clear the entire buffer for the next interval
-  laserBuffer = {};
-}, 100);
+// Start the HTTP(S) server
+server.listen(config.port, config.host, () => {
+  const protocol = config.tls ? 'https' : 'http';
+  logDebug(`Crusader X UDP server (${protocol.toUpperCase()}) listening on ${config.host}:${config.port}`);
+  logDebug(`Game client available at ${protocol}://localhost:${config.port}`);
+  if (config.configFile) logDebug(`Loaded config file ${config.configFile}`);
+});
 
-// -----------------
-// Periodically broadcast full player state
-// -----------------
-setInterval(() => {
-  const allPlayersData = {};
-  players.forEach((playerData, playerId) => {
-    // Ensure we only send necessary data
-    allPlayersData[playerId] = {
-      id: playerData.id,
-      position: playerData.position,
-      rotation: playerData.rotation, // Assuming rotation is stored
-      velocity: playerData.velocity, // Assuming velocity is stored
-      nickname: playerData.nickname,
-      colorIndex: playerData.colorIndex,
-      health: playerData.health,     // Include health
-      kills: playerData.kills        // Include kills
-      // Add any other state needed by clients
-    };
+// Write pending profile changes (and matches being recorded) before shutting down
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    logDebug(`Received ${signal}, saving profiles and shutting down`);
+    rooms.forEach(room => room.flushPlaytime());
+    profiles.save();
+    Promise.all([...rooms.values()].map(room => room.replay && room.replay.finish()))
+      .finally(() => process.exit(0));
   });
-
-  // Only broadcast if there are players
-  if (Object.keys(allPlayersData).length > 0) {
-    // logDebug("[State Sync Interval] Broadcasting full state for all players:", allPlayersData); // Optional verbose log
-    io.emit('playerUpdate', allPlayersData);
-  }
-}, SYNC_INTERVAL); // Use the defined SYNC_INTERVAL
-
-// Start the HTTPS server
-server.listen(PORT, '0.0.0.0', () => {
-  logDebug(`Crusader X UDP server (HTTPS) listening on port ${PORT}`);
-  logDebug(`Game client available at https://localhost:${PORT}`);
 });
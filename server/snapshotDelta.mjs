@@ -0,0 +1,101 @@
+/**
+ * snapshotDelta.mjs - Sequenced room snapshots and per-client deltas
+ * Each sync tick produces a numbered snapshot. A client acknowledges the
+ * newest one it has rebuilt, and later snapshots are sent to it as the
+ * fields that changed since that acknowledged base.
+ */
+
+const DEFAULT_CAPACITY = 32; // ~3 seconds of snapshots at 10 per second
+
+// Vector and quaternion fields are compared by value
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  return a.x === b.x && a.y === b.y && a.z === b.z && a.w === b.w;
+}
+
+/**
+ * Fields of one player that differ between two snapshots
+ * @returns {Object|null} Changed fields, or null if nothing changed
+ */
+function diffPlayer(base, current) {
+  let changed = null;
+  Object.keys(current).forEach(field => {
+    if (!sameValue(base[field], current[field])) {
+      if (!changed) changed = {};
+      changed[field] = current[field];
+    }
+  });
+  return changed;
+}
+
+/**
+ * Build the delta that turns the base snapshot into the current one
+ * @param {Object} base - Map-like object of playerId -> state
+ * @param {Object} current - Same shape as base
+ * @returns {Object} { players, removed } where players only holds changed fields
+ */
+export function diffSnapshot(base, current) {
+  const players = {};
+  Object.keys(current).forEach(id => {
+    if (!base[id]) {
+      players[id] = current[id];
+      return;
+    }
+    const changed = diffPlayer(base[id], current[id]);
+    if (changed) players[id] = changed;
+  });
+  const removed = Object.keys(base).filter(id => !current[id]);
+  return { players, removed };
+}
+
+export class SnapshotBuffer {
+  /**
+   * @param {number} [capacity] - Number of snapshots kept as possible delta bases
+   */
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.snapshots = new Map(); // Map of seq -> { seq, serverTime, players }
+    this.seq = 0;
+  }
+
+  /**
+   * Store the state of a new tick
+   * @param {Object} players - playerId -> public state (not mutated afterwards)
+   * @param {number} serverTime - Server time in ms
+   * @returns {Object} The stored snapshot
+   */
+  push(players, serverTime) {
+    this.seq++;
+    const snapshot = { seq: this.seq, serverTime, players };
+    this.snapshots.set(this.seq, snapshot);
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (this.snapshots.size > this.capacity) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+    return snapshot;
+  }
+
+  /**
+   * @param {number} seq
+   * @returns {Object|null} The snapshot, if it is still buffered
+   */
+  get(seq) {
+    return this.snapshots.get(seq) || null;
+  }
+
+  /**
+   * The message to send a client whose last acknowledged snapshot is ackSeq.
+   * Clients with no usable base get the full state (baseSeq null).
+   * @param {Object} snapshot - Snapshot returned by push
+   * @param {number|null} ackSeq - Last seq the client acknowledged
+   */
+  messageFor(snapshot, ackSeq) {
+    const base = typeof ackSeq === 'number' && ackSeq < snapshot.seq ? this.get(ackSeq) : null;
+    if (!base) {
+      return { seq: snapshot.seq, baseSeq: null, serverTime: snapshot.serverTime, players: snapshot.players, removed: [] };
+    }
+    const { players, removed } = diffSnapshot(base.players, snapshot.players);
+    return { seq: snapshot.seq, baseSeq: base.seq, serverTime: snapshot.serverTime, players, removed };
+  }
+}
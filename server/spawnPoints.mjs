@@ -0,0 +1,98 @@
+/**
+ * spawnPoints.mjs - Where respawning pilots come back into the fight
+ * Spawn points sit a few units off configured planets, where the planets are
+ * right now (js/orbits.js computes the same positions the clients draw).
+ * The picker prefers the planet nearest the action but only hands out a spot
+ * no living enemy is close to, so nobody can camp a single respawn point.
+ */
+
+import Constants from '../js/constants.js';
+import Orbits from '../js/orbits.js';
+
+export const DEFAULT_SPAWN_PLANETS = ['Earth', 'Mars', 'Venus'];
+export const DEFAULT_SPAWN_PROTECTION_MS = 3000;
+
+// Same offsets App.positionShipNearEarth uses: out to the side and above the orbital plane
+const OFFSET_DISTANCE_MIN = 5;
+const OFFSET_DISTANCE_MAX = 10;
+const OFFSET_HEIGHT_MIN = 2;
+const OFFSET_HEIGHT_MAX = 5;
+const CANDIDATES_PER_PLANET = 8;
+export const SAFE_DISTANCE = 5; // units to the nearest living enemy; laser range is 1.5
+
+/**
+ * Look up spawn planets by name
+ * @param {string[]} names - Planet names, any case
+ * @returns {Object[]} The planets' CELESTIAL_BODIES entries
+ * @throws {Error} For a name that isn't a planet with an orbit
+ */
+export function resolveSpawnPlanets(names) {
+  return names.map(name => {
+    const key = String(name).trim().toUpperCase();
+    const planet = Constants.CELESTIAL_BODIES[key];
+    if (!planet || !Orbits.PLANETS.includes(key.toLowerCase())) {
+      throw new Error(`Unknown spawn planet: "${name}" (expected one of ${Orbits.PLANETS.join(', ')})`);
+    }
+    return planet;
+  });
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function nearestDistance(point, others) {
+  return others.reduce((nearest, other) => Math.min(nearest, distance(point, other)), Infinity);
+}
+
+export class SpawnPicker {
+  /**
+   * @param {string[]} [planets] - Names of the planets to spawn near, in order of preference
+   */
+  constructor(planets = DEFAULT_SPAWN_PLANETS) {
+    this.planets = resolveSpawnPlanets(planets);
+  }
+
+  /**
+   * A random spot off a planet
+   */
+  candidateNear(planetPosition) {
+    const angle = Math.random() * Math.PI * 2;
+    const offset = OFFSET_DISTANCE_MIN + Math.random() * (OFFSET_DISTANCE_MAX - OFFSET_DISTANCE_MIN);
+    const height = OFFSET_HEIGHT_MIN + Math.random() * (OFFSET_HEIGHT_MAX - OFFSET_HEIGHT_MIN);
+    return {
+      x: planetPosition.x + Math.cos(angle) * offset,
+      y: planetPosition.y + height,
+      z: planetPosition.z + Math.sin(angle) * offset
+    };
+  }
+
+  /**
+   * Choose where a pilot respawns
+   * @param {Object[]} enemies - Positions of the living ships that could shoot the pilot
+   * @param {number} [time] - Unix time in ms the planets are placed at
+   * @returns {Object} { position, planet } with the planet's name
+   */
+  pick(enemies, time = Date.now()) {
+    // Planets nearest the fighting first; with nobody around, the configured order decides
+    const planets = this.planets
+      .map(planet => {
+        const position = Orbits.planetPosition(planet, Constants.SCALE.DISTANCE, time);
+        return { name: planet.name, position, enemyDistance: nearestDistance(position, enemies) };
+      })
+      .sort((a, b) => a.enemyDistance - b.enemyDistance);
+
+    let best = null;
+    for (const planet of planets) {
+      for (let i = 0; i < CANDIDATES_PER_PLANET; i++) {
+        const position = this.candidateNear(planet.position);
+        const enemyDistance = nearestDistance(position, enemies);
+        if (enemyDistance >= SAFE_DISTANCE) return { position, planet: planet.name };
+        if (!best || enemyDistance > best.enemyDistance) best = { position, planet: planet.name, enemyDistance };
+      }
+    }
+
+    // Enemies everywhere: the spot with the most room
+    return { position: best.position, planet: best.planet };
+  }
+}
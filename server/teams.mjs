@@ -0,0 +1,72 @@
+/**
+ * teams.mjs - Team Deathmatch rules
+ * Players are split over two teams, kills on the other team score for your
+ * own, and the first team to reach the score limit wins the match.
+ */
+
+export const GAME_MODES = ['ffa', 'tdm'];
+export const TEAMS = ['red', 'blue'];
+export const DEFAULT_SCORE_LIMIT = 50;
+
+export class TeamMatch {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.scoreLimit] - Team kills needed to win
+   * @param {number} [options.friendlyFire] - Share of laser damage dealt to teammates (0 blocks it)
+   */
+  constructor({ scoreLimit = DEFAULT_SCORE_LIMIT, friendlyFire = 0 } = {}) {
+    this.scoreLimit = scoreLimit;
+    this.friendlyFire = friendlyFire;
+    this.scores = {};
+    this.reset();
+  }
+
+  reset() {
+    TEAMS.forEach(team => { this.scores[team] = 0; });
+  }
+
+  /**
+   * Team for a new player: the smaller one, or the one that is behind on a tie
+   * @param {Map} players - The room's current players (with .team)
+   */
+  pickTeam(players) {
+    const counts = {};
+    TEAMS.forEach(team => { counts[team] = 0; });
+    players.forEach(player => {
+      if (counts[player.team] !== undefined) counts[player.team]++;
+    });
+    return TEAMS.reduce((best, team) => {
+      if (counts[team] !== counts[best]) return counts[team] < counts[best] ? team : best;
+      return this.scores[team] < this.scores[best] ? team : best;
+    });
+  }
+
+  isFriendly(a, b) {
+    return !!a.team && a.team === b.team;
+  }
+
+  /**
+   * How much of a laser's damage the target takes
+   * @returns {number} 1 for enemies, the friendly fire share for teammates
+   */
+  damageFactor(shooter, target) {
+    return this.isFriendly(shooter, target) ? this.friendlyFire : 1;
+  }
+
+  /**
+   * Score a kill. Team kills don't score.
+   * @returns {string|null} The winning team if this kill reached the score limit
+   */
+  recordKill(shooter, target) {
+    if (!shooter || this.isFriendly(shooter, target) || this.scores[shooter.team] === undefined) return null;
+    this.scores[shooter.team]++;
+    return this.scores[shooter.team] >= this.scoreLimit ? shooter.team : null;
+  }
+
+  /**
+   * Scores as sent to clients
+   */
+  getState() {
+    return { scores: { ...this.scores }, scoreLimit: this.scoreLimit };
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * utils.mjs - Shared helpers for the Crusader X server modules
+ */
+
+const DEBUG = true; // Enable verbose debugging
+
+// Debug logging function
+export function logDebug(message, data) {
+  if (!DEBUG) return;
+
+  if (data) {
+    console.log(`[Crusader X Server] ${message}`, data);
+  } else {
+    console.log(`[Crusader X Server] ${message}`);
+  }
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'crusader-x-v1';
+const CACHE_NAME = 'crusader-x-v8';
 const ASSETS_TO_CACHE = [
   '/', // Makes sure the root is cached
   '/index.html',
@@ -24,15 +24,26 @@ const ASSETS_TO_CACHE = [
   '/js/introScreen.js',
   '/js/killsTable.js',
   '/js/laserSystem.js',
+  '/js/messageSchema.js',
   '/js/mobileContols.js',
+  '/js/netSchema.js',
   '/js/networkController.js',
+  '/js/orbits.js',
   '/js/pointerLockControls.js',
+  '/js/practiceMode.js',
+  '/js/replayFormat.js',
+  '/js/replayViewer.js',
   '/js/shipController.js',
   '/js/skybox.js',
   '/js/solarSystem.js',
+  '/js/spectatorMode.js',
   '/js/uiController.js',
   '/js/utils.js',
   '/js/lib/OBB.js',
+  '/js/lib/nipplejs.min.js',
+  // CDN scripts the game can't start without (practice mode runs offline)
+  'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+  'https://cdn.jsdelivr.net/npm/three@0.132.2/examples/js/loaders/GLTFLoader.js',
   '/models/spaceShip1.glb',
   '/models/spaceStation1.glb',
   '/music/aldebaran.mp3',
@@ -95,5 +106,10 @@ self.addEventListener('fetch', event => {
   event.respondWith(
     caches.match(event.request)
       .then(response => response || fetch(event.request))
+      .catch(error => {
+        // Offline: page loads (e.g. /?bypass=...) still get the cached app shell
+        if (event.request.mode === 'navigate') return caches.match('/index.html');
+        throw error;
+      })
   );
 });